@@ -0,0 +1,178 @@
+'use strict';
+
+importScripts(
+  'durations.js',
+  'study-plan.js',
+  'chapters.js',
+  'notes-vault.js',
+  'schema.js',
+  'formats.js',
+  'storage.js',
+  'files.js',
+  'zip.js',
+  'todoist.js',
+  'site-adapters.js',
+  'tabs.js',
+  'course-export.js',
+);
+
+const EXPORT_MENU_ITEM_ID = 'export-course';
+const EXPORT_COMMAND = 'export-course';
+
+/** @type {Set<number>} Tabs with an export in progress. */
+const exportingTabIds = new Set();
+
+/**
+ * Shows a Chrome notification.
+ *
+ * @param {string} title
+ * @param {string} message
+ * @returns {void}
+ */
+function notify(title, message) {
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title,
+    message,
+  });
+}
+
+/**
+ * Loads the stored export settings with the task template resolved, or
+ * throws when no format is selected.
+ *
+ * @throws {Error}
+ * @returns {Promise<ExportSettings>}
+ */
+async function loadResolvedExportSettings() {
+  const settings = await loadExportSettings();
+  if (!settings.formatIds.length) {
+    throw new Error('Select at least one output format in the popup.');
+  }
+  return {
+    ...settings,
+    taskTemplate: await resolveTaskTemplate(settings.taskTemplateId),
+    fileSettings: await loadFileSettings(),
+  };
+}
+
+/**
+ * Exports the course in a tab with the stored settings and reports the
+ * result as a notification. Files go through the downloads API, since the
+ * folder picker needs the popup.
+ *
+ * @param {chrome.tabs.Tab | null | undefined} tab
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+async function exportCourseInBackground(tab) {
+  if (tab && exportingTabIds.has(tab.id)) {
+    return { ok: false, error: 'This course is already being exported.' };
+  }
+  if (tab) {
+    exportingTabIds.add(tab.id);
+  }
+
+  try {
+    const settings = await loadResolvedExportSettings();
+    const { extraction, ...saved } = await exportCourseTab(
+      tab || null,
+      null,
+      settings,
+    );
+    const courseTitle =
+      extraction.payload.courseData?.courseTitle || extraction.slug;
+
+    let todoistLine = '';
+    try {
+      todoistLine = await pushToTodoistIfEnabled(extraction, settings);
+    } catch (error) {
+      todoistLine = `Todoist failed: ${getErrorMessage(error)}`;
+    }
+
+    notify(
+      `Exported ${courseTitle}`,
+      [
+        `Downloaded: ${listSavedPaths(saved).join(', ')}`,
+        ...formatSavedFolders(saved.folders),
+        todoistLine,
+        ...formatHealthWarnings(extraction.health, 2),
+      ]
+        .filter(Boolean)
+        .join('\n'),
+    );
+    return { ok: true };
+  } catch (error) {
+    const message = getErrorMessage(error) || 'Unknown error.';
+    notify('Course export failed', message);
+    return { ok: false, error: message };
+  } finally {
+    if (tab) {
+      exportingTabIds.delete(tab.id);
+    }
+  }
+}
+
+/**
+ * Creates the context menu entry shown on course pages.
+ *
+ * @returns {void}
+ */
+function createContextMenu() {
+  chrome.contextMenus.create({
+    id: EXPORT_MENU_ITEM_ID,
+    title: 'Export this course',
+    contexts: ['page'],
+    documentUrlPatterns: SITE_ADAPTERS.flatMap(
+      (adapter) => adapter.courseMatchPatterns,
+    ),
+  });
+}
+
+/**
+ * Handles the context menu entry.
+ *
+ * @param {chrome.contextMenus.OnClickData} info
+ * @param {chrome.tabs.Tab} [tab]
+ * @returns {void}
+ */
+function onContextMenuClick(info, tab) {
+  if (info.menuItemId === EXPORT_MENU_ITEM_ID) {
+    exportCourseInBackground(tab);
+  }
+}
+
+/**
+ * Handles the keyboard shortcut.
+ *
+ * @param {string} command
+ * @param {chrome.tabs.Tab} [tab]
+ * @returns {Promise<void>}
+ */
+async function onCommand(command, tab) {
+  if (command === EXPORT_COMMAND) {
+    await exportCourseInBackground(tab || (await getActiveTab()));
+  }
+}
+
+/**
+ * Handles the Export button injected into course pages.
+ *
+ * @param {{type?: string} | undefined} message
+ * @param {chrome.runtime.MessageSender} sender
+ * @param {(response: {ok: boolean, error?: string}) => void} sendResponse
+ * @returns {boolean | undefined}
+ */
+function onMessage(message, sender, sendResponse) {
+  if (!message || message.type !== 'export-course') {
+    return undefined;
+  }
+
+  exportCourseInBackground(sender.tab).then(sendResponse);
+  return true;
+}
+
+chrome.runtime.onInstalled.addListener(createContextMenu);
+chrome.contextMenus.onClicked.addListener(onContextMenuClick);
+chrome.commands.onCommand.addListener(onCommand);
+chrome.runtime.onMessage.addListener(onMessage);
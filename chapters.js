@@ -0,0 +1,174 @@
+'use strict';
+
+/**
+ * One chapter of a video: a lesson and where it sits in the recording.
+ *
+ * @typedef {Object} VideoChapter
+ * @property {string} id
+ * @property {string} title
+ * @property {number} startSeconds
+ * @property {number} endSeconds
+ */
+
+/**
+ * A chapter file of the chapters folder.
+ *
+ * @typedef {Object} ChapterFile
+ * @property {string} path Relative to the chapters folder.
+ * @property {string} content
+ */
+
+/**
+ * Returns true when a lesson has both ends of its time range.
+ *
+ * @param {LessonData | null | undefined} lesson
+ * @returns {boolean}
+ */
+function hasVideoTiming(lesson) {
+  return (
+    typeof lesson?.startSeconds === 'number' &&
+    typeof lesson?.endSeconds === 'number'
+  );
+}
+
+/**
+ * Builds a link that opens a lesson at its start offset in the course
+ * recording, using the `#t=<seconds>` media fragment that video players read.
+ *
+ * @param {LessonData | null | undefined} lesson
+ * @returns {string} Empty when the lesson has no URL or no start time.
+ */
+function buildLessonDeepLink(lesson) {
+  if (!lesson?.lessonUrl || typeof lesson.startSeconds !== 'number') {
+    return '';
+  }
+  try {
+    const url = new URL(lesson.lessonUrl);
+    url.hash = `t=${Math.floor(lesson.startSeconds)}`;
+    return url.href;
+  } catch (_error) {
+    return '';
+  }
+}
+
+/**
+ * Formats seconds as a WebVTT timestamp, `HH:MM:SS.mmm`.
+ *
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatVttTime(seconds) {
+  const milliseconds = Math.floor((seconds * 1000) % 1000);
+  return `${formatClockTime(seconds)}.${String(milliseconds).padStart(3, '0')}`;
+}
+
+/**
+ * Formats seconds the way YouTube reads chapter lists: `MM:SS`, or
+ * `H:MM:SS` from one hour on.
+ *
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatYouTubeTime(seconds) {
+  const clock = formatClockTime(seconds);
+  const hours = Math.floor(seconds / 3600);
+  return hours ? `${hours}${clock.slice(clock.indexOf(':'))}` : clock.slice(3);
+}
+
+/**
+ * Turns the timed lessons into chapters, with times counted from `offset`.
+ *
+ * @param {LessonData[]} lessons
+ * @param {number} offset Seconds into the recording where the video starts.
+ * @returns {VideoChapter[]}
+ */
+function toVideoChapters(lessons, offset) {
+  return lessons.filter(hasVideoTiming).map((lesson) => ({
+    id: String(lesson.id ?? ''),
+    title:
+      String(lesson.title ?? '')
+        .replace(/\s+/g, ' ')
+        .trim() || 'Untitled lesson',
+    startSeconds: /** @type {number} */ (lesson.startSeconds) - offset,
+    endSeconds: /** @type {number} */ (lesson.endSeconds) - offset,
+  }));
+}
+
+/**
+ * Builds a WebVTT chapters track, one cue per chapter named by its ID.
+ *
+ * @param {VideoChapter[]} chapters
+ * @returns {string}
+ */
+function buildVttChapters(chapters) {
+  const cues = chapters.map((chapter) =>
+    [
+      chapter.id.replace(/-->/g, '->'),
+      `${formatVttTime(chapter.startSeconds)} --> ${formatVttTime(
+        chapter.endSeconds,
+      )}`,
+      chapter.title.replace(/-->/g, '->'),
+    ]
+      .filter(Boolean)
+      .join('\n'),
+  );
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * Builds a chapter list to paste into a YouTube description, one
+ * `00:00 Title` line per chapter.
+ *
+ * @param {VideoChapter[]} chapters
+ * @returns {string}
+ */
+function buildYouTubeChapters(chapters) {
+  return chapters
+    .map(
+      (chapter) =>
+        `${formatYouTubeTime(chapter.startSeconds)} ${chapter.title}\n`,
+    )
+    .join('');
+}
+
+/**
+ * Builds a course's chapter files: `course.vtt` and `course.txt` for the
+ * whole recording, or with `chapterScope: 'section'` one pair per section,
+ * numbered in page order, with times counted from the section's first
+ * lesson. Lessons without a time range are left out, so a course without
+ * any has no chapter files.
+ *
+ * @param {ExtractedPayload | null | undefined} payload
+ * @param {ExportSettings} [settings]
+ * @returns {ChapterFile[]}
+ */
+function buildChapterFiles(payload, settings) {
+  const lessons = Array.isArray(payload && payload.lessons)
+    ? payload.lessons
+    : [];
+  const groups =
+    settings && settings.chapterScope === 'section'
+      ? groupLessonsBySection(lessons).map((section, index) => {
+          const firstTimed = section.lessons.find(hasVideoTiming);
+          return {
+            name: `${String(index + 1).padStart(2, '0')}-${
+              toFileNameSegment(section.sectionId) || 'lessons'
+            }`,
+            chapters: toVideoChapters(
+              section.lessons,
+              firstTimed ? /** @type {number} */ (firstTimed.startSeconds) : 0,
+            ),
+          };
+        })
+      : [{ name: 'course', chapters: toVideoChapters(lessons, 0) }];
+
+  return groups
+    .filter((group) => group.chapters.length)
+    .flatMap((group) => [
+      { path: `${group.name}.vtt`, content: buildVttChapters(group.chapters) },
+      {
+        path: `${group.name}.txt`,
+        content: buildYouTubeChapters(group.chapters),
+      },
+    ]);
+}
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+
+const {
+  importSavedJson,
+  buildExportFiles,
+  writeExportFiles,
+} = require('./saved-course.js');
+
+const USAGE = `Usage: fm-course-convert [options] <course.json | folder> ...
+
+Regenerates output formats from previously exported <course-slug>.json files.
+Older payload shapes are upgraded first. A folder is read for every course
+JSON in it; -v2, -changes and -index files are skipped.
+
+Options:
+  --out <dir>           Output folder (default: current folder)
+  --formats <ids>       Comma-separated format IDs (default: json,v2)
+  --settings <file>     JSON file with export settings, as stored by the popup
+  --name <template>     File name template, such as {date}-{slug} or
+                        {tutor}/{slug} (default: {slug})
+  -h, --help            Show this help`;
+
+/**
+ * Files the extension writes next to a course JSON that are not course
+ * exports themselves.
+ */
+const NON_COURSE_JSON_RE = /-(v2|changes|index)\.json$/i;
+
+/**
+ * Expands folders into the course JSON files they contain.
+ *
+ * @param {string[]} inputs
+ * @returns {string[]}
+ */
+function listCourseFiles(inputs) {
+  return inputs.flatMap((input) => {
+    if (!fs.statSync(input).isDirectory()) {
+      return [input];
+    }
+    return fs
+      .readdirSync(input)
+      .filter(
+        (fileName) =>
+          fileName.toLowerCase().endsWith('.json') &&
+          !NON_COURSE_JSON_RE.test(fileName),
+      )
+      .sort()
+      .map((fileName) => path.join(input, fileName));
+  });
+}
+
+/**
+ * Runs the command line tool.
+ *
+ * @param {string[]} argv
+ * @returns {void}
+ */
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', default: '.' },
+      formats: { type: 'string' },
+      settings: { type: 'string' },
+      name: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!positionals.length) {
+    throw new Error(`A course JSON file or folder is required.\n\n${USAGE}`);
+  }
+
+  const settings = values.settings
+    ? JSON.parse(fs.readFileSync(values.settings, 'utf8'))
+    : {};
+  if (values.formats) {
+    settings.formatIds = values.formats.split(',').map((id) => id.trim());
+  }
+  if (values.name) {
+    settings.fileSettings = { fileNameTemplate: values.name };
+  }
+
+  const courseFiles = listCourseFiles(positionals);
+  let failedCount = 0;
+  fs.mkdirSync(values.out, { recursive: true });
+
+  for (const courseFile of courseFiles) {
+    try {
+      const imported = importSavedJson(
+        fs.readFileSync(courseFile, 'utf8'),
+        courseFile,
+      );
+      const { written, updated, kept } = writeExportFiles(
+        values.out,
+        buildExportFiles(imported, settings),
+      );
+      for (const filePath of [...written, ...updated]) {
+        console.log(filePath);
+      }
+      if (kept.length) {
+        console.warn(`${courseFile}: kept ${kept.length} existing notes`);
+      }
+      for (const migration of imported.migrations) {
+        console.warn(`${courseFile}: ${migration}`);
+      }
+    } catch (error) {
+      failedCount += 1;
+      // The importer runs in its own context, so its errors are not
+      // `instanceof Error` here.
+      console.error(`${courseFile}: ${error?.message || String(error)}`);
+    }
+  }
+
+  if (failedCount) {
+    throw new Error(
+      `${failedCount} of ${courseFiles.length} files could not be converted.`,
+    );
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  console.error(error?.message || String(error));
+  process.exitCode = 1;
+}
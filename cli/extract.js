@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('node:fs');
+const { parseArgs } = require('node:util');
+
+const {
+  extractSavedCourse,
+  buildExportFiles,
+  writeExportFiles,
+} = require('./saved-course.js');
+
+const USAGE = `Usage: fm-course-export --url <course-url> [options] <course.html> [lesson.html ...]
+
+Extracts a saved Frontend Masters or Teachable course page and writes the same
+files as the extension; the site is picked from --url. Saved lesson pages,
+when given, are read for a deep export.
+
+Options:
+  --url <course-url>    URL the course page was saved from (required)
+  --out <dir>           Output folder (default: current folder)
+  --formats <ids>       Comma-separated format IDs (default: json,v2)
+  --settings <file>     JSON file with export settings, as stored by the popup
+  --name <template>     File name template, such as {date}-{slug} or
+                        {tutor}/{slug} (default: {slug})
+  --selectors <file>    JSON file with selector profile overrides for the site
+  -h, --help            Show this help`;
+
+/**
+ * Reads and parses a JSON file given on the command line.
+ *
+ * @param {string | undefined} filePath
+ * @returns {Object | undefined}
+ */
+function readJsonOption(filePath) {
+  return filePath ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : undefined;
+}
+
+/**
+ * Runs the command line tool.
+ *
+ * @param {string[]} argv
+ * @returns {Promise<void>}
+ */
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      url: { type: 'string' },
+      out: { type: 'string', default: '.' },
+      formats: { type: 'string' },
+      settings: { type: 'string' },
+      name: { type: 'string' },
+      selectors: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!values.url || !positionals.length) {
+    throw new Error(`--url and a saved course page are required.\n\n${USAGE}`);
+  }
+
+  const [courseFile, ...lessonFiles] = positionals;
+  const extraction = await extractSavedCourse({
+    html: fs.readFileSync(courseFile, 'utf8'),
+    courseUrl: values.url,
+    lessonPages: lessonFiles.map((fileName) => ({
+      fileName,
+      html: fs.readFileSync(fileName, 'utf8'),
+    })),
+    selectorProfile: readJsonOption(values.selectors),
+  });
+
+  const settings = readJsonOption(values.settings) || {};
+  if (values.formats) {
+    settings.formatIds = values.formats.split(',').map((id) => id.trim());
+  }
+  if (values.name) {
+    settings.fileSettings = { fileNameTemplate: values.name };
+  }
+
+  fs.mkdirSync(values.out, { recursive: true });
+  const { written, updated, kept } = writeExportFiles(
+    values.out,
+    buildExportFiles(extraction, settings),
+  );
+  for (const filePath of [...written, ...updated]) {
+    console.log(filePath);
+  }
+  if (kept.length) {
+    console.warn(`kept ${kept.length} existing notes`);
+  }
+
+  for (const warning of extraction.health?.warnings || []) {
+    console.warn(`warning: ${warning}`);
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  // Writer errors come from their own context, so they are not
+  // `instanceof Error` here.
+  console.error(error?.message || String(error));
+  process.exitCode = 1;
+});
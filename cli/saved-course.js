@@ -0,0 +1,315 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const { extractCourseFromDocument, slugify } = require('../content.js');
+const { findSiteAdapter } = require('../site-adapters.js');
+
+const EXTENSION_ROOT = path.join(__dirname, '..');
+
+/**
+ * Writer and import scripts shared with the popup, in popup.html load order.
+ */
+const WRITER_SCRIPTS = [
+  'durations.js',
+  'keys.js',
+  'study-plan.js',
+  'chapters.js',
+  'notes-vault.js',
+  'schema.js',
+  'formats.js',
+  'files.js',
+  'zip.js',
+  'site-adapters.js',
+  'course-export.js',
+  'course-import.js',
+];
+
+/**
+ * @typedef {Object} ExportFile
+ * @property {string} fileName Relative path; `/` separates folders.
+ * @property {string | Uint8Array} content
+ * @property {boolean} keepExisting Never replace the file when it exists.
+ */
+
+/**
+ * Top-level bindings of the writer scripts used outside the browser.
+ *
+ * @typedef {Object} Writers
+ * @property {Object[]} EXPORT_FORMATS
+ * @property {Object} DEFAULT_EXPORT_SETTINGS
+ * @property {Object} DEFAULT_TASK_TEMPLATE
+ * @property {Object} COURSE_PAYLOAD_SCHEMA
+ * @property {Object} V2_PAYLOAD_SCHEMA
+ * @property {(payload: unknown) => string} serializeFileContent
+ * @property {(fileName: string, payload: unknown) => void} assertValidExportPayload
+ * @property {(value: unknown, fileName?: string) => {slug: string, payload: Object, migrations: string[]}} importCoursePayload
+ * @property {Object} DEFAULT_FILE_SETTINGS
+ * @property {(template: string) => string[]} validateFileNameTemplate
+ * @property {(template: string, slug: string, payload: Object, date?: Date) => string} buildCourseFileBase
+ * @property {(format: Object, fileBase: string, payload: Object, settings: Object) => {fileName: string, content: unknown, keepExisting: boolean}[]} buildFormatFiles
+ * @property {(lesson: Object) => string} buildLessonDeepLink
+ * @property {(existing: string, content: string) => string} mergeGeneratedBlock
+ * @property {(root: Object, fileName: string, payload: unknown, fileSettings?: Object) => Promise<string>} saveWithDirectoryPicker
+ * @property {(fileName: string, payload: unknown, fileSettings?: Object) => Promise<string>} saveWithDownload
+ * @property {(root: Object | null, course: Object, settings: Object) => Promise<Object>} saveCourseFiles
+ * @property {() => Object} createExportBundle
+ * @property {(bundle: Object, file: Object) => string} addBundleFile
+ * @property {(bundle: Object, createdAt?: Date) => Uint8Array} buildBundleArchive
+ */
+
+/**
+ * Evaluates the popup's writer scripts in one shared context, the way the
+ * popup loads them as classic scripts, and returns their top-level bindings.
+ * `chrome.runtime.getManifest` is the only extension API they call while
+ * building files, for the `extractorVersion` header.
+ *
+ * @param {Object} [globals] More globals for the scripts, such as a stubbed `chrome.downloads`; `chrome` is merged with the runtime stub.
+ * @returns {Writers}
+ */
+function loadWriters(globals = {}) {
+  const manifest = JSON.parse(
+    fs.readFileSync(path.join(EXTENSION_ROOT, 'manifest.json'), 'utf8'),
+  );
+  const context = vm.createContext({
+    TextEncoder,
+    URL,
+    DOMException,
+    ...globals,
+    chrome: { runtime: { getManifest: () => manifest }, ...globals.chrome },
+  });
+  for (const fileName of WRITER_SCRIPTS) {
+    const filePath = path.join(EXTENSION_ROOT, fileName);
+    vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, {
+      filename: filePath,
+    });
+  }
+  return vm.runInContext(
+    `({
+      EXPORT_FORMATS,
+      DEFAULT_EXPORT_SETTINGS,
+      DEFAULT_TASK_TEMPLATE,
+      COURSE_PAYLOAD_SCHEMA,
+      V2_PAYLOAD_SCHEMA,
+      serializeFileContent,
+      assertValidExportPayload,
+      importCoursePayload,
+      DEFAULT_FILE_SETTINGS,
+      validateFileNameTemplate,
+      buildCourseFileBase,
+      buildFormatFiles,
+      buildLessonDeepLink,
+      mergeGeneratedBlock,
+      saveWithDirectoryPicker,
+      saveWithDownload,
+      saveCourseFiles,
+      createExportBundle,
+      addBundleFile,
+      buildBundleArchive,
+    })`,
+    context,
+  );
+}
+
+/**
+ * Parses saved HTML as if it were loaded from the given URL.
+ *
+ * @param {string} html
+ * @param {string} url
+ * @returns {Document}
+ */
+function parseSavedPage(html, url) {
+  return new JSDOM(html, { url }).window.document;
+}
+
+/**
+ * Returns the URL a saved lesson page was saved from, read from its
+ * canonical link or `og:url`.
+ *
+ * @param {Document} lessonDocument
+ * @returns {string}
+ */
+function getSavedPageUrl(lessonDocument) {
+  const node =
+    lessonDocument.querySelector('link[rel="canonical"]') ||
+    lessonDocument.querySelector('meta[property="og:url"]');
+  return node?.getAttribute('href') || node?.getAttribute('content') || '';
+}
+
+/**
+ * Returns the lesson slug of a lesson URL on a supported site.
+ *
+ * @param {string} lessonUrl
+ * @returns {string}
+ */
+function getLessonSlug(lessonUrl) {
+  const adapter = findSiteAdapter(lessonUrl);
+  return adapter
+    ? slugify(adapter.getLessonSlug(new URL(lessonUrl).pathname))
+    : '';
+}
+
+/**
+ * Extracts a course from saved HTML. Saved lesson pages, when given, are
+ * used for a deep export; they are matched to lessons by their canonical
+ * URL, or by a file name equal to the lesson slug.
+ *
+ * @param {{html: string, courseUrl: string, lessonPages?: {fileName: string, html: string}[], selectorProfile?: Object}} input
+ * @throws {Error}
+ * @returns {Promise<Object>} Same result the content script returns.
+ */
+async function extractSavedCourse(input) {
+  const { html, courseUrl, lessonPages = [], selectorProfile } = input;
+  const lessonDocuments = new Map();
+
+  for (const lessonPage of lessonPages) {
+    const fileSlug = slugify(
+      path.basename(lessonPage.fileName, path.extname(lessonPage.fileName)),
+    );
+    const lessonDocument = parseSavedPage(
+      lessonPage.html,
+      new URL(`${fileSlug}/`, courseUrl).href,
+    );
+    const savedUrl = getSavedPageUrl(lessonDocument);
+    lessonDocuments.set(
+      savedUrl ? getLessonSlug(new URL(savedUrl, courseUrl).href) : fileSlug,
+      lessonDocument,
+    );
+  }
+
+  return extractCourseFromDocument(parseSavedPage(html, courseUrl), courseUrl, {
+    deep: lessonDocuments.size > 0,
+    selectorProfile,
+    lessonRequestDelayMs: 0,
+    loadLessonDocument: async (lessonUrl) => {
+      const lessonDocument = lessonDocuments.get(getLessonSlug(lessonUrl));
+      if (!lessonDocument) {
+        throw new Error('Lesson page was not among the saved files.');
+      }
+      return lessonDocument;
+    },
+  });
+}
+
+/**
+ * Validates an exported course JSON file and upgrades older payload shapes
+ * with the popup's importer.
+ *
+ * @param {string} text
+ * @param {string} fileName
+ * @throws {Error}
+ * @returns {{slug: string, payload: Object, migrations: string[]}}
+ */
+function importSavedJson(text, fileName) {
+  return loadWriters().importCoursePayload(JSON.parse(text), fileName);
+}
+
+/**
+ * Builds the selected formats for an extraction, with the same writers,
+ * file names and schema checks as the extension. `settings.fileSettings`
+ * carries the file name template, as the popup passes it.
+ *
+ * @param {{slug: string, payload: Object}} extraction
+ * @param {Object} [settings] Export settings; defaults match the popup's.
+ * @throws {Error} When a format is unknown, the file name template is
+ * invalid or a payload breaks its schema.
+ * @returns {ExportFile[]}
+ */
+function buildExportFiles(extraction, settings = {}) {
+  const writers = loadWriters();
+  const exportSettings = {
+    ...writers.DEFAULT_EXPORT_SETTINGS,
+    ...settings,
+  };
+  exportSettings.taskTemplate =
+    exportSettings.taskTemplate || writers.DEFAULT_TASK_TEMPLATE;
+
+  const unknownIds = exportSettings.formatIds.filter(
+    (formatId) =>
+      !writers.EXPORT_FORMATS.some((format) => format.id === formatId),
+  );
+  if (unknownIds.length) {
+    throw new Error(
+      `Unknown format: ${unknownIds.join(', ')}. Available: ${writers.EXPORT_FORMATS.map(
+        (format) => format.id,
+      ).join(', ')}.`,
+    );
+  }
+
+  const { fileNameTemplate } = {
+    ...writers.DEFAULT_FILE_SETTINGS,
+    ...exportSettings.fileSettings,
+  };
+  const templateProblems = writers.validateFileNameTemplate(fileNameTemplate);
+  if (templateProblems.length) {
+    throw new Error(templateProblems.join(' '));
+  }
+  const fileBase = writers.buildCourseFileBase(
+    fileNameTemplate,
+    extraction.slug,
+    extraction.payload,
+  );
+
+  return writers.EXPORT_FORMATS.filter((format) =>
+    exportSettings.formatIds.includes(format.id),
+  ).flatMap((format) =>
+    writers
+      .buildFormatFiles(format, fileBase, extraction.payload, exportSettings)
+      .map(({ fileName, content, keepExisting }) => {
+        writers.assertValidExportPayload(fileName, content);
+        return {
+          fileName,
+          content: writers.serializeFileContent(content),
+          keepExisting,
+        };
+      }),
+  );
+}
+
+/**
+ * Writes exported files below a folder, creating subfolders. Files that
+ * keep existing ones, such as notes, are left alone when already there,
+ * apart from their generated block, such as a note's lesson list.
+ *
+ * @param {string} outDir
+ * @param {ExportFile[]} files
+ * @returns {{written: string[], updated: string[], kept: string[]}} Paths below `outDir`.
+ */
+function writeExportFiles(outDir, files) {
+  const written = [];
+  const updated = [];
+  const kept = [];
+  for (const file of files) {
+    const filePath = path.join(outDir, file.fileName);
+    if (file.keepExisting && fs.existsSync(filePath)) {
+      const existing = fs.readFileSync(filePath, 'utf8');
+      const merged =
+        typeof file.content === 'string'
+          ? loadWriters().mergeGeneratedBlock(existing, file.content)
+          : '';
+      if (merged && merged !== existing) {
+        fs.writeFileSync(filePath, merged);
+        updated.push(filePath);
+      } else {
+        kept.push(filePath);
+      }
+      continue;
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, file.content);
+    written.push(filePath);
+  }
+  return { written, updated, kept };
+}
+
+module.exports = {
+  loadWriters,
+  parseSavedPage,
+  extractSavedCourse,
+  importSavedJson,
+  buildExportFiles,
+  writeExportFiles,
+};
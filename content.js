@@ -1,34 +1,155 @@
 (function () {
   'use strict';
 
-  if (window.__fmCourseJsonExporterLoaded) {
-    return;
+  const isNodeModule = typeof module === 'object' && Boolean(module.exports);
+
+  if (!isNodeModule) {
+    if (window.__fmCourseJsonExporterLoaded) {
+      return;
+    }
+    window.__fmCourseJsonExporterLoaded = true;
   }
-  window.__fmCourseJsonExporterLoaded = true;
+
+  const {
+    mergeSelectorProfile,
+    findSiteAdapter,
+    getSelectorOverridesBySite,
+    toIsoDuration,
+    slugify,
+    reserveUniqueKey,
+  } = isNodeModule
+    ? {
+        ...require('./selector-profile.js'),
+        ...require('./site-adapters.js'),
+        ...require('./durations.js'),
+        ...require('./keys.js'),
+      }
+    : globalThis;
 
   /**
    * @typedef {Object} CourseData
    * @property {string} courseTitle
    * @property {string} courseDescription
-   * @property {string} tutor
+   * @property {string} tutor All instructor names, joined with `, `.
+   * @property {Instructor[]} tutors
    * @property {string} totalDuration
+   * @property {number | null} totalDurationSeconds From the course header; `null` when it shows no duration.
+   * @property {string} totalDurationIso `totalDurationSeconds` as an ISO 8601 duration, such as `PT3H12M`.
    * @property {string} publishedDate
+   * @property {CourseMaterial[]} resources Slides, repositories and other course links.
+   * @property {CourseMaterial[]} prerequisites
+   * @property {CourseMaterial[]} relatedCourses Related, next and Learning Path courses.
    * @property {number} [sectionCount]
    * @property {number} [lessonCount]
    * @property {string} [courseUrl]
+   * @property {number} [watchedMinutes] Summed from lesson progress.
+   * @property {number} [remainingMinutes] Summed from lesson progress.
+   * @property {DurationCheck} [durationCheck] Lesson time compared with the header totals.
+   */
+
+  /**
+   * @typedef {Object} DurationComparison
+   * @property {number | null} headerSeconds Total shown in the course or section header.
+   * @property {number | null} lessonSeconds Sum of the lesson time ranges; `null` when a lesson has none.
+   * @property {number | null} differenceSeconds `lessonSeconds - headerSeconds`.
+   * @property {'ok' | 'mismatch' | 'unknown'} status `unknown` when either side is missing.
+   */
+
+  /**
+   * @typedef {DurationComparison & {sectionId: string, sectionTitle: string}} SectionDurationComparison
+   */
+
+  /**
+   * @typedef {Object} DurationCheck
+   * @property {number} toleranceSeconds Largest difference still counted as `ok`; headers only show whole minutes.
+   * @property {DurationComparison} course
+   * @property {SectionDurationComparison[]} sections
+   * @property {string[]} mismatches One message per `mismatch`.
+   */
+
+  /**
+   * @typedef {Object} Instructor
+   * @property {string} name
+   * @property {string} profileUrl
+   * @property {string} title Title and company line under the name.
+   * @property {string} avatarUrl
+   */
+
+  /**
+   * @typedef {Object} CourseMaterial
+   * @property {string} title
+   * @property {string} url Empty for prerequisites given as plain text.
+   * @property {string} kind `slides`, `repository` or `link` for resources; `course`, `link` or `text` for prerequisites; `next`, `related` or `learning-path` for related courses.
    */
 
   /**
    * @typedef {Object} LessonData
-   * @property {number} id
+   * @property {string} id Stable key derived from the lesson URL slug.
+   * @property {number} position 1-based lesson order on the page.
    * @property {string} title
    * @property {string} description
-   * @property {string} duration
+   * @property {string} duration Whole minutes, rounded.
+   * @property {number | null} durationSeconds From `timeRange`; `null` when it cannot be read.
+   * @property {string} durationIso `durationSeconds` as an ISO 8601 duration, such as `PT5M30S`.
    * @property {string} timeRange
+   * @property {number | null} startSeconds Start of `timeRange` in the course video.
+   * @property {number | null} endSeconds End of `timeRange` in the course video.
    * @property {string} lessonUrl
-   * @property {number} sectionId
+   * @property {string} sectionId Stable key derived from the section title.
+   * @property {number} sectionPosition 1-based section order on the page.
    * @property {string} sectionTitle
    * @property {string} sectionDuration
+   * @property {number | null} sectionDurationSeconds From the section header.
+   * @property {string} sectionDurationIso
+   * @property {LessonProgress} progress Watch state of the logged-in user.
+   * @property {string} [fullDescription] Deep export only.
+   * @property {LessonLink[]} [resources] Deep export only.
+   * @property {LessonReference | null} [previousLesson] Deep export only.
+   * @property {LessonReference | null} [nextLesson] Deep export only.
+   * @property {VideoChapter[]} [chapters] Deep export only.
+   * @property {string} [detailsError] Deep export only; set when the lesson page could not be read.
+   */
+
+  /**
+   * @typedef {Object} LessonProgress
+   * @property {'not-started' | 'in-progress' | 'completed'} status
+   * @property {number | null} percent Watched percentage, when the page shows one.
+   */
+
+  /**
+   * @typedef {Object} LessonLink
+   * @property {string} title
+   * @property {string} url
+   */
+
+  /**
+   * @typedef {Object} LessonReference
+   * @property {string} id
+   * @property {string} title
+   * @property {string} lessonUrl
+   */
+
+  /**
+   * @typedef {Object} VideoChapter
+   * @property {string} time
+   * @property {number} seconds
+   * @property {string} title
+   */
+
+  /**
+   * @typedef {Object} CourseLink
+   * @property {string} slug
+   * @property {string} title
+   * @property {string} courseUrl
+   */
+
+  /**
+   * @typedef {Object} ExtractCourseLinksResult
+   * @property {'learning-path' | 'catalog'} listingType
+   * @property {string} listingSlug
+   * @property {string} listingTitle
+   * @property {string} listingUrl
+   * @property {CourseLink[]} courses
    */
 
   /**
@@ -38,7 +159,310 @@
    *   courseData: CourseData,
    *   lessons: LessonData[]
    * }} payload
+   * @property {string} [extractedAt] ISO 8601 time the page was read.
+   * @property {ExtractionHealth} [health]
+   */
+
+  /**
+   * @typedef {Object} ExtractionPage
+   * @property {Document} document
+   * @property {{href: string, origin: string, pathname: string}} location
+   * @property {SiteAdapter | null} adapter Site the page belongs to; `null` on unsupported pages.
+   * @property {(lessonUrl: string) => Promise<Document>} loadLessonDocument
+   * @property {number} lessonRequestDelayMs Pause between lesson page requests.
+   * @property {(done: number, total: number, title: string) => void} reportProgress Deep export progress.
+   */
+
+  /**
+   * @typedef {Object} ExtractionOptions
+   * @property {boolean} [deep] Also read every lesson page.
+   * @property {SelectorProfile} [selectorProfile] Overrides for the site's default selector profile.
+   * @property {(lessonUrl: string) => Promise<Document>} [loadLessonDocument] Defaults to fetching the page.
+   * @property {number} [lessonRequestDelayMs]
+   * @property {(done: number, total: number, title: string) => void} [reportProgress]
+   */
+
+  /**
+   * @typedef {Object} FieldHealth
+   * @property {string} field Selector profile field.
+   * @property {number} total How often the field was read: once for course fields, once per section or lesson otherwise.
+   * @property {number} empty How often it came out empty.
+   * @property {Record<string, number>} matched How often each selector matched; any but the first in the profile is a fallback.
+   */
+
+  /**
+   * @typedef {Object} ExtractionHealth
+   * @property {FieldHealth[]} fields
+   * @property {string[]} warnings Selector warnings, then duration mismatches from `courseData.durationCheck`.
+   */
+
+  const LESSON_PAGE_REQUEST_DELAY_MS = 750;
+
+  /**
+   * Course and section headers round to whole minutes, so lesson time that
+   * differs by less than this is not a mismatch.
+   */
+  const DURATION_TOLERANCE_SECONDS = 60;
+
+  const EXPORT_SETTINGS_STORAGE_KEY = 'exportSettings';
+
+  const SELECTOR_PROFILE_STORAGE_KEY = 'selectorProfile';
+
+  const PAGE_BUTTON_ID = 'fm-course-json-export-button';
+
+  /**
+   * State of one extraction: the page, its selector profile and the field
+   * reads recorded so far. Every extraction gets its own, so extractions
+   * running at the same time keep their pages and health reports apart.
+   *
+   * @typedef {Object} ExtractionContext
+   * @property {ExtractionPage} page
+   * @property {SelectorProfile} selectorProfile The site adapter's profile with overrides from the options page applied.
+   * @property {Map<string, FieldHealth>} fieldHealth
+   */
+
+  /**
+   * Creates the context for the live page in the content script. Its
+   * selector profile is filled in by `loadSelectorProfile`.
+   *
+   * @returns {ExtractionContext}
+   */
+  function createPageExtractionContext() {
+    return {
+      page: {
+        document,
+        location: window.location,
+        adapter: findSiteAdapter(window.location.href),
+        loadLessonDocument: fetchLessonDocument,
+        lessonRequestDelayMs: LESSON_PAGE_REQUEST_DELAY_MS,
+        reportProgress: reportDeepExportProgress,
+      },
+      selectorProfile: {},
+      fieldHealth: new Map(),
+    };
+  }
+
+  /**
+   * Creates the context for a parsed page outside the browser.
+   *
+   * @param {Document} document
+   * @param {string} pageUrl The URL the page was saved from.
+   * @param {ExtractionOptions} [options]
+   * @throws {Error} When no site adapter handles the URL.
+   * @returns {ExtractionContext}
+   */
+  function createExtractionContext(document, pageUrl, options = {}) {
+    const { href, origin, pathname } = new URL(pageUrl);
+    const context = {
+      page: {
+        document,
+        location: { href, origin, pathname },
+        adapter: findSiteAdapter(href),
+        loadLessonDocument: options.loadLessonDocument || fetchLessonDocument,
+        lessonRequestDelayMs:
+          options.lessonRequestDelayMs ?? LESSON_PAGE_REQUEST_DELAY_MS,
+        reportProgress: options.reportProgress || (() => {}),
+      },
+      selectorProfile: {},
+      fieldHealth: new Map(),
+    };
+    context.selectorProfile = mergeSelectorProfile(
+      getPageAdapter(context).selectorProfile,
+      options.selectorProfile,
+    );
+    return context;
+  }
+
+  /**
+   * Returns the site adapter of the page being extracted.
+   *
+   * @param {ExtractionContext} context
+   * @throws {Error}
+   * @returns {SiteAdapter}
+   */
+  function getPageAdapter(context) {
+    if (!context.page.adapter) {
+      throw new Error(`No site adapter handles ${context.page.location.href}.`);
+    }
+    return context.page.adapter;
+  }
+
+  /**
+   * Loads the selector profile overrides saved on the options page.
+   *
+   * @param {ExtractionContext} context
+   * @returns {Promise<void>}
+   */
+  async function loadSelectorProfile(context) {
+    const adapter = getPageAdapter(context);
+    try {
+      const stored = await chrome.storage.local.get(
+        SELECTOR_PROFILE_STORAGE_KEY,
+      );
+      context.selectorProfile = mergeSelectorProfile(
+        adapter.selectorProfile,
+        getSelectorOverridesBySite(stored[SELECTOR_PROFILE_STORAGE_KEY])[
+          adapter.id
+        ],
+      );
+    } catch (_error) {
+      context.selectorProfile = adapter.selectorProfile;
+    }
+  }
+
+  /**
+   * Returns the health record of a field, creating it on first use.
+   *
+   * @param {ExtractionContext} context
+   * @param {string} field
+   * @returns {FieldHealth}
+   */
+  function getFieldHealth(context, field) {
+    if (!context.fieldHealth.has(field)) {
+      context.fieldHealth.set(field, {
+        field,
+        total: 0,
+        empty: 0,
+        matched: {},
+      });
+    }
+    return context.fieldHealth.get(field);
+  }
+
+  /**
+   * Runs a selector, treating an invalid override as no match.
+   *
+   * @param {ParentNode} root
+   * @param {string} selector
+   * @param {boolean} all
+   * @returns {Element[]}
+   */
+  function runSelector(root, selector, all) {
+    try {
+      if (all) {
+        return Array.from(root.querySelectorAll(selector));
+      }
+      const node = root.querySelector(selector);
+      return node ? [node] : [];
+    } catch (_error) {
+      return [];
+    }
+  }
+
+  /**
+   * Returns the elements of the first selector of a profile field that
+   * matches anything, and records which selector that was.
+   *
+   * @param {ExtractionContext} context
+   * @param {ParentNode} root
+   * @param {string} field
+   * @param {boolean} all
+   * @returns {Element[]}
+   */
+  function selectWithProfile(context, root, field, all) {
+    for (const selector of context.selectorProfile[field] || []) {
+      const nodes = runSelector(root, selector, all);
+      if (nodes.length) {
+        const health = getFieldHealth(context, field);
+        health.matched[selector] = (health.matched[selector] || 0) + 1;
+        return nodes;
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Returns the first element matching a profile field, trying its
+   * selectors in order.
+   *
+   * @param {ExtractionContext} context
+   * @param {ParentNode} root
+   * @param {string} field
+   * @returns {Element | null}
    */
+  function selectField(context, root, field) {
+    return selectWithProfile(context, root, field, false)[0] || null;
+  }
+
+  /**
+   * Returns every element matching the first selector of a profile field
+   * that matches anything.
+   *
+   * @param {ExtractionContext} context
+   * @param {ParentNode} root
+   * @param {string} field
+   * @returns {Element[]}
+   */
+  function selectAllField(context, root, field) {
+    return selectWithProfile(context, root, field, true);
+  }
+
+  /**
+   * Records whether a field read produced a value, and returns the value.
+   *
+   * @template T
+   * @param {ExtractionContext} context
+   * @param {string} field
+   * @param {T} value
+   * @returns {T}
+   */
+  function noteFieldValue(context, field, value) {
+    const health = getFieldHealth(context, field);
+    health.total += 1;
+    if (
+      value === null ||
+      value === undefined ||
+      value === '' ||
+      (Array.isArray(value) && !value.length)
+    ) {
+      health.empty += 1;
+    }
+    return value;
+  }
+
+  /**
+   * Summarizes the recorded field reads as a health report with warnings
+   * for missing fields, partly empty fields and fallback matches. Fields
+   * with no selectors are not shown by the site and are left out.
+   *
+   * @param {ExtractionContext} context
+   * @returns {ExtractionHealth}
+   */
+  function buildExtractionHealth(context) {
+    const fields = Array.from(context.fieldHealth.values()).filter(
+      (health) => context.selectorProfile[health.field]?.length,
+    );
+    const warnings = [];
+
+    for (const health of fields) {
+      const selectors = context.selectorProfile[health.field] || [];
+      const unit = health.field.startsWith('lesson')
+        ? ' lessons'
+        : health.field.startsWith('section')
+          ? ' sections'
+          : '';
+
+      if (health.total && health.empty === health.total) {
+        warnings.push(
+          `${health.field}: not found (tried ${selectors.join(' | ')}).`,
+        );
+      } else if (health.empty) {
+        warnings.push(
+          `${health.field}: empty on ${health.empty} of ${health.total}${unit}.`,
+        );
+      }
+
+      for (const [selector, count] of Object.entries(health.matched)) {
+        if (selector !== selectors[0]) {
+          warnings.push(
+            `${health.field}: matched fallback "${selector}" (${count}×).`,
+          );
+        }
+      }
+    }
+
+    return { fields, warnings };
+  }
 
   /**
    * Normalizes whitespace and strips invisible zero-width spaces.
@@ -54,33 +478,42 @@
   }
 
   /**
-   * Extracts total duration in minutes from text.
+   * Extracts a duration in whole minutes from text such as
+   * `2 hours, 5 minutes` or `45 mins`. Text without a unit gives an empty
+   * string, so a stray number such as a year is never read as minutes.
    *
    * @param {unknown} value
    * @returns {string}
    */
   function extractMinutes(value) {
-    const text = cleanText(value).toLowerCase();
-    if (!text) {
-      return '';
-    }
-
-    const hoursMatch = text.match(/(\d+)\s*hours?/);
-    const minutesMatch = text.match(/(\d+)\s*minutes?/);
-    const minShortMatch = text.match(/(\d+)\s*mins?\b/);
+    const seconds = extractSeconds(value);
+    return seconds === null ? '' : String(Math.round(seconds / 60));
+  }
 
-    if (hoursMatch || minutesMatch) {
-      const hours = hoursMatch ? Number(hoursMatch[1]) : 0;
-      const minutes = minutesMatch ? Number(minutesMatch[1]) : 0;
-      return String(hours * 60 + minutes);
-    }
+  /**
+   * Extracts a duration in seconds from header text such as
+   * `2 hours, 5 minutes`, `45 mins` or `1h 5m 30s`. Text without a unit
+   * gives `null`.
+   *
+   * @param {unknown} value
+   * @returns {number | null}
+   */
+  function extractSeconds(value) {
+    const text = cleanText(value).toLowerCase();
+    const units = [
+      [/(\d+)\s*(?:hours?|hrs?|h)\b/, 3600],
+      [/(\d+)\s*(?:minutes?|mins?|m)\b/, 60],
+      [/(\d+)\s*(?:seconds?|secs?|s)\b/, 1],
+    ];
 
-    if (minShortMatch) {
-      return String(Number(minShortMatch[1]));
+    let seconds = null;
+    for (const [pattern, factor] of units) {
+      const match = text.match(pattern);
+      if (match) {
+        seconds = (seconds || 0) + Number(match[1]) * factor;
+      }
     }
-
-    const fallbackNumber = text.match(/(\d+)/);
-    return fallbackNumber ? String(Number(fallbackNumber[1])) : '';
+    return seconds;
   }
 
   /**
@@ -111,59 +544,76 @@
   }
 
   /**
-   * Calculates lesson duration in minutes from a `start-end` time range.
+   * Reads the start and end of a `start-end` time range in seconds.
    *
    * @param {unknown} value
-   * @returns {string}
+   * @returns {{startSeconds: number, endSeconds: number} | null}
    */
-  function getDurationFromTimeRange(value) {
-    const range = cleanText(value);
-    if (!range) {
-      return '';
-    }
-
-    const parts = range.split('-').map((item) => cleanText(item));
-    if (parts.length !== 2) {
-      return '';
+  function parseTimeRange(value) {
+    const parts = cleanText(value)
+      .split('-')
+      .map((item) => cleanText(item));
+    if (parts.length !== 2 || !parts[0] || !parts[1]) {
+      return null;
     }
 
-    const start = timestampToSeconds(parts[0]);
-    const end = timestampToSeconds(parts[1]);
-    if (start === null || end === null || end < start) {
-      return '';
+    const startSeconds = timestampToSeconds(parts[0]);
+    const endSeconds = timestampToSeconds(parts[1]);
+    if (
+      startSeconds === null ||
+      endSeconds === null ||
+      endSeconds < startSeconds
+    ) {
+      return null;
     }
-
-    return String(Math.round((end - start) / 60));
+    return { startSeconds, endSeconds };
   }
 
   /**
-   * Extracts the course slug from a pathname.
+   * Extracts the course slug from a pathname of the page's site.
    *
+   * @param {ExtractionContext} context
    * @param {string} pathname
    * @returns {string}
    */
-  function getCourseSlug(pathname) {
-    const parts = pathname.split('/').filter(Boolean);
-    if (parts[0] !== 'courses' || parts.length < 2) {
+  function getCourseSlug(context, pathname) {
+    return getPageAdapter(context).getCourseSlug(pathname);
+  }
+
+  /**
+   * Returns the slug of a link to a course page of the same site, or an
+   * empty string for lesson pages and other links.
+   *
+   * @param {ExtractionContext} context
+   * @param {string} url Absolute URL.
+   * @returns {string}
+   */
+  function getCourseLinkSlug(context, url) {
+    const { origin, pathname } = new URL(url);
+    if (
+      origin !== context.page.location.origin ||
+      getPageAdapter(context).getLessonSlug(pathname)
+    ) {
       return '';
     }
-    return parts[1];
+    return getCourseSlug(context, pathname);
   }
 
   /**
    * Resolves a possibly relative URL against the current origin.
    *
+   * @param {ExtractionContext} context
    * @param {unknown} value
    * @returns {string}
    */
-  function toAbsoluteUrl(value) {
+  function toAbsoluteUrl(context, value) {
     const href = cleanText(value);
     if (!href) {
       return '';
     }
 
     try {
-      return new URL(href, window.location.origin).href;
+      return new URL(href, context.page.location.origin).href;
     } catch (_error) {
       return '';
     }
@@ -172,23 +622,28 @@
   /**
    * Builds the canonical course URL from slug.
    *
+   * @param {ExtractionContext} context
    * @param {string} slug
    * @returns {string}
    */
-  function buildCourseUrl(slug) {
+  function buildCourseUrl(context, slug) {
     if (!slug) {
       return '';
     }
-    return `${window.location.origin}/courses/${slug}/`;
+    return getPageAdapter(context).buildCourseUrl(
+      context.page.location.origin,
+      slug,
+    );
   }
 
   /**
    * Reads the course description from the page.
    *
+   * @param {ExtractionContext} context
    * @returns {string}
    */
-  function getCourseDescription() {
-    const headings = Array.from(document.querySelectorAll('h3'));
+  function getCourseDescription(context) {
+    const headings = Array.from(context.page.document.querySelectorAll('h3'));
     const descriptionHeading = headings.find(
       (item) =>
         cleanText(item.textContent).toLowerCase() === 'course description',
@@ -204,18 +659,23 @@
       }
     }
 
-    const fallbackParagraph = document.querySelector('.content p');
-    return cleanText(fallbackParagraph ? fallbackParagraph.textContent : '');
+    return cleanText(
+      selectField(context, context.page.document, 'courseDescription')
+        ?.textContent,
+    );
   }
 
   /**
    * Extracts the published date label from the page.
    *
+   * @param {ExtractionContext} context
    * @returns {string}
    */
-  function getPublishedDate() {
-    const candidates = Array.from(
-      document.querySelectorAll('.group .duration'),
+  function getPublishedDate(context) {
+    const candidates = selectAllField(
+      context,
+      context.page.document,
+      'publishedDate',
     );
     const publishedNode = candidates.find((node) =>
       cleanText(node.textContent).toLowerCase().includes('published'),
@@ -279,165 +739,758 @@
   }
 
   /**
-   * Extracts top-level course metadata.
+   * Returns the elements that follow each heading matching `pattern`, up to
+   * the next heading.
    *
-   * @returns {CourseData}
+   * @param {ExtractionContext} context
+   * @param {RegExp} pattern
+   * @returns {{heading: Element, blocks: Element[]}[]}
    */
-  function extractCourseData() {
-    const title = cleanText(
-      document.querySelector('.Course-Header-Details h1')?.textContent,
-    );
-    const description = getCourseDescription();
-    const tutor = cleanText(
-      document.querySelector('.FM-Round-Thumbnail-Item .text .main a')
-        ?.textContent,
-    );
-    const totalDuration = extractMinutes(
-      document.querySelector('.Course-Header-Meta')?.textContent || '',
-    );
-    const publishedDate = normalizePublishedDate(getPublishedDate());
+  function findHeadingBlocks(context, pattern) {
+    const headings = Array.from(
+      context.page.document.querySelectorAll('h2, h3, h4'),
+    ).filter((heading) => pattern.test(cleanText(heading.textContent)));
 
-    return {
-      courseTitle: title,
-      courseDescription: description,
-      tutor,
-      totalDuration,
-      publishedDate,
-    };
+    return headings.map((heading) => {
+      const blocks = [];
+      let node = heading.nextElementSibling;
+      while (node && !node.matches('h1, h2, h3, h4')) {
+        blocks.push(node);
+        node = node.nextElementSibling;
+      }
+      return { heading, blocks };
+    });
   }
 
   /**
-   * Reads a lesson's `start-end` time range text.
+   * Collects unique absolute links from elements.
    *
-   * @param {Element} lessonItem
-   * @returns {string}
+   * @param {ExtractionContext} context
+   * @param {Element[]} nodes
+   * @returns {{title: string, url: string}[]}
    */
-  function extractTimeRange(lessonItem) {
-    const timestampLink = lessonItem.querySelector('a.timestamp');
-    if (!timestampLink) {
-      return '';
-    }
+  function collectLinks(context, nodes) {
+    const links = [];
+    const seenUrls = new Set();
 
-    const spanNodes = timestampLink.querySelectorAll('span');
-    if (spanNodes.length === 0) {
-      return '';
+    for (const node of nodes) {
+      const anchors = node.matches('a[href]')
+        ? [node]
+        : Array.from(node.querySelectorAll('a[href]'));
+      for (const anchor of anchors) {
+        const url = toAbsoluteUrl(context, anchor.getAttribute('href'));
+        if (!/^https?:/.test(url) || seenUrls.has(url)) {
+          continue;
+        }
+        seenUrls.add(url);
+        links.push({ title: cleanText(anchor.textContent) || url, url });
+      }
     }
-
-    return cleanText(spanNodes[0].textContent);
+    return links;
   }
 
   /**
-   * Extracts lesson URL from available anchors.
+   * Classifies a course resource link.
    *
-   * @param {Element} lessonItem
+   * @param {{title: string, url: string}} link
    * @returns {string}
    */
-  function extractLessonUrl(lessonItem) {
-    const linkNode =
-      lessonItem.querySelector('.title a') ||
-      lessonItem.querySelector('a.timestamp') ||
-      lessonItem.querySelector('a.thumbnail');
-
-    return toAbsoluteUrl(linkNode?.getAttribute('href'));
+  function getResourceKind(link) {
+    const text = `${link.title} ${link.url}`.toLowerCase();
+    if (/github\.com|gitlab\.com|bitbucket\.org|\brepo(sitory)?\b/.test(text)) {
+      return 'repository';
+    }
+    if (
+      /slides|speakerdeck|slideshare|docs\.google\.com\/presentation/.test(text)
+    ) {
+      return 'slides';
+    }
+    return 'link';
   }
 
   /**
-   * Builds lesson list with section metadata.
+   * Reads slides, repositories and other material links from the header and
+   * the resources block.
    *
-   * @returns {LessonData[]}
+   * @param {ExtractionContext} context
+   * @returns {CourseMaterial[]}
    */
-  function extractLessons() {
-    const sequence = Array.from(
-      document.querySelectorAll('.Course-Lesson-Group, ul.Course-Lesson-List'),
+  function extractCourseResources(context) {
+    const headerLinks = collectLinks(
+      context,
+      Array.from(context.page.document.querySelectorAll('.Course-Header')),
+    ).filter((link) => getResourceKind(link) !== 'link');
+    const blockLinks = collectLinks(
+      context,
+      findHeadingBlocks(
+        context,
+        /^(course )?(resources|materials|slides|links)\b/i,
+      ).flatMap((match) => match.blocks),
     );
 
-    const lessons = [];
-    let nextSectionId = 1001;
-    let nextLessonId = 1;
-    let currentSection = null;
+    const seenUrls = new Set();
+    return [...headerLinks, ...blockLinks]
+      .filter((link) => {
+        if (seenUrls.has(link.url)) {
+          return false;
+        }
+        seenUrls.add(link.url);
+        return true;
+      })
+      .map((link) => ({ ...link, kind: getResourceKind(link) }));
+  }
 
-    for (const node of sequence) {
-      if (node.matches('.Course-Lesson-Group')) {
-        currentSection = {
-          id: nextSectionId,
-          title: cleanText(node.querySelector('h3')?.textContent),
-          duration: extractMinutes(
-            node.querySelector('.duration')?.textContent,
-          ),
-        };
-        nextSectionId += 1;
-        continue;
+  /**
+   * Reads the prerequisites list. Items without a link are kept as text.
+   *
+   * @param {ExtractionContext} context
+   * @returns {CourseMaterial[]}
+   */
+  function extractPrerequisites(context) {
+    const blocks = findHeadingBlocks(
+      context,
+      /prerequisite|what you should know|requirements/i,
+    ).flatMap((match) => match.blocks);
+    const items = blocks.flatMap((block) => {
+      const listItems = Array.from(block.querySelectorAll('li'));
+      if (listItems.length) {
+        return listItems;
       }
+      return block.matches('p, li') ? [block] : [];
+    });
 
-      if (!node.matches('ul.Course-Lesson-List')) {
-        continue;
-      }
+    return items
+      .map((item) => {
+        const [link] = collectLinks(context, [item]);
+        if (!link) {
+          return { title: cleanText(item.textContent), url: '', kind: 'text' };
+        }
+        return {
+          title: cleanText(item.textContent) || link.title,
+          url: link.url,
+          kind: getCourseLinkSlug(context, link.url) ? 'course' : 'link',
+        };
+      })
+      .filter((item) => item.title);
+  }
 
-      if (!currentSection) {
-        currentSection = { id: nextSectionId, title: '', duration: '' };
-        nextSectionId += 1;
-      }
+  /**
+   * Reads related, next and Learning Path course links.
+   *
+   * @param {ExtractionContext} context
+   * @param {string} currentSlug
+   * @returns {CourseMaterial[]}
+   */
+  function extractRelatedCourses(context, currentSlug) {
+    const courses = [];
+    const seenUrls = new Set();
 
-      const lessonItems = Array.from(
-        node.querySelectorAll('li.Course-Lesson-List-Item'),
-      );
-      for (const lessonItem of lessonItems) {
-        const title = cleanText(
-          lessonItem.querySelector('.title a')?.textContent,
-        );
-        const description = cleanText(
-          lessonItem.querySelector('.description')?.textContent,
-        );
-        const timeRange = extractTimeRange(lessonItem);
-        const duration = getDurationFromTimeRange(timeRange);
-        const lessonUrl = extractLessonUrl(lessonItem);
+    for (const match of findHeadingBlocks(
+      context,
+      /related|next course|up next|you might also|recommended|learning paths?/i,
+    )) {
+      const isNext = /next/i.test(cleanText(match.heading.textContent));
 
-        lessons.push({
-          id: nextLessonId,
-          title,
-          description,
-          duration,
-          timeRange,
-          lessonUrl,
-          sectionId: currentSection.id,
-          sectionTitle: currentSection.title,
-          sectionDuration: currentSection.duration,
-        });
+      for (const link of collectLinks(context, match.blocks)) {
+        const isLearningPath =
+          getPageAdapter(context).getCourseListing(new URL(link.url).pathname)
+            ?.type === 'learning-path';
+        const slug = getCourseLinkSlug(context, link.url);
+        if ((!slug && !isLearningPath) || slug === currentSlug) {
+          continue;
+        }
+        if (seenUrls.has(link.url)) {
+          continue;
+        }
+        seenUrls.add(link.url);
 
-        nextLessonId += 1;
+        let kind = 'related';
+        if (isLearningPath) {
+          kind = 'learning-path';
+        } else if (isNext) {
+          kind = 'next';
+        }
+        courses.push({ ...link, kind });
       }
     }
 
-    return lessons;
+    return courses;
   }
 
   /**
-   * Extracts full payload used by popup export flow.
+   * Reads every instructor card from the course header.
    *
-   * @throws {Error}
-   * @returns {ExtractCoursePayloadResult}
+   * @param {ExtractionContext} context
+   * @returns {Instructor[]}
    */
-  function extractCoursePayload() {
-    const slug = getCourseSlug(window.location.pathname);
-    if (!slug) {
-      throw new Error('URL is not in /courses/<course-slug>/ format.');
+  function extractInstructors(context) {
+    const cards = selectAllField(
+      context,
+      context.page.document,
+      'instructorCard',
+    );
+    const instructors = [];
+    const seenNames = new Set();
+
+    for (const card of cards) {
+      const nameNode = selectField(context, card, 'instructorName');
+      const link = nameNode?.matches('a')
+        ? nameNode
+        : nameNode?.querySelector('a');
+      const name = cleanText(nameNode?.textContent);
+      if (!name || seenNames.has(name)) {
+        continue;
+      }
+      seenNames.add(name);
+
+      const image = card.querySelector('img');
+      instructors.push({
+        name,
+        profileUrl: toAbsoluteUrl(context, link?.getAttribute('href')),
+        title: cleanText(
+          card.querySelector('.text .sub, .text .company, .text .title')
+            ?.textContent,
+        ),
+        avatarUrl: toAbsoluteUrl(
+          context,
+          image?.getAttribute('src') || image?.getAttribute('data-src'),
+        ),
+      });
+    }
+
+    return instructors;
+  }
+
+  /**
+   * Extracts top-level course metadata.
+   *
+   * @param {ExtractionContext} context
+   * @returns {CourseData}
+   */
+  function extractCourseData(context) {
+    const title = noteFieldValue(
+      context,
+      'courseTitle',
+      cleanText(
+        selectField(context, context.page.document, 'courseTitle')?.textContent,
+      ),
+    );
+    const description = noteFieldValue(
+      context,
+      'courseDescription',
+      getCourseDescription(context),
+    );
+    const tutors = noteFieldValue(
+      context,
+      'instructorCard',
+      extractInstructors(context),
+    );
+    const durationText = selectField(
+      context,
+      context.page.document,
+      'courseDuration',
+    )?.textContent;
+    const totalDuration = noteFieldValue(
+      context,
+      'courseDuration',
+      extractMinutes(durationText),
+    );
+    const totalDurationSeconds = extractSeconds(durationText);
+    const publishedDate = noteFieldValue(
+      context,
+      'publishedDate',
+      normalizePublishedDate(getPublishedDate(context)),
+    );
+
+    return {
+      courseTitle: title,
+      courseDescription: description,
+      tutor: tutors.map((instructor) => instructor.name).join(', '),
+      tutors,
+      totalDuration,
+      totalDurationSeconds,
+      totalDurationIso: toIsoDuration(totalDurationSeconds),
+      publishedDate,
+      resources: extractCourseResources(context),
+      prerequisites: extractPrerequisites(context),
+      relatedCourses: extractRelatedCourses(
+        context,
+        getCourseSlug(context, context.page.location.pathname),
+      ),
+    };
+  }
+
+  /**
+   * Reads a lesson's `start-end` time range text.
+   *
+   * @param {ExtractionContext} context
+   * @param {Element} lessonItem
+   * @returns {string}
+   */
+  function extractTimeRange(context, lessonItem) {
+    return cleanText(
+      selectField(context, lessonItem, 'lessonTimeRange')?.textContent,
+    );
+  }
+
+  /**
+   * Reads a lesson duration shown instead of a time range, such as `(5:32)`
+   * or `5 min`, in seconds.
+   *
+   * @param {ExtractionContext} context
+   * @param {Element} lessonItem
+   * @returns {number | null}
+   */
+  function extractLessonDuration(context, lessonItem) {
+    const text = cleanText(
+      selectField(context, lessonItem, 'lessonDuration')?.textContent,
+    );
+    const clock = text.match(/(?:\d{1,2}:)?\d{1,2}:\d{2}/g)?.pop();
+    return noteFieldValue(
+      context,
+      'lessonDuration',
+      clock ? timestampToSeconds(clock) : extractSeconds(text),
+    );
+  }
+
+  /**
+   * Extracts lesson URL from available anchors.
+   *
+   * @param {ExtractionContext} context
+   * @param {Element} lessonItem
+   * @returns {string}
+   */
+  function extractLessonUrl(context, lessonItem) {
+    const linkNode = selectField(context, lessonItem, 'lessonUrl');
+    return toAbsoluteUrl(context, linkNode?.getAttribute('href'));
+  }
+
+  /**
+   * Derives a stable lesson key from the lesson slug in its URL, falling back
+   * to the title when the URL has no lesson segment.
+   *
+   * @param {ExtractionContext} context
+   * @param {string} lessonUrl
+   * @param {string} title
+   * @param {number} position
+   * @returns {string}
+   */
+  function getLessonKey(context, lessonUrl, title, position) {
+    const lessonSlug = lessonUrl
+      ? getPageAdapter(context).getLessonSlug(new URL(lessonUrl).pathname)
+      : '';
+    return slugify(lessonSlug || title) || `lesson-${position}`;
+  }
+
+  /**
+   * Derives a stable section key from the normalized section title.
+   *
+   * @param {string} title
+   * @param {number} position
+   * @returns {string}
+   */
+  function getSectionKey(title, position) {
+    return slugify(title) || `section-${position}`;
+  }
+
+  /**
+   * Reads the watched percentage from a progress bar or its attributes.
+   *
+   * @param {ExtractionContext} context
+   * @param {Element} lessonItem
+   * @returns {number | null}
+   */
+  function extractWatchedPercent(context, lessonItem) {
+    const node = selectField(context, lessonItem, 'lessonProgress');
+    if (!node) {
+      return null;
+    }
+
+    const candidates = [
+      node.getAttribute('aria-valuenow'),
+      node.getAttribute('data-progress'),
+      node.getAttribute('style')?.match(/width\s*:\s*([\d.]+)%/)?.[1],
+      node
+        .querySelector('[style*="width"]')
+        ?.getAttribute('style')
+        ?.match(/width\s*:\s*([\d.]+)%/)?.[1],
+    ];
+
+    for (const candidate of candidates) {
+      const percent = Number.parseFloat(candidate || '');
+      if (Number.isFinite(percent)) {
+        return Math.min(100, Math.max(0, Math.round(percent)));
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Returns whether the lesson item itself has one of the class names a
+   * profile field lists. Only whole class names count, so `not-started`
+   * does not match `started`, and classes of elements inside the item are
+   * ignored.
+   *
+   * @param {ExtractionContext} context
+   * @param {Element} lessonItem
+   * @param {string} field
+   * @returns {boolean}
+   */
+  function hasProfileClass(context, lessonItem, field) {
+    return (context.selectorProfile[field] || []).some((className) =>
+      lessonItem.classList.contains(className),
+    );
+  }
+
+  /**
+   * Reads the logged-in user's watch state for a lesson from the class names
+   * in `lessonCompletedClass` and `lessonInProgressClass`, and from the
+   * watched percentage.
+   *
+   * @param {ExtractionContext} context
+   * @param {Element} lessonItem
+   * @returns {LessonProgress}
+   */
+  function extractLessonProgress(context, lessonItem) {
+    const percent = extractWatchedPercent(context, lessonItem);
+
+    if (
+      hasProfileClass(context, lessonItem, 'lessonCompletedClass') ||
+      percent === 100
+    ) {
+      return { status: 'completed', percent };
+    }
+    if (
+      hasProfileClass(context, lessonItem, 'lessonInProgressClass') ||
+      (percent !== null && percent > 0)
+    ) {
+      return { status: 'in-progress', percent };
+    }
+    return { status: 'not-started', percent };
+  }
+
+  /**
+   * Sums watched and remaining minutes from lesson progress.
+   *
+   * @param {LessonData[]} lessons
+   * @returns {{watchedMinutes: number, remainingMinutes: number}}
+   */
+  function getWatchTotals(lessons) {
+    let watched = 0;
+    let total = 0;
+
+    for (const lesson of lessons) {
+      const minutes = Number(lesson.duration) || 0;
+      total += minutes;
+      if (lesson.progress.status === 'completed') {
+        watched += minutes;
+      } else if (lesson.progress.percent !== null) {
+        watched += (minutes * lesson.progress.percent) / 100;
+      }
+    }
+
+    const watchedMinutes = Math.round(watched);
+    return {
+      watchedMinutes,
+      remainingMinutes: Math.max(0, total - watchedMinutes),
+    };
+  }
+
+  /**
+   * Builds lesson list with section metadata.
+   *
+   * IDs are keys derived from lesson slugs and section titles, so inserting a
+   * lesson does not shift the IDs of the lessons after it. Page order is kept
+   * in `position` and `sectionPosition`.
+   *
+   * @param {ExtractionContext} context
+   * @returns {LessonData[]}
+   */
+  function extractLessons(context) {
+    const sectionHeaders = new Set(
+      selectAllField(context, context.page.document, 'sectionHeader'),
+    );
+    const lessonLists = noteFieldValue(
+      context,
+      'lessonList',
+      selectAllField(context, context.page.document, 'lessonList'),
+    );
+    const sequence = [...sectionHeaders, ...lessonLists].sort((a, b) =>
+      a.compareDocumentPosition(b) &
+      context.page.document.DOCUMENT_POSITION_FOLLOWING
+        ? -1
+        : 1,
+    );
+
+    const lessons = [];
+    const usedLessonKeys = new Set();
+    const usedSectionKeys = new Set();
+    let nextSectionPosition = 1;
+    let nextLessonPosition = 1;
+    let currentSection = null;
+
+    /**
+     * Registers a section and advances the section counter.
+     *
+     * @param {string} title
+     * @param {string} duration
+     * @param {number | null} durationSeconds
+     * @returns {{id: string, position: number, title: string, duration: string, durationSeconds: number | null}}
+     */
+    function createSection(title, duration, durationSeconds) {
+      const position = nextSectionPosition;
+      nextSectionPosition += 1;
+      return {
+        id: reserveUniqueKey(getSectionKey(title, position), usedSectionKeys),
+        position,
+        title,
+        duration,
+        durationSeconds,
+      };
+    }
+
+    for (const node of sequence) {
+      if (sectionHeaders.has(node)) {
+        const durationText = selectField(
+          context,
+          node,
+          'sectionDuration',
+        )?.textContent;
+        currentSection = createSection(
+          noteFieldValue(
+            context,
+            'sectionTitle',
+            cleanText(selectField(context, node, 'sectionTitle')?.textContent),
+          ),
+          noteFieldValue(
+            context,
+            'sectionDuration',
+            extractMinutes(durationText),
+          ),
+          extractSeconds(durationText),
+        );
+        continue;
+      }
+
+      if (!currentSection) {
+        currentSection = createSection('', '', null);
+      }
+
+      const lessonItems = selectAllField(context, node, 'lessonItem');
+      for (const lessonItem of lessonItems) {
+        const title = noteFieldValue(
+          context,
+          'lessonTitle',
+          getPageAdapter(context).cleanLessonTitle(
+            cleanText(
+              selectField(context, lessonItem, 'lessonTitle')?.textContent,
+            ),
+          ),
+        );
+        const description = noteFieldValue(
+          context,
+          'lessonDescription',
+          cleanText(
+            selectField(context, lessonItem, 'lessonDescription')?.textContent,
+          ),
+        );
+        const timeRange = noteFieldValue(
+          context,
+          'lessonTimeRange',
+          extractTimeRange(context, lessonItem),
+        );
+        const range = parseTimeRange(timeRange);
+        const durationSeconds = range
+          ? range.endSeconds - range.startSeconds
+          : extractLessonDuration(context, lessonItem);
+        const duration =
+          durationSeconds === null
+            ? ''
+            : String(Math.round(durationSeconds / 60));
+        const lessonUrl = noteFieldValue(
+          context,
+          'lessonUrl',
+          extractLessonUrl(context, lessonItem),
+        );
+
+        lessons.push({
+          id: reserveUniqueKey(
+            getLessonKey(context, lessonUrl, title, nextLessonPosition),
+            usedLessonKeys,
+          ),
+          position: nextLessonPosition,
+          title,
+          description,
+          duration,
+          durationSeconds,
+          durationIso: toIsoDuration(durationSeconds),
+          timeRange,
+          startSeconds: range ? range.startSeconds : null,
+          endSeconds: range ? range.endSeconds : null,
+          lessonUrl,
+          sectionId: currentSection.id,
+          sectionPosition: currentSection.position,
+          sectionTitle: currentSection.title,
+          sectionDuration: currentSection.duration,
+          sectionDurationSeconds: currentSection.durationSeconds,
+          sectionDurationIso: toIsoDuration(currentSection.durationSeconds),
+          progress: extractLessonProgress(context, lessonItem),
+        });
+
+        nextLessonPosition += 1;
+      }
+    }
+
+    return lessons;
+  }
+
+  /**
+   * Formats seconds as `H:MM:SS` or `M:SS` for messages.
+   *
+   * @param {number} seconds
+   * @returns {string}
+   */
+  function formatClock(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+    return hours
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}`
+      : `${minutes}:${rest}`;
+  }
+
+  /**
+   * Compares a header total with the summed lesson time.
+   *
+   * @param {number | null} headerSeconds
+   * @param {number | null} lessonSeconds
+   * @returns {DurationComparison}
+   */
+  function compareDurations(headerSeconds, lessonSeconds) {
+    if (headerSeconds === null || lessonSeconds === null) {
+      return {
+        headerSeconds,
+        lessonSeconds,
+        differenceSeconds: null,
+        status: 'unknown',
+      };
+    }
+
+    const differenceSeconds = lessonSeconds - headerSeconds;
+    return {
+      headerSeconds,
+      lessonSeconds,
+      differenceSeconds,
+      status:
+        Math.abs(differenceSeconds) < DURATION_TOLERANCE_SECONDS
+          ? 'ok'
+          : 'mismatch',
+    };
+  }
+
+  /**
+   * Sums lesson durations, or returns `null` when any lesson has none.
+   *
+   * @param {LessonData[]} lessons
+   * @returns {number | null}
+   */
+  function sumLessonSeconds(lessons) {
+    let total = 0;
+    for (const lesson of lessons) {
+      if (lesson.durationSeconds === null) {
+        return null;
+      }
+      total += lesson.durationSeconds;
+    }
+    return total;
+  }
+
+  /**
+   * Compares the summed lesson time with the course header total and with
+   * each section header total.
+   *
+   * @param {CourseData} courseData
+   * @param {LessonData[]} lessons
+   * @returns {DurationCheck}
+   */
+  function buildDurationCheck(courseData, lessons) {
+    const sectionLessons = new Map();
+    for (const lesson of lessons) {
+      if (!sectionLessons.has(lesson.sectionId)) {
+        sectionLessons.set(lesson.sectionId, []);
+      }
+      sectionLessons.get(lesson.sectionId).push(lesson);
+    }
+
+    const course = compareDurations(
+      courseData.totalDurationSeconds,
+      sumLessonSeconds(lessons),
+    );
+    const sections = Array.from(sectionLessons.values(), (items) => ({
+      sectionId: items[0].sectionId,
+      sectionTitle: items[0].sectionTitle,
+      ...compareDurations(
+        items[0].sectionDurationSeconds,
+        sumLessonSeconds(items),
+      ),
+    }));
+
+    const mismatches = [];
+    if (course.status === 'mismatch') {
+      mismatches.push(
+        `courseDuration: lessons add up to ${formatClock(course.lessonSeconds)}, the header says ${formatClock(course.headerSeconds)}.`,
+      );
+    }
+    for (const section of sections) {
+      if (section.status === 'mismatch') {
+        mismatches.push(
+          `sectionDuration: lessons in "${section.sectionTitle}" add up to ${formatClock(section.lessonSeconds)}, the header says ${formatClock(section.headerSeconds)}.`,
+        );
+      }
+    }
+
+    return {
+      toleranceSeconds: DURATION_TOLERANCE_SECONDS,
+      course,
+      sections,
+      mismatches,
+    };
+  }
+
+  /**
+   * Extracts full payload used by popup export flow.
+   *
+   * @param {ExtractionContext} context
+   * @throws {Error}
+   * @returns {ExtractCoursePayloadResult}
+   */
+  function extractCoursePayload(context) {
+    const slug = getCourseSlug(context, context.page.location.pathname);
+    if (!slug) {
+      throw new Error(
+        `URL is not a ${getPageAdapter(context).name} course page.`,
+      );
     }
 
-    const courseData = extractCourseData();
+    const courseData = extractCourseData(context);
     if (!courseData.courseTitle) {
-      throw new Error('Course information could not be found on the page.');
+      throw new Error(
+        `Course title could not be found on the page (tried ${context.selectorProfile.courseTitle.join(
+          ' | ',
+        )}). Adjust the selector profile in Options.`,
+      );
     }
 
-    const lessons = extractLessons();
+    const lessons = extractLessons(context);
     const sectionIds = new Set(
-      lessons
-        .map((lesson) => lesson.sectionId)
-        .filter((sectionId) => Number.isFinite(sectionId)),
+      lessons.map((lesson) => lesson.sectionId).filter(Boolean),
     );
 
     courseData.sectionCount = sectionIds.size;
     courseData.lessonCount = lessons.length;
-    courseData.courseUrl = buildCourseUrl(slug);
+    courseData.courseUrl = buildCourseUrl(context, slug);
+    Object.assign(courseData, getWatchTotals(lessons));
+    courseData.durationCheck = buildDurationCheck(courseData, lessons);
 
     return {
       slug,
@@ -448,31 +1501,517 @@
     };
   }
 
+  /**
+   * Resolves after the given delay.
+   *
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Fetches and parses a lesson page with the user's session.
+   *
+   * @param {string} lessonUrl
+   * @throws {Error}
+   * @returns {Promise<Document>}
+   */
+  async function fetchLessonDocument(lessonUrl) {
+    const response = await fetch(lessonUrl, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`Lesson page returned ${response.status}.`);
+    }
+    return new DOMParser().parseFromString(await response.text(), 'text/html');
+  }
+
+  /**
+   * Reads the full lesson description block, one line per paragraph, falling
+   * back to page metadata.
+   *
+   * @param {ExtractionContext} context
+   * @param {Document} lessonDocument
+   * @returns {{text: string, node: Element | null}}
+   */
+  function getLessonPageDescription(context, lessonDocument) {
+    const node = selectField(context, lessonDocument, 'lessonPageDescription');
+    if (node) {
+      const blocks = Array.from(node.querySelectorAll('p, li'))
+        .map((block) => cleanText(block.textContent))
+        .filter(Boolean);
+      return {
+        text: blocks.length ? blocks.join('\n') : cleanText(node.textContent),
+        node,
+      };
+    }
+
+    const meta =
+      lessonDocument.querySelector('meta[property="og:description"]') ||
+      lessonDocument.querySelector('meta[name="description"]');
+    return { text: cleanText(meta?.getAttribute('content')), node: null };
+  }
+
+  /**
+   * Collects resource links from the resources block and the description.
+   *
+   * @param {ExtractionContext} context
+   * @param {Document} lessonDocument
+   * @param {Element | null} descriptionNode
+   * @returns {LessonLink[]}
+   */
+  function extractLessonResources(context, lessonDocument, descriptionNode) {
+    const containers = [
+      selectField(context, lessonDocument, 'lessonPageResources'),
+      descriptionNode,
+    ].filter(Boolean);
+
+    const headings = Array.from(lessonDocument.querySelectorAll('h2, h3, h4'));
+    for (const heading of headings) {
+      if (
+        /^(resources|links|materials)\b/i.test(cleanText(heading.textContent))
+      ) {
+        const block = heading.nextElementSibling;
+        if (block) {
+          containers.push(block);
+        }
+      }
+    }
+
+    const resources = [];
+    const seenUrls = new Set();
+    for (const container of containers) {
+      for (const anchor of Array.from(container.querySelectorAll('a[href]'))) {
+        const url = toAbsoluteUrl(context, anchor.getAttribute('href'));
+        if (!/^https?:/.test(url) || seenUrls.has(url)) {
+          continue;
+        }
+        seenUrls.add(url);
+        resources.push({ title: cleanText(anchor.textContent) || url, url });
+      }
+    }
+    return resources;
+  }
+
+  /**
+   * Reads the previous or next lesson URL linked from a lesson page.
+   *
+   * @param {ExtractionContext} context
+   * @param {Document} lessonDocument
+   * @param {'prev' | 'next'} direction
+   * @returns {string}
+   */
+  function extractAdjacentLessonUrl(context, lessonDocument, direction) {
+    const label = direction === 'prev' ? 'previous' : 'next';
+    const node =
+      lessonDocument.querySelector(
+        `a[rel="${direction}"], link[rel="${direction}"]`,
+      ) ||
+      Array.from(lessonDocument.querySelectorAll('a[href]')).find((anchor) =>
+        cleanText(anchor.textContent).toLowerCase().startsWith(label),
+      );
+    return toAbsoluteUrl(context, node?.getAttribute('href'));
+  }
+
+  /**
+   * Finds `MM:SS Title` or `HH:MM:SS - Title` chapter lines in a block.
+   *
+   * @param {Element | null} descriptionNode
+   * @returns {VideoChapter[]}
+   */
+  function extractVideoChapters(descriptionNode) {
+    if (!descriptionNode) {
+      return [];
+    }
+
+    const lines = Array.from(descriptionNode.querySelectorAll('p, li'))
+      .flatMap((node) => (node.textContent || '').split('\n'))
+      .map((line) => cleanText(line));
+
+    const chapters = [];
+    for (const line of lines) {
+      const match = line.match(
+        /^((?:\d{1,2}:)?\d{1,2}:\d{2})\s*[-–—]?\s*(.+)$/,
+      );
+      const seconds = match ? timestampToSeconds(match[1]) : null;
+      if (match && seconds !== null) {
+        chapters.push({ time: match[1], seconds, title: match[2] });
+      }
+    }
+    return chapters;
+  }
+
+  /**
+   * Builds a reference to another lesson of the course.
+   *
+   * @param {LessonData | undefined} lesson
+   * @returns {LessonReference | null}
+   */
+  function toLessonReference(lesson) {
+    return lesson
+      ? { id: lesson.id, title: lesson.title, lessonUrl: lesson.lessonUrl }
+      : null;
+  }
+
+  /**
+   * Resolves an adjacent lesson from the lesson page link, falling back to
+   * the neighbour in course order.
+   *
+   * @param {LessonData[]} lessons
+   * @param {string} linkedUrl
+   * @param {number} fallbackIndex
+   * @returns {LessonReference | null}
+   */
+  function resolveAdjacentLesson(lessons, linkedUrl, fallbackIndex) {
+    if (linkedUrl) {
+      const linked = lessons.find((lesson) => lesson.lessonUrl === linkedUrl);
+      return linked
+        ? toLessonReference(linked)
+        : { id: '', title: '', lessonUrl: linkedUrl };
+    }
+    return toLessonReference(lessons[fallbackIndex]);
+  }
+
+  /**
+   * Visits each lesson page one at a time and adds its details to the
+   * lesson records. A lesson whose page fails keeps its landing-page data
+   * and gets `detailsError`.
+   *
+   * @param {ExtractionContext} context
+   * @param {LessonData[]} lessons
+   * @returns {Promise<void>}
+   */
+  async function addLessonPageDetails(context, lessons) {
+    for (const [index, lesson] of lessons.entries()) {
+      context.page.reportProgress(index, lessons.length, lesson.title);
+
+      if (!lesson.lessonUrl) {
+        lesson.detailsError = 'Lesson has no URL.';
+        continue;
+      }
+
+      try {
+        if (index > 0) {
+          await wait(context.page.lessonRequestDelayMs);
+        }
+        const lessonDocument = await context.page.loadLessonDocument(
+          lesson.lessonUrl,
+        );
+        const description = getLessonPageDescription(context, lessonDocument);
+        noteFieldValue(context, 'lessonPageDescription', description.node);
+
+        lesson.fullDescription = description.text || lesson.description;
+        lesson.resources = extractLessonResources(
+          context,
+          lessonDocument,
+          description.node,
+        );
+        lesson.previousLesson = resolveAdjacentLesson(
+          lessons,
+          extractAdjacentLessonUrl(context, lessonDocument, 'prev'),
+          index - 1,
+        );
+        lesson.nextLesson = resolveAdjacentLesson(
+          lessons,
+          extractAdjacentLessonUrl(context, lessonDocument, 'next'),
+          index + 1,
+        );
+        lesson.chapters = extractVideoChapters(description.node);
+      } catch (error) {
+        lesson.detailsError =
+          error instanceof Error ? error.message : 'Unknown error.';
+      }
+    }
+
+    context.page.reportProgress(lessons.length, lessons.length, '');
+  }
+
+  /**
+   * Tells the popup how many lesson pages have been read.
+   *
+   * @param {number} done
+   * @param {number} total
+   * @param {string} title
+   * @returns {void}
+   */
+  function reportDeepExportProgress(done, total, title) {
+    chrome.runtime
+      .sendMessage({ type: 'deep-export-progress', done, total, title })
+      .catch(() => {});
+  }
+
+  /**
+   * Extracts the course payload and, for a deep export, the lesson pages,
+   * with a health report of the selector profile.
+   *
+   * @param {ExtractionContext} context
+   * @param {{deep?: boolean}} message
+   * @throws {Error}
+   * @returns {Promise<ExtractCoursePayloadResult>}
+   */
+  async function extractCoursePayloadForMessage(context, message) {
+    await loadSelectorProfile(context);
+    return extractCoursePayloadWithHealth(context, Boolean(message.deep));
+  }
+
+  /**
+   * Extracts the current page and reports the selector profile health.
+   *
+   * @param {ExtractionContext} context
+   * @param {boolean} deep
+   * @throws {Error}
+   * @returns {Promise<ExtractCoursePayloadResult>}
+   */
+  async function extractCoursePayloadWithHealth(context, deep) {
+    const result = extractCoursePayload(context);
+    if (deep) {
+      await addLessonPageDetails(context, result.payload.lessons);
+    }
+    const health = buildExtractionHealth(context);
+    health.warnings.push(...result.payload.courseData.durationCheck.mismatches);
+    return { ...result, extractedAt: new Date().toISOString(), health };
+  }
+
+  /**
+   * Extracts a course from a parsed page outside the browser.
+   *
+   * @param {Document} document
+   * @param {string} courseUrl
+   * @param {ExtractionOptions} [options]
+   * @throws {Error}
+   * @returns {Promise<ExtractCoursePayloadResult>}
+   */
+  async function extractCourseFromDocument(document, courseUrl, options = {}) {
+    return extractCoursePayloadWithHealth(
+      createExtractionContext(document, courseUrl, options),
+      Boolean(options.deep),
+    );
+  }
+
+  /**
+   * Collects unique course links from a listing page in page order.
+   *
+   * @param {ExtractionContext} context
+   * @returns {CourseLink[]}
+   */
+  function extractCourseLinks(context) {
+    const anchors = Array.from(
+      context.page.document.querySelectorAll('a[href]'),
+    );
+    const courses = [];
+    const seenSlugs = new Set();
+
+    for (const anchor of anchors) {
+      const href = toAbsoluteUrl(context, anchor.getAttribute('href'));
+      if (!href) {
+        continue;
+      }
+
+      const slug = getCourseLinkSlug(context, href);
+      if (!slug || seenSlugs.has(slug)) {
+        continue;
+      }
+      seenSlugs.add(slug);
+
+      const card = anchor.closest('li, article') || anchor;
+      const title =
+        cleanText(card.querySelector('h2, h3, h4')?.textContent) ||
+        cleanText(anchor.textContent);
+
+      courses.push({ slug, title, courseUrl: buildCourseUrl(context, slug) });
+    }
+
+    return courses;
+  }
+
+  /**
+   * Extracts the course list used by popup batch export flow.
+   *
+   * @param {ExtractionContext} context
+   * @throws {Error}
+   * @returns {ExtractCourseLinksResult}
+   */
+  function extractCourseLinksPayload(context) {
+    const listing = getPageAdapter(context).getCourseListing(
+      context.page.location.pathname,
+    );
+    if (!listing) {
+      throw new Error('URL is not a Learning Path or course catalog page.');
+    }
+
+    const courses = extractCourseLinks(context);
+    if (!courses.length) {
+      throw new Error('No course links could be found on the page.');
+    }
+
+    return {
+      listingType: listing.type,
+      listingSlug: listing.slug,
+      listingTitle: cleanText(
+        context.page.document.querySelector('h1')?.textContent,
+      ),
+      listingUrl: `${context.page.location.origin}${context.page.location.pathname}`,
+      courses,
+    };
+  }
+
+  /**
+   * Extractors keyed by the message type the popup sends.
+   *
+   * @type {Record<string, (context: ExtractionContext, message: Object) => ExtractCourseLinksResult | Promise<ExtractCoursePayloadResult>>}
+   */
+  const MESSAGE_HANDLERS = {
+    'extract-course-data': extractCoursePayloadForMessage,
+    'extract-course-links': extractCourseLinksPayload,
+  };
+
   /**
    * Handles popup extraction request messages.
    *
-   * @param {{type?: string} | undefined} message
+   * @param {{type?: string, deep?: boolean} | undefined} message
    * @param {chrome.runtime.MessageSender} _sender
-   * @param {(response: {ok: boolean, data?: ExtractCoursePayloadResult, error?: string}) => void} sendResponse
+   * @param {(response: {ok: boolean, data?: ExtractCoursePayloadResult | ExtractCourseLinksResult, error?: string}) => void} sendResponse
    * @returns {boolean | undefined}
    */
   function handleExtractMessage(message, _sender, sendResponse) {
-    if (!message || message.type !== 'extract-course-data') {
+    const handler =
+      message && Object.hasOwn(MESSAGE_HANDLERS, message.type || '')
+        ? MESSAGE_HANDLERS[message.type]
+        : null;
+    if (!handler) {
       return undefined;
     }
 
+    Promise.resolve()
+      .then(() => handler(createPageExtractionContext(), message))
+      .then((data) => sendResponse({ ok: true, data }))
+      .catch((error) => {
+        sendResponse({
+          ok: false,
+          error: error instanceof Error ? error.message : 'Unknown error.',
+        });
+      });
+
+    return true;
+  }
+
+  /**
+   * Asks the background service worker to export this course and shows the
+   * outcome on the button for a moment.
+   *
+   * @param {MouseEvent} event
+   * @returns {Promise<void>}
+   */
+  async function onPageButtonClick(event) {
+    const button = /** @type {HTMLButtonElement} */ (event.currentTarget);
+    button.disabled = true;
+    button.textContent = 'Exporting…';
+
     try {
-      const data = extractCoursePayload();
-      sendResponse({ ok: true, data });
-    } catch (error) {
-      sendResponse({
-        ok: false,
-        error: error instanceof Error ? error.message : 'Unknown error.',
+      const response = await chrome.runtime.sendMessage({
+        type: 'export-course',
       });
+      button.textContent =
+        response && response.ok ? 'Exported' : 'Export failed';
+    } catch (_error) {
+      button.textContent = 'Export failed';
+    } finally {
+      button.disabled = false;
+      setTimeout(() => {
+        button.textContent = 'Export';
+      }, 3000);
     }
+  }
 
-    return true;
+  /**
+   * Adds the Export button to the course header, or removes it.
+   *
+   * @param {boolean} enabled
+   * @returns {void}
+   */
+  function togglePageButton(enabled) {
+    const existing = document.getElementById(PAGE_BUTTON_ID);
+    if (!enabled) {
+      existing?.remove();
+      return;
+    }
+
+    const adapter = findSiteAdapter(window.location.href);
+    const header = adapter
+      ? document.querySelector(adapter.pageButtonSelector)
+      : null;
+    if (existing || !header) {
+      return;
+    }
+
+    const button = document.createElement('button');
+    button.id = PAGE_BUTTON_ID;
+    button.type = 'button';
+    button.textContent = 'Export';
+    Object.assign(button.style, {
+      marginTop: '8px',
+      padding: '6px 14px',
+      border: '0',
+      borderRadius: '8px',
+      background: '#cf2a41',
+      color: '#fff',
+      font: 'inherit',
+      fontWeight: '700',
+      cursor: 'pointer',
+    });
+    button.addEventListener('click', onPageButtonClick);
+    header.append(button);
+  }
+
+  /**
+   * Shows the Export button when enabled in the popup and follows later
+   * changes to that setting.
+   *
+   * @returns {void}
+   */
+  function initPageButton() {
+    chrome.storage.local
+      .get(EXPORT_SETTINGS_STORAGE_KEY)
+      .then((stored) => {
+        togglePageButton(
+          Boolean(stored[EXPORT_SETTINGS_STORAGE_KEY]?.pageButton),
+        );
+      })
+      .catch(() => {});
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[EXPORT_SETTINGS_STORAGE_KEY]) {
+        togglePageButton(
+          Boolean(changes[EXPORT_SETTINGS_STORAGE_KEY].newValue?.pageButton),
+        );
+      }
+    });
+  }
+
+  if (isNodeModule) {
+    module.exports = {
+      extractCourseFromDocument,
+      createExtractionContext,
+      extractCourseData,
+      extractLessons,
+      extractCoursePayload,
+      extractCourseLinksPayload,
+      buildExtractionHealth,
+      cleanText,
+      slugify,
+      extractMinutes,
+      extractSeconds,
+      toIsoDuration,
+      timestampToSeconds,
+      parseTimeRange,
+      buildDurationCheck,
+      getCourseSlug,
+      normalizePublishedDate,
+      extractVideoChapters,
+    };
+    return;
   }
 
   chrome.runtime.onMessage.addListener(handleExtractMessage);
+  initPageButton();
 })();
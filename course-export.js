@@ -0,0 +1,590 @@
+'use strict';
+
+/**
+ * @typedef {Object} LessonChange
+ * @property {string} id
+ * @property {string} title
+ * @property {string} lessonUrl
+ * @property {string} [previousTitle]
+ * @property {string} [duration]
+ * @property {string} [previousDuration]
+ * @property {string} [timeRange]
+ * @property {string} [previousTimeRange]
+ */
+
+/**
+ * @typedef {Object} LessonChanges
+ * @property {LessonChange[]} added
+ * @property {LessonChange[]} removed
+ * @property {LessonChange[]} renamed
+ * @property {LessonChange[]} retimed
+ */
+
+/**
+ * @typedef {SavedCourseFiles & {extraction: ExtractCourseDataResult}} CourseTabExport
+ */
+
+/**
+ * A folder written by a format with several files, such as the notes folder.
+ *
+ * @typedef {Object} SavedFolder
+ * @property {string} path
+ * @property {number} addedCount
+ * @property {number} updatedCount Existing files whose generated block was written again.
+ * @property {number} keptCount Files that already existed and were left alone.
+ * @property {number} notDownloadedCount Files of a `keepExisting` format left out of a download, which cannot tell whether they exist.
+ */
+
+/**
+ * @typedef {Object} SavedCourseFiles
+ * @property {string[]} fileNames Paths inside the bundle when the files were bundled.
+ * @property {string[]} skippedFileNames Existing files the user chose to keep, and downloads canceled in the save dialog.
+ * @property {SavedFolder[]} folders Their files are not in `fileNames` or `skippedFileNames`.
+ * @property {LessonChanges | null} changes Null when there was no previous export to compare.
+ */
+
+/**
+ * Reads a text file from the directory, if it exists.
+ *
+ * @param {FileSystemDirectoryHandle} rootDirHandle
+ * @param {string} fileName Relative path; `/` separates folders.
+ * @returns {Promise<string | null>} Null when the file is missing.
+ */
+async function readTextFromDirectory(rootDirHandle, fileName) {
+  try {
+    const { directory, name } = await resolveFilePath(
+      rootDirHandle,
+      fileName,
+      false,
+    );
+    const fileHandle = await directory.getFileHandle(name);
+    const file = await fileHandle.getFile();
+    return await file.text();
+  } catch (error) {
+    if (error instanceof DOMException && error.name === 'NotFoundError') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Reads and parses a JSON file from the directory, if it exists.
+ *
+ * @param {FileSystemDirectoryHandle} rootDirHandle
+ * @param {string} fileName Relative path; `/` separates folders.
+ * @returns {Promise<unknown | null>} Null when the file is missing or not valid JSON.
+ */
+async function readJsonFromDirectory(rootDirHandle, fileName) {
+  const text = await readTextFromDirectory(rootDirHandle, fileName);
+  try {
+    return text === null ? null : JSON.parse(text);
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Finds the latest earlier export of a course in the folder its JSON goes
+ * to. `<name>.json` is read first; when the file name template gives a new
+ * name on each export, such as with `{date}`, the other course JSON files
+ * of the folder are matched by course URL instead.
+ *
+ * @param {FileSystemDirectoryHandle} rootDirHandle
+ * @param {string} fileName Relative path of the new course JSON.
+ * @param {ExtractedPayload} payload
+ * @returns {Promise<ExtractedPayload | null>} Null when there is none.
+ */
+async function findPreviousCoursePayload(rootDirHandle, fileName, payload) {
+  const courseUrl = payload.courseData?.courseUrl || '';
+  /**
+   * @param {unknown} value
+   * @returns {value is ExtractedPayload}
+   */
+  const isSameCourse = (value) =>
+    Boolean(value) &&
+    Array.isArray(value.lessons) &&
+    value.courseData?.courseUrl === courseUrl;
+
+  const sameName = await readJsonFromDirectory(rootDirHandle, fileName);
+  if (sameName || !courseUrl) {
+    return /** @type {ExtractedPayload | null} */ (sameName);
+  }
+
+  let directory;
+  try {
+    ({ directory } = await resolveFilePath(rootDirHandle, fileName, false));
+  } catch (error) {
+    if (error instanceof DOMException && error.name === 'NotFoundError') {
+      return null;
+    }
+    throw error;
+  }
+
+  // Tasks JSON, changelogs and listing indexes have no lessons, so they
+  // never match.
+  let previous = null;
+  for await (const handle of directory.values()) {
+    if (handle.kind !== 'file' || !handle.name.endsWith('.json')) {
+      continue;
+    }
+    const candidate = await readJsonFromDirectory(directory, handle.name);
+    if (
+      isSameCourse(candidate) &&
+      (!previous ||
+        String(candidate.exportedAt || '') > String(previous.exportedAt || ''))
+    ) {
+      previous = candidate;
+    }
+  }
+  return previous;
+}
+
+/**
+ * Compares two course payloads lesson by lesson, matching lessons by URL
+ * (or by `id` when a lesson has no URL).
+ *
+ * @param {ExtractedPayload | null | undefined} previousPayload
+ * @param {ExtractedPayload | null | undefined} payload
+ * @returns {LessonChanges}
+ */
+function diffCourseLessons(previousPayload, payload) {
+  /**
+   * @param {ExtractedPayload | null | undefined} value
+   * @returns {Map<string, LessonData>}
+   */
+  function indexLessons(value) {
+    const lessons = Array.isArray(value && value.lessons) ? value.lessons : [];
+    const index = new Map();
+    for (const lesson of lessons) {
+      const key = lesson && (lesson.lessonUrl || String(lesson.id ?? ''));
+      if (key && !index.has(key)) {
+        index.set(key, lesson);
+      }
+    }
+    return index;
+  }
+
+  /**
+   * @param {LessonData} lesson
+   * @returns {LessonChange}
+   */
+  function describe(lesson) {
+    return {
+      id: String(lesson.id ?? ''),
+      title: lesson.title || '',
+      lessonUrl: lesson.lessonUrl || '',
+      duration: lesson.duration || '',
+      timeRange: lesson.timeRange || '',
+    };
+  }
+
+  const previousLessons = indexLessons(previousPayload);
+  const currentLessons = indexLessons(payload);
+  /** @type {LessonChanges} */
+  const changes = { added: [], removed: [], renamed: [], retimed: [] };
+
+  for (const [key, lesson] of currentLessons) {
+    const previous = previousLessons.get(key);
+    if (!previous) {
+      changes.added.push(describe(lesson));
+      continue;
+    }
+
+    if ((previous.title || '') !== (lesson.title || '')) {
+      changes.renamed.push({
+        id: String(lesson.id ?? ''),
+        title: lesson.title || '',
+        lessonUrl: lesson.lessonUrl || '',
+        previousTitle: previous.title || '',
+      });
+    }
+
+    if (
+      (previous.duration || '') !== (lesson.duration || '') ||
+      (previous.timeRange || '') !== (lesson.timeRange || '')
+    ) {
+      changes.retimed.push({
+        ...describe(lesson),
+        previousDuration: previous.duration || '',
+        previousTimeRange: previous.timeRange || '',
+      });
+    }
+  }
+
+  for (const [key, lesson] of previousLessons) {
+    if (!currentLessons.has(key)) {
+      changes.removed.push(describe(lesson));
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Formats lesson changes as short status lines.
+ *
+ * @param {LessonChanges} changes
+ * @param {number} [maxLines]
+ * @returns {string[]}
+ */
+function formatLessonChanges(changes, maxLines = 8) {
+  const lines = [
+    ...changes.added.map((item) => `+ ${item.title}`),
+    ...changes.removed.map((item) => `- ${item.title}`),
+    ...changes.renamed.map((item) => `~ ${item.previousTitle} → ${item.title}`),
+    ...changes.retimed.map(
+      (item) =>
+        `⏱ ${item.title}: ${item.previousDuration || '?'} → ${item.duration || '?'} min`,
+    ),
+  ];
+
+  const summary =
+    `Changes since last export: ${changes.added.length} added, ` +
+    `${changes.removed.length} removed, ${changes.renamed.length} renamed, ` +
+    `${changes.retimed.length} re-timed.`;
+
+  if (lines.length > maxLines) {
+    return [
+      summary,
+      ...lines.slice(0, maxLines),
+      `…and ${lines.length - maxLines} more`,
+    ];
+  }
+  return [summary, ...lines];
+}
+
+/**
+ * Lists the saved files, with each folder once as `<folder>/`.
+ *
+ * @param {SavedCourseFiles} saved
+ * @returns {string[]}
+ */
+function listSavedPaths(saved) {
+  return [
+    ...saved.fileNames,
+    ...saved.folders
+      .filter((folder) => folder.addedCount)
+      .map((folder) => `${folder.path}/`),
+  ];
+}
+
+/**
+ * Formats what was added to and kept in each folder as short status lines.
+ *
+ * @param {SavedFolder[]} folders
+ * @returns {string[]}
+ */
+function formatSavedFolders(folders) {
+  return folders.map((folder) =>
+    folder.notDownloadedCount
+      ? `📝 ${folder.path}/: not downloaded, because downloads could replace existing notes. Export from the popup to a chosen folder to save it.`
+      : `📝 ${folder.path}/: ${folder.addedCount} added` +
+        `${folder.updatedCount ? `, ${folder.updatedCount} lesson lists updated` : ''}` +
+        `${folder.keptCount ? `, ${folder.keptCount} existing kept` : ''}`,
+  );
+}
+
+/**
+ * Formats the extraction health warnings as short status lines.
+ *
+ * @param {{warnings: string[]} | undefined} health
+ * @param {number} [maxLines]
+ * @returns {string[]}
+ */
+function formatHealthWarnings(health, maxLines = 5) {
+  const warnings = health ? health.warnings : [];
+  if (!warnings.length) {
+    return [];
+  }
+
+  const lines = warnings.slice(0, maxLines).map((warning) => `⚠️ ${warning}`);
+  if (warnings.length > maxLines) {
+    lines.push(`…and ${warnings.length - maxLines} more warnings`);
+  }
+  return lines;
+}
+
+/**
+ * Saves a bundle as one ZIP file, following the overwrite policy like any
+ * other file.
+ *
+ * @param {FileSystemDirectoryHandle | null} rootDirHandle
+ * @param {string} zipFileName
+ * @param {ExportBundle} bundle
+ * @param {FileSettings} [fileSettings]
+ * @returns {Promise<string>} Path the file was written to; empty when skipped.
+ */
+function saveExportBundle(rootDirHandle, zipFileName, bundle, fileSettings) {
+  return saveFile(
+    rootDirHandle,
+    zipFileName,
+    buildBundleArchive(bundle),
+    fileSettings,
+  );
+}
+
+/**
+ * Saves the selected output formats for one course, named by the file name
+ * template of the file settings.
+ *
+ * When the course JSON is selected and an earlier export of the course is
+ * in the folder (see `findPreviousCoursePayload`), it is compared with the
+ * new payload first and the result is written to `<name>-changes.json`. Files of a `keepExisting` format, such
+ * as the notes folder, never replace a file that is already there, so they
+ * are not downloaded when there is no folder; only the generated block of
+ * an existing file, such as a note's lesson list, is written again.
+ *
+ * Files go into `bundle` when one is given, for a batch that is saved as
+ * one ZIP at the end. Otherwise, with `zipBundle` set, they are saved as
+ * `<name>.zip`.
+ *
+ * @param {FileSystemDirectoryHandle | null} rootDirHandle
+ * @param {{slug: string, payload: ExtractedPayload, extractedAt?: string}} course
+ * @param {ExportSettings} settings
+ * @param {ExportBundle | null} [bundle]
+ * @returns {Promise<SavedCourseFiles>}
+ */
+async function saveCourseFiles(rootDirHandle, course, settings, bundle = null) {
+  const { slug, payload } = course;
+  const { formatIds } = settings;
+  const fileSettings = settings.fileSettings || DEFAULT_FILE_SETTINGS;
+  const formats = EXPORT_FORMATS.filter((format) =>
+    formatIds.includes(format.id),
+  );
+  const fileBase = buildCourseFileBase(
+    fileSettings.fileNameTemplate,
+    slug,
+    payload,
+  );
+  const baseFileName = `${fileBase}.json`;
+  const changesFileName = `${fileBase}-changes.json`;
+
+  const previousPayload =
+    rootDirHandle && formatIds.includes('json')
+      ? await findPreviousCoursePayload(rootDirHandle, baseFileName, payload)
+      : null;
+
+  const files = formats.flatMap((format) =>
+    buildFormatFiles(format, fileBase, payload, settings).map((file) => ({
+      ...file,
+      format: format.id,
+      folder: format.buildFiles ? format.fileName(fileBase) : '',
+    })),
+  );
+  // Checked up front so one failing format leaves no partial set of files.
+  for (const file of files) {
+    assertValidExportPayload(file.fileName, file.content);
+  }
+
+  const changes = previousPayload
+    ? diffCourseLessons(
+        /** @type {ExtractedPayload} */ (previousPayload),
+        payload,
+      )
+    : null;
+  if (changes) {
+    files.push({
+      fileName: changesFileName,
+      format: 'changes',
+      folder: '',
+      keepExisting: false,
+      content: {
+        courseUrl: payload.courseData?.courseUrl || '',
+        comparedAt: new Date().toISOString(),
+        summary: {
+          added: changes.added.length,
+          removed: changes.removed.length,
+          renamed: changes.renamed.length,
+          retimed: changes.retimed.length,
+        },
+        ...changes,
+      },
+    });
+  }
+
+  const fileNames = [];
+  const skippedFileNames = [];
+  /** @type {Map<string, SavedFolder>} */
+  const folders = new Map();
+  /**
+   * @param {(typeof files)[number]} file
+   * @param {string} savedName Empty when the file was not written.
+   * @param {boolean} [updated] An existing file got its generated block again.
+   * @returns {void}
+   */
+  const record = (file, savedName, updated = false) => {
+    if (!file.folder) {
+      (savedName ? fileNames : skippedFileNames).push(
+        savedName || file.fileName,
+      );
+      return;
+    }
+    if (!folders.has(file.folder)) {
+      folders.set(file.folder, {
+        path: file.folder,
+        addedCount: 0,
+        updatedCount: 0,
+        keptCount: 0,
+        notDownloadedCount: 0,
+      });
+    }
+    const folder = folders.get(file.folder);
+    if (updated) {
+      folder.updatedCount += 1;
+    } else if (savedName) {
+      folder.addedCount += 1;
+    } else if (!rootDirHandle && file.keepExisting) {
+      folder.notDownloadedCount += 1;
+    } else {
+      folder.keptCount += 1;
+    }
+  };
+
+  const targetBundle =
+    bundle || (settings.zipBundle ? createExportBundle() : null);
+  if (targetBundle) {
+    const source = {
+      sourceUrl: payload.courseData?.courseUrl || '',
+      extractedAt: course.extractedAt || new Date().toISOString(),
+    };
+    for (const file of files) {
+      const bundledName = addBundleFile(targetBundle, {
+        path: file.fileName,
+        content: file.content,
+        format: file.format,
+        ...source,
+      });
+      record(file, bundledName);
+    }
+    if (bundle) {
+      return {
+        fileNames,
+        skippedFileNames,
+        folders: Array.from(folders.values()),
+        changes,
+      };
+    }
+    const zipFileName = `${fileBase}.zip`;
+    const savedName = await saveExportBundle(
+      rootDirHandle,
+      zipFileName,
+      targetBundle,
+      fileSettings,
+    );
+    return {
+      fileNames: savedName ? [savedName] : [],
+      skippedFileNames: savedName ? [] : [zipFileName],
+      folders: [],
+      changes,
+    };
+  }
+
+  for (const file of files) {
+    const existing =
+      rootDirHandle && file.keepExisting && typeof file.content === 'string'
+        ? await readTextFromDirectory(rootDirHandle, file.fileName)
+        : null;
+    if (existing !== null) {
+      const merged = mergeGeneratedBlock(existing, file.content);
+      if (merged && merged !== existing) {
+        await saveFile(rootDirHandle, file.fileName, merged, {
+          ...fileSettings,
+          overwritePolicy: 'overwrite',
+        });
+        record(file, file.fileName, true);
+      } else {
+        record(file, '');
+      }
+      continue;
+    }
+
+    const savedName = await saveFile(
+      rootDirHandle,
+      file.fileName,
+      file.content,
+      file.keepExisting
+        ? { ...fileSettings, overwritePolicy: 'keep-existing' }
+        : fileSettings,
+    );
+    record(file, savedName);
+  }
+  return {
+    fileNames,
+    skippedFileNames,
+    folders: Array.from(folders.values()),
+    changes,
+  };
+}
+
+/**
+ * Pushes the course's v2 tasks to Todoist when enabled in the popup.
+ *
+ * @param {ExtractCourseDataResult} extraction
+ * @param {ExportSettings} settings
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @throws {Error}
+ * @returns {Promise<string>} Status line, or an empty string when disabled.
+ */
+async function pushToTodoistIfEnabled(extraction, settings, onProgress) {
+  if (!settings.pushToTodoist) {
+    return '';
+  }
+
+  const todoistSettings = await loadTodoistSettings();
+  const hasAccess = await chrome.permissions.contains({
+    origins: [getTodoistOriginPattern(todoistSettings.baseUrl)],
+  });
+  if (!hasAccess) {
+    throw new Error(
+      'Todoist API access is not granted. Save the Todoist settings in Options first.',
+    );
+  }
+
+  const { tasks } = buildV2Payload(extraction.payload, settings);
+  const result = await pushCourseToTodoist(
+    todoistSettings,
+    extraction,
+    tasks,
+    onProgress,
+  );
+  const skipped = result.skipped ? `, ${result.skipped} already closed` : '';
+  return `☑️ Todoist: ${result.created} created, ${result.updated} updated${skipped}.`;
+}
+
+/**
+ * Saves the selected formats for an extraction and records it as the last
+ * extraction and in the library.
+ *
+ * @param {ExtractCourseDataResult} extraction
+ * @param {FileSystemDirectoryHandle | null} rootDirHandle
+ * @param {ExportSettings} settings
+ * @throws {Error}
+ * @returns {Promise<SavedCourseFiles>}
+ */
+async function saveExtractedCourse(extraction, rootDirHandle, settings) {
+  await saveLastExtraction(extraction);
+  const saved = await saveCourseFiles(rootDirHandle, extraction, settings);
+  await saveLibraryEntry(extraction);
+  return saved;
+}
+
+/**
+ * Extracts the course open in a tab and saves it.
+ *
+ * @param {chrome.tabs.Tab | null} tab
+ * @param {FileSystemDirectoryHandle | null} rootDirHandle
+ * @param {ExportSettings} settings
+ * @throws {Error}
+ * @returns {Promise<CourseTabExport>}
+ */
+async function exportCourseTab(tab, rootDirHandle, settings) {
+  const extraction = await requestCourseData(tab, {
+    deep: settings.deepExport,
+  });
+  const saved = await saveExtractedCourse(extraction, rootDirHandle, settings);
+  return { extraction, ...saved };
+}
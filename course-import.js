@@ -0,0 +1,323 @@
+'use strict';
+
+/**
+ * A previously exported course, checked and upgraded to the current shape.
+ *
+ * @typedef {Object} ImportedCourse
+ * @property {string} slug
+ * @property {ExtractedPayload} payload
+ * @property {string} [extractedAt] `exportedAt` of the imported file, the closest record of when the page was read.
+ * @property {string[]} migrations One note per upgrade applied to an older shape.
+ */
+
+/**
+ * Reads the course and lesson slugs of a URL on a supported site. Both are
+ * empty for anything else.
+ *
+ * @param {unknown} url
+ * @returns {{courseSlug: string, lessonSlug: string}}
+ */
+function getCourseUrlSlugs(url) {
+  const adapter = findSiteAdapter(url);
+  if (!adapter) {
+    return { courseSlug: '', lessonSlug: '' };
+  }
+  const { pathname } = new URL(String(url));
+  return {
+    courseSlug: adapter.getCourseSlug(pathname),
+    lessonSlug: adapter.getLessonSlug(pathname),
+  };
+}
+
+/**
+ * Returns whether a value can fill a minutes field: whole minutes as text,
+ * or a number, which the import rounds and turns into text.
+ *
+ * @param {unknown} value
+ * @returns {boolean} True for `undefined`, which the field may be.
+ */
+function isMinutesValue(value) {
+  return (
+    value === undefined ||
+    (typeof value === 'string' && /^\d*$/.test(value)) ||
+    (typeof value === 'number' && Number.isFinite(value) && value >= 0)
+  );
+}
+
+/**
+ * Turns a number of minutes into the whole-minutes text the schema expects.
+ *
+ * @template T
+ * @param {T} value
+ * @returns {T | string}
+ */
+function toMinutesText(value) {
+  return typeof value === 'number' ? String(Math.round(value)) : value;
+}
+
+/**
+ * Lists what keeps a parsed file from being a course export.
+ *
+ * @param {unknown} value
+ * @returns {string[]} Empty when the payload can be imported.
+ */
+function validateCoursePayload(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return ['The file does not contain a JSON object.'];
+  }
+  if (
+    typeof value.schemaVersion === 'number' &&
+    value.schemaVersion > EXPORT_SCHEMA_VERSION
+  ) {
+    return [
+      `The file uses schema v${value.schemaVersion}; this version reads up to v${EXPORT_SCHEMA_VERSION}. Update the extension to import it.`,
+    ];
+  }
+  if (Array.isArray(value.tasks)) {
+    return [
+      'This is a v2 task file. Import the course JSON (<course-slug>.json) instead.',
+    ];
+  }
+
+  const problems = [];
+  const { courseData, lessons } = value;
+  if (!courseData || typeof courseData !== 'object') {
+    problems.push('courseData is missing.');
+  } else if (typeof courseData.courseTitle !== 'string') {
+    problems.push('courseData.courseTitle is missing.');
+  } else if (!isMinutesValue(courseData.totalDuration)) {
+    problems.push('courseData.totalDuration is not a number of minutes.');
+  }
+
+  if (!Array.isArray(lessons)) {
+    problems.push('lessons is missing.');
+    return problems;
+  }
+  lessons.forEach((lesson, index) => {
+    if (!lesson || typeof lesson !== 'object') {
+      problems.push(`lessons[${index}] is not an object.`);
+    } else if (typeof lesson.title !== 'string') {
+      problems.push(`lessons[${index}].title is missing.`);
+    } else {
+      for (const field of ['duration', 'sectionDuration']) {
+        if (!isMinutesValue(lesson[field])) {
+          problems.push(
+            `lessons[${index}].${field} is not a number of minutes.`,
+          );
+        }
+      }
+    }
+  });
+  return problems;
+}
+
+/**
+ * Upgrades lessons from before stable IDs: numeric `id` and `sectionId`
+ * become slug keys, and page order moves into `position` and
+ * `sectionPosition`.
+ *
+ * @param {LessonData[]} lessons
+ * @param {string[]} migrations
+ * @returns {LessonData[]}
+ */
+function migrateLessonKeys(lessons, migrations) {
+  const hasNumericIds = lessons.some(
+    (lesson) =>
+      typeof lesson.id === 'number' || typeof lesson.sectionId === 'number',
+  );
+  const hasPositions = lessons.every(
+    (lesson) =>
+      Number.isFinite(lesson.position) &&
+      (!lesson.sectionId || Number.isFinite(lesson.sectionPosition)),
+  );
+  if (!hasNumericIds && hasPositions) {
+    return lessons;
+  }
+
+  const usedLessonKeys = new Set();
+  const usedSectionKeys = new Set();
+  /** @type {Map<unknown, {id: string, position: number}>} */
+  const sections = new Map();
+
+  const migrated = lessons.map((lesson, index) => {
+    const position = Number.isFinite(lesson.position)
+      ? lesson.position
+      : index + 1;
+    const { lessonSlug } = getCourseUrlSlugs(lesson.lessonUrl);
+    const id =
+      typeof lesson.id === 'string' && lesson.id
+        ? reserveUniqueKey(lesson.id, usedLessonKeys)
+        : reserveUniqueKey(
+            slugify(lessonSlug) ||
+              slugify(lesson.title) ||
+              `lesson-${position}`,
+            usedLessonKeys,
+          );
+
+    const sectionSource = lesson.sectionId ?? lesson.sectionTitle;
+    if (sectionSource === undefined) {
+      return { ...lesson, id, position };
+    }
+    if (!sections.has(sectionSource)) {
+      const sectionPosition = sections.size + 1;
+      sections.set(sectionSource, {
+        id:
+          typeof lesson.sectionId === 'string' && lesson.sectionId
+            ? reserveUniqueKey(lesson.sectionId, usedSectionKeys)
+            : reserveUniqueKey(
+                slugify(lesson.sectionTitle) || `section-${sectionPosition}`,
+                usedSectionKeys,
+              ),
+        position: sectionPosition,
+      });
+    }
+    const section = sections.get(sectionSource);
+    return {
+      ...lesson,
+      id,
+      position,
+      sectionId: section.id,
+      sectionPosition: Number.isFinite(lesson.sectionPosition)
+        ? lesson.sectionPosition
+        : section.position,
+    };
+  });
+
+  migrations.push(
+    hasNumericIds
+      ? 'Replaced numeric lesson and section IDs with stable keys.'
+      : 'Added lesson and section positions.',
+  );
+  return migrated;
+}
+
+/**
+ * Turns numeric lesson and section durations into whole-minutes text.
+ *
+ * @param {LessonData[]} lessons
+ * @param {string[]} migrations
+ * @returns {LessonData[]}
+ */
+function migrateLessonMinutes(lessons, migrations) {
+  const hasNumbers = lessons.some(
+    (lesson) =>
+      typeof lesson.duration === 'number' ||
+      typeof lesson.sectionDuration === 'number',
+  );
+  if (!hasNumbers) {
+    return lessons;
+  }
+
+  migrations.push('Converted numeric lesson durations to whole minutes.');
+  return lessons.map((lesson) => ({
+    ...lesson,
+    ...(lesson.duration === undefined
+      ? {}
+      : { duration: toMinutesText(lesson.duration) }),
+    ...(lesson.sectionDuration === undefined
+      ? {}
+      : { sectionDuration: toMinutesText(lesson.sectionDuration) }),
+  }));
+}
+
+/**
+ * Upgrades course fields added after the first exports: the `tutors` list,
+ * course materials, counts and `courseUrl`. A numeric `totalDuration`
+ * becomes whole-minutes text.
+ *
+ * @param {CourseData} courseData
+ * @param {LessonData[]} lessons
+ * @param {string} slug
+ * @param {string[]} migrations
+ * @returns {CourseData}
+ */
+function migrateCourseData(courseData, lessons, slug, migrations) {
+  const migrated = { ...courseData };
+
+  if (!Array.isArray(migrated.tutors)) {
+    migrated.tutors = String(migrated.tutor || '')
+      .split(',')
+      .map((name) => name.trim())
+      .filter(Boolean)
+      .map((name) => ({ name, profileUrl: '', title: '', avatarUrl: '' }));
+    migrations.push('Added the tutors list from tutor.');
+  }
+
+  if (typeof migrated.totalDuration === 'number') {
+    migrated.totalDuration = toMinutesText(migrated.totalDuration);
+    migrations.push('Converted the numeric totalDuration to whole minutes.');
+  }
+
+  const missingMaterials = [
+    'resources',
+    'prerequisites',
+    'relatedCourses',
+  ].filter((field) => !Array.isArray(migrated[field]));
+  for (const field of missingMaterials) {
+    migrated[field] = [];
+  }
+  if (missingMaterials.length) {
+    migrations.push(`Added empty ${missingMaterials.join(', ')}.`);
+  }
+
+  if (!migrated.courseUrl && slug) {
+    // Exports without courseUrl predate the other site adapters.
+    migrated.courseUrl = FRONTEND_MASTERS_ADAPTER.buildCourseUrl(
+      'https://frontendmasters.com',
+      slug,
+    );
+    migrations.push('Added courseUrl from the file name.');
+  }
+
+  migrated.sectionCount = new Set(
+    lessons.map((lesson) => lesson.sectionId).filter(Boolean),
+  ).size;
+  migrated.lessonCount = lessons.length;
+  return migrated;
+}
+
+/**
+ * Checks a previously exported course JSON and upgrades older shapes so it
+ * can go through the current format writers.
+ *
+ * @param {unknown} value Parsed `<course-slug>.json` content.
+ * @param {string} [fileName] Used for the slug when the payload has no `courseUrl`.
+ * @throws {Error}
+ * @returns {ImportedCourse}
+ */
+function importCoursePayload(value, fileName = '') {
+  const problems = validateCoursePayload(value);
+  if (problems.length) {
+    throw new Error(problems.join(' '));
+  }
+
+  const payload = /** @type {ExtractedPayload} */ (value);
+  const { exportedAt } = /** @type {{exportedAt?: unknown}} */ (value);
+  const slug =
+    getCourseUrlSlugs(payload.courseData.courseUrl).courseSlug ||
+    slugify(fileName.replace(/^.*[\\/]/, '').replace(/\.json$/i, ''));
+  if (!slug) {
+    throw new Error('The course slug could not be found in courseUrl.');
+  }
+
+  const migrations = [];
+  const lessons = migrateLessonMinutes(
+    migrateLessonKeys(payload.lessons, migrations),
+    migrations,
+  );
+  return {
+    slug,
+    extractedAt: typeof exportedAt === 'string' ? exportedAt : undefined,
+    payload: {
+      ...payload,
+      courseData: migrateCourseData(
+        payload.courseData,
+        lessons,
+        slug,
+        migrations,
+      ),
+      lessons,
+    },
+    migrations,
+  };
+}
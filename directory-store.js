@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * The export folder chosen in the popup, kept in IndexedDB because
+ * `chrome.storage` cannot hold a `FileSystemDirectoryHandle`.
+ */
+const DIRECTORY_DB_NAME = 'course-json-exporter';
+const DIRECTORY_STORE_NAME = 'directories';
+const EXPORT_DIRECTORY_KEY = 'export';
+
+/**
+ * Opens the database, creating the object store on first use.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDirectoryDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DIRECTORY_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(DIRECTORY_STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Runs one request against the object store and resolves with its result.
+ *
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} createRequest
+ * @returns {Promise<any>}
+ */
+async function runDirectoryRequest(mode, createRequest) {
+  const database = await openDirectoryDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = database.transaction(DIRECTORY_STORE_NAME, mode);
+      const request = createRequest(
+        transaction.objectStore(DIRECTORY_STORE_NAME),
+      );
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    database.close();
+  }
+}
+
+/**
+ * Loads the remembered export folder.
+ *
+ * @returns {Promise<FileSystemDirectoryHandle | null>}
+ */
+async function loadSavedDirectory() {
+  const handle = await runDirectoryRequest('readonly', (store) =>
+    store.get(EXPORT_DIRECTORY_KEY),
+  );
+  return handle || null;
+}
+
+/**
+ * Remembers the export folder for the next export.
+ *
+ * @param {FileSystemDirectoryHandle} handle
+ * @returns {Promise<void>}
+ */
+async function rememberDirectory(handle) {
+  await runDirectoryRequest('readwrite', (store) =>
+    store.put(handle, EXPORT_DIRECTORY_KEY),
+  );
+}
+
+/**
+ * Forgets the export folder, so the next export asks for one.
+ *
+ * @returns {Promise<void>}
+ */
+async function forgetSavedDirectory() {
+  await runDirectoryRequest('readwrite', (store) =>
+    store.delete(EXPORT_DIRECTORY_KEY),
+  );
+}
+
+/**
+ * Checks write access to a remembered folder and asks for it again when
+ * Chrome has dropped it, which it does after the browser restarts.
+ *
+ * @param {FileSystemDirectoryHandle} handle
+ * @returns {Promise<boolean>} False when access was denied or cannot be asked for here.
+ */
+async function ensureDirectoryPermission(handle) {
+  const options = { mode: 'readwrite' };
+  try {
+    if ((await handle.queryPermission(options)) === 'granted') {
+      return true;
+    }
+    return (await handle.requestPermission(options)) === 'granted';
+  } catch (_error) {
+    return false;
+  }
+}
@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Formats seconds as an ISO 8601 duration, such as `PT1H5M30S`. Shared by
+ * the content script and the writers.
+ *
+ * @param {number | null} seconds
+ * @returns {string} Empty when `seconds` is `null`.
+ */
+function toIsoDuration(seconds) {
+  if (seconds === null || !Number.isFinite(seconds)) {
+    return '';
+  }
+
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = seconds % 60;
+  const parts = [
+    hours ? `${hours}H` : '',
+    minutes ? `${minutes}M` : '',
+    rest || (!hours && !minutes) ? `${rest}S` : '',
+  ];
+  return `PT${parts.join('')}`;
+}
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = { toIsoDuration };
+}
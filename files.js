@@ -0,0 +1,454 @@
+'use strict';
+
+/**
+ * Where and under which names exported files are written, set on the
+ * options page.
+ *
+ * @typedef {Object} FileSettings
+ * @property {string} fileNameTemplate Course file name before the format suffix, such as `{date}-{slug}`; `/` starts a subfolder.
+ * @property {string} downloadsFolder Subfolder of Downloads used when files are downloaded; empty for Downloads itself.
+ * @property {'overwrite' | 'keep-both' | 'ask' | 'keep-existing'} overwritePolicy What happens when a file with the same name exists. `keep-existing` leaves it alone; formats such as the notes folder use it, and the options page does not offer it. Downloads cannot tell whether a file exists, so they skip `keep-existing` files.
+ */
+
+/**
+ * Answer to an overwrite question: `skip` leaves the existing file alone.
+ *
+ * @typedef {'overwrite' | 'keep-both' | 'skip'} OverwriteChoice
+ */
+
+/** @type {FileSettings} */
+const DEFAULT_FILE_SETTINGS = {
+  fileNameTemplate: '{slug}',
+  downloadsFolder: '',
+  overwritePolicy: 'overwrite',
+};
+
+/**
+ * Placeholders of the file name template, with what they are replaced by.
+ *
+ * @type {Record<string, string>}
+ */
+const FILE_NAME_PLACEHOLDERS = {
+  slug: 'course slug',
+  title: 'course title',
+  tutor: 'first instructor',
+  date: 'export date, YYYY-MM-DD',
+};
+
+const FILE_NAME_PLACEHOLDER_RE = /\{(\w+)\}/g;
+
+/**
+ * `chrome.downloads` conflict action for each overwrite policy; `prompt`
+ * opens the Save As dialog when the file exists. `keep-existing` has none,
+ * because its files are not downloaded.
+ */
+const DOWNLOAD_CONFLICT_ACTIONS = {
+  overwrite: 'overwrite',
+  'keep-both': 'uniquify',
+  ask: 'prompt',
+};
+
+/**
+ * Asks whether an existing file in the chosen folder should be replaced.
+ * Set by the popup; without it, the `ask` policy keeps both files.
+ *
+ * @type {((fileName: string) => Promise<OverwriteChoice>) | null}
+ */
+let overwritePrompt = null;
+
+/**
+ * Turns text into one file or folder name: characters that are not allowed
+ * in file names become `-`, and leading dots and spaces are dropped.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+function toFileNameSegment(value) {
+  return String(value || '')
+    .replace(/[<>:"/\\|?*\u0000-\u001f]+/g, '-')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '');
+}
+
+/**
+ * Lists what is wrong with a file name template.
+ *
+ * @param {string} template
+ * @returns {string[]} Empty when the template can be used.
+ */
+function validateFileNameTemplate(template) {
+  const problems = [];
+  if (!template.includes('{slug}') && !template.includes('{title}')) {
+    problems.push('The template needs {slug} or {title}.');
+  }
+  for (const [, name] of template.matchAll(FILE_NAME_PLACEHOLDER_RE)) {
+    if (!Object.hasOwn(FILE_NAME_PLACEHOLDERS, name)) {
+      problems.push(`Unknown placeholder {${name}}.`);
+    }
+  }
+  if (template.split('/').some((part) => part.trim() === '..')) {
+    problems.push('The template cannot leave the folder with "..".');
+  }
+  return problems;
+}
+
+/**
+ * Builds the path of a course's files, without the format suffix, from the
+ * file name template. Each placeholder value is made safe for file names
+ * and empty folders are dropped.
+ *
+ * @param {string} template
+ * @param {string} slug
+ * @param {ExtractedPayload} payload
+ * @param {Date} [date]
+ * @returns {string} Falls back to the slug when the template gives nothing.
+ */
+function buildCourseFileBase(template, slug, payload, date = new Date()) {
+  const courseData = payload.courseData || {};
+  const values = {
+    slug,
+    title: courseData.courseTitle || slug,
+    tutor: courseData.tutors?.[0]?.name || courseData.tutor || '',
+    date: [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0'),
+    ].join('-'),
+  };
+
+  const path = template
+    .split('/')
+    .map((part) =>
+      toFileNameSegment(
+        part.replace(FILE_NAME_PLACEHOLDER_RE, (match, name) =>
+          Object.hasOwn(values, name) ? toFileNameSegment(values[name]) : match,
+        ),
+      ),
+    )
+    .filter(Boolean)
+    .join('/');
+  return path || slug;
+}
+
+/**
+ * Cleans the downloads subfolder setting into a relative path.
+ *
+ * @param {string} folder
+ * @returns {string}
+ */
+function normalizeDownloadsFolder(folder) {
+  return folder
+    .split(/[\\/]/)
+    .map((part) => toFileNameSegment(part))
+    .filter((part) => part && part !== '..')
+    .join('/');
+}
+
+/**
+ * Serializes file content: strings and bytes are written as-is, anything
+ * else as pretty-printed JSON.
+ *
+ * @param {unknown} payload
+ * @returns {string | Uint8Array}
+ */
+function serializeFileContent(payload) {
+  return typeof payload === 'string' || payload instanceof Uint8Array
+    ? payload
+    : JSON.stringify(payload, null, 2);
+}
+
+/**
+ * Builds a data URL for file content; bytes are Base64-encoded.
+ *
+ * @param {string} fileName
+ * @param {string | Uint8Array} content
+ * @returns {string}
+ */
+function toDataUrl(fileName, content) {
+  if (typeof content === 'string') {
+    return `data:${getMimeType(fileName)};charset=utf-8,${encodeURIComponent(
+      content,
+    )}`;
+  }
+  let binary = '';
+  for (const byte of content) {
+    binary += String.fromCharCode(byte);
+  }
+  return `data:${getMimeType(fileName)};base64,${btoa(binary)}`;
+}
+
+/**
+ * Returns the MIME type for a file name based on its extension.
+ *
+ * @param {string} fileName
+ * @returns {string}
+ */
+function getMimeType(fileName) {
+  const mimeTypes = {
+    json: 'application/json',
+    md: 'text/markdown',
+    csv: 'text/csv',
+    ics: 'text/calendar',
+    zip: 'application/zip',
+    vtt: 'text/vtt',
+  };
+  const extension = fileName.split('.').pop().toLowerCase();
+  return mimeTypes[extension] || 'text/plain';
+}
+
+/**
+ * Returns the folder a relative file path lives in, and the file name.
+ *
+ * @param {FileSystemDirectoryHandle} rootDirHandle
+ * @param {string} filePath Relative path; `/` separates folders.
+ * @param {boolean} create Create missing folders.
+ * @throws {DOMException} `NotFoundError` when a folder is missing and `create` is false.
+ * @returns {Promise<{directory: FileSystemDirectoryHandle, name: string}>}
+ */
+async function resolveFilePath(rootDirHandle, filePath, create) {
+  const parts = filePath.split('/').filter(Boolean);
+  const name = parts.pop() || '';
+  let directory = rootDirHandle;
+  for (const part of parts) {
+    directory = await directory.getDirectoryHandle(part, { create });
+  }
+  return { directory, name };
+}
+
+/**
+ * Checks whether a file exists in a folder.
+ *
+ * @param {FileSystemDirectoryHandle} directory
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+async function fileExists(directory, name) {
+  try {
+    await directory.getFileHandle(name);
+    return true;
+  } catch (error) {
+    if (error instanceof DOMException && error.name === 'NotFoundError') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Finds the first free `name (1).ext`, `name (2).ext`, … in a folder.
+ *
+ * @param {FileSystemDirectoryHandle} directory
+ * @param {string} name
+ * @returns {Promise<string>}
+ */
+async function findFreeFileName(directory, name) {
+  const dotIndex = name.lastIndexOf('.');
+  const stem = dotIndex > 0 ? name.slice(0, dotIndex) : name;
+  const extension = dotIndex > 0 ? name.slice(dotIndex) : '';
+  for (let counter = 1; ; counter += 1) {
+    const candidate = `${stem} (${counter})${extension}`;
+    if (!(await fileExists(directory, candidate))) {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Saves a file into user-selected directory, creating the subfolders of
+ * its path. An existing file is handled by the overwrite policy. Course and
+ * v2 payloads are checked against their schema first.
+ *
+ * @param {FileSystemDirectoryHandle} rootDirHandle
+ * @param {string} fileName Relative path; `/` separates folders.
+ * @param {unknown} payload
+ * @param {FileSettings} [fileSettings]
+ * @throws {Error} When the payload does not match its schema.
+ * @returns {Promise<string>} Path the file was written to; empty when skipped.
+ */
+async function saveWithDirectoryPicker(
+  rootDirHandle,
+  fileName,
+  payload,
+  fileSettings = DEFAULT_FILE_SETTINGS,
+) {
+  assertValidExportPayload(fileName, payload);
+  const { directory, name } = await resolveFilePath(
+    rootDirHandle,
+    fileName,
+    true,
+  );
+
+  let targetName = name;
+  if (
+    fileSettings.overwritePolicy !== 'overwrite' &&
+    (await fileExists(directory, name))
+  ) {
+    const choice =
+      fileSettings.overwritePolicy === 'keep-existing'
+        ? 'skip'
+        : fileSettings.overwritePolicy === 'ask' && overwritePrompt
+          ? await overwritePrompt(fileName)
+          : 'keep-both';
+    if (choice === 'skip') {
+      return '';
+    }
+    if (choice === 'keep-both') {
+      targetName = await findFreeFileName(directory, name);
+    }
+  }
+
+  const fileHandle = await directory.getFileHandle(targetName, {
+    create: true,
+  });
+  const writable = await fileHandle.createWritable();
+  await writable.write(serializeFileContent(payload));
+  await writable.close();
+  return fileName.slice(0, fileName.length - name.length) + targetName;
+}
+
+/**
+ * Waits until Chrome has picked the file name of a download, which differs
+ * from the requested one when Chrome numbered the file or the user chose
+ * another name in the Save As dialog.
+ *
+ * @param {number} downloadId
+ * @throws {Error} When the download failed.
+ * @returns {Promise<string>} Absolute path; empty when the user canceled.
+ */
+function waitForDownloadFileName(downloadId) {
+  return new Promise((resolve, reject) => {
+    /**
+     * @param {{filename?: string, state?: string, error?: string} | undefined} item
+     * @returns {void}
+     */
+    const settle = (item) => {
+      if (item?.filename) {
+        finish(() => resolve(item.filename));
+      } else if (item?.state === 'interrupted' || item?.error) {
+        finish(() =>
+          item.error === 'USER_CANCELED'
+            ? resolve('')
+            : reject(new Error(`Download failed: ${item.error}`)),
+        );
+      }
+    };
+    /** @param {chrome.downloads.DownloadDelta} delta */
+    const onChanged = (delta) => {
+      if (delta.id === downloadId) {
+        settle({
+          filename: delta.filename?.current,
+          state: delta.state?.current,
+          error: delta.error?.current,
+        });
+      }
+    };
+    let settled = false;
+    /** @param {() => void} done */
+    const finish = (done) => {
+      if (!settled) {
+        settled = true;
+        chrome.downloads.onChanged.removeListener(onChanged);
+        done();
+      }
+    };
+
+    chrome.downloads.onChanged.addListener(onChanged);
+    chrome.downloads
+      .search({ id: downloadId })
+      .then(([item]) => settle(item), reject);
+  });
+}
+
+/**
+ * Turns the absolute path of a download back into a path below Downloads
+ * when it is still in the requested folder.
+ *
+ * @param {string} requestedPath Path below Downloads that was asked for.
+ * @param {string} absolutePath Path Chrome wrote to.
+ * @returns {string}
+ */
+function toDownloadsPath(requestedPath, absolutePath) {
+  const normalized = absolutePath.replace(/\\/g, '/');
+  const folder = requestedPath.slice(0, requestedPath.lastIndexOf('/') + 1);
+  const name = normalized.slice(normalized.lastIndexOf('/') + 1);
+  return normalized.endsWith(`/${folder}${name}`)
+    ? `${folder}${name}`
+    : normalized;
+}
+
+/**
+ * Saves a file with browser downloads API, into the downloads subfolder.
+ * The overwrite policy becomes the download's conflict action; downloads
+ * cannot tell whether a file exists, so `keep-existing` files are skipped.
+ * The service worker has no `URL.createObjectURL`, so it downloads a data
+ * URL instead. Course and v2 payloads are checked against their schema
+ * first.
+ *
+ * @param {string} fileName Relative path; `/` separates folders.
+ * @param {unknown} payload
+ * @param {FileSettings} [fileSettings]
+ * @throws {Error} When the payload does not match its schema or the download failed.
+ * @returns {Promise<string>} Path below Downloads that Chrome wrote to; empty when skipped or canceled.
+ */
+async function saveWithDownload(
+  fileName,
+  payload,
+  fileSettings = DEFAULT_FILE_SETTINGS,
+) {
+  assertValidExportPayload(fileName, payload);
+  if (fileSettings.overwritePolicy === 'keep-existing') {
+    return '';
+  }
+  const folder = normalizeDownloadsFolder(fileSettings.downloadsFolder);
+  const downloadOptions = {
+    filename: folder ? `${folder}/${fileName}` : fileName,
+    conflictAction: DOWNLOAD_CONFLICT_ACTIONS[fileSettings.overwritePolicy],
+    saveAs: false,
+  };
+
+  let downloadId;
+  if (typeof URL.createObjectURL !== 'function') {
+    downloadId = await chrome.downloads.download({
+      ...downloadOptions,
+      url: toDataUrl(fileName, serializeFileContent(payload)),
+    });
+  } else {
+    const blob = new Blob([serializeFileContent(payload)], {
+      type: getMimeType(fileName),
+    });
+    const blobUrl = URL.createObjectURL(blob);
+    try {
+      downloadId = await chrome.downloads.download({
+        ...downloadOptions,
+        url: blobUrl,
+      });
+    } finally {
+      setTimeout(() => URL.revokeObjectURL(blobUrl), 1500);
+    }
+  }
+
+  const savedPath = await waitForDownloadFileName(downloadId);
+  return savedPath && toDownloadsPath(downloadOptions.filename, savedPath);
+}
+
+/**
+ * Saves one file with the directory handle when available, otherwise with
+ * the downloads API.
+ *
+ * @param {FileSystemDirectoryHandle | null} rootDirHandle
+ * @param {string} fileName
+ * @param {unknown} payload
+ * @param {FileSettings} [fileSettings]
+ * @returns {Promise<string>} Path the file was written to; empty when skipped.
+ */
+async function saveFile(rootDirHandle, fileName, payload, fileSettings) {
+  if (rootDirHandle) {
+    return saveWithDirectoryPicker(
+      rootDirHandle,
+      fileName,
+      payload,
+      fileSettings,
+    );
+  }
+  return saveWithDownload(fileName, payload, fileSettings);
+}
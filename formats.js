@@ -0,0 +1,549 @@
+'use strict';
+
+/**
+ * Output choices made in the popup.
+ *
+ * @typedef {Object} ExportSettings
+ * @property {string[]} formatIds
+ * @property {boolean} [csvIncludeBom] Prefix CSV files with a UTF-8 BOM so Excel detects the encoding.
+ * @property {boolean} [csvIncludeCourseColumns] Repeat course-level fields as columns on every CSV row.
+ * @property {string} [taskTemplateId] Template used for v2 tasks.
+ * @property {TaskTemplate} [taskTemplate] Resolved from `taskTemplateId` at export time; not stored.
+ * @property {FileSettings} [fileSettings] Loaded from the options page at export time; not stored here.
+ * @property {boolean} [pushToTodoist] Also send the v2 tasks to the Todoist API.
+ * @property {boolean} [deepExport] Also read every lesson page for full details.
+ * @property {boolean} [pageButton] Show an Export button in the header of course pages.
+ * @property {boolean} [reviewBeforeSave] Show the course for review and edits before saving.
+ * @property {boolean} [zipBundle] Save a course's files, or a whole batch, as one `.zip` with a `manifest.json`.
+ * @property {'checked' | 'omit'} [completedLessons] How v2 tasks represent lessons the user already watched.
+ * @property {StudyPlanSettings} [studyPlan] Budget and study days for the `.ics` study plan.
+ * @property {'course' | 'section'} [chapterScope] Write video chapter files for the whole course or per section.
+ */
+
+/**
+ * Named template for v2 task `content` and `description`.
+ *
+ * @typedef {Object} TaskTemplate
+ * @property {string} id
+ * @property {string} name
+ * @property {string} content
+ * @property {string} description
+ */
+
+/**
+ * Output formats the popup can write for a course. `build` turns the
+ * extracted payload into file content: objects are saved as JSON, strings
+ * are saved as-is. A format with `buildFiles` writes several files into the
+ * folder named by `fileName` instead.
+ *
+ * @typedef {Object} ExportFormat
+ * @property {string} id
+ * @property {string} label
+ * @property {(slug: string) => string} fileName
+ * @property {(payload: ExtractedPayload, settings: ExportSettings) => unknown} [build]
+ * @property {(payload: ExtractedPayload, settings: ExportSettings) => {path: string, content: string}[]} [buildFiles]
+ * @property {boolean} [keepExisting] Never replace a file that already exists, whatever the overwrite policy.
+ */
+
+/**
+ * A file built by a format, ready to be saved.
+ *
+ * @typedef {Object} FormatFile
+ * @property {string} fileName Relative path; `/` separates folders.
+ * @property {unknown} content
+ * @property {boolean} keepExisting
+ */
+
+/**
+ * Template that reproduces the original v2 task layout.
+ *
+ * @type {TaskTemplate}
+ */
+const DEFAULT_TASK_TEMPLATE = {
+  id: 'default',
+  name: 'Default',
+  content: '{{position}}. {{title}} []',
+  description:
+    '- Duration: {{duration}} min\n- Section: {{sectionTitle}}\n- Url: {{lessonUrl}}',
+};
+
+const TEMPLATE_SECTION_RE =
+  /\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+const TEMPLATE_PLACEHOLDER_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Converts a field value into template text.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+function formatTemplateValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatTemplateValue).filter(Boolean).join(', ');
+  }
+  if (typeof value === 'object') {
+    if ('title' in value) {
+      return value.url ? `${value.title} (${value.url})` : String(value.title);
+    }
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Creates description lines for course resources, prerequisites and
+ * related courses.
+ *
+ * @param {CourseData} courseData
+ * @returns {string[]}
+ */
+function buildCourseMaterialLines(courseData) {
+  const labels = {
+    slides: 'Slides',
+    repository: 'Repository',
+    link: 'Resource',
+    next: 'Next course',
+    related: 'Related course',
+    'learning-path': 'Learning Path',
+  };
+
+  const resources = (courseData.resources || []).map((item) => ({
+    ...item,
+    label: labels[item.kind] || 'Resource',
+  }));
+  const prerequisites = (courseData.prerequisites || []).map((item) => ({
+    ...item,
+    label: 'Prerequisite',
+  }));
+  const relatedCourses = (courseData.relatedCourses || []).map((item) => ({
+    ...item,
+    label: labels[item.kind] || 'Related course',
+  }));
+
+  return [...resources, ...prerequisites, ...relatedCourses].map(
+    (item) => `- ${item.label}: ${formatTemplateValue(item)}`,
+  );
+}
+
+/**
+ * Renders a task template against a lesson and its course.
+ *
+ * `{{field}}` is replaced with any `LessonData` or `CourseData` field.
+ * `{{#field}}...{{/field}}` keeps its body only when the field is non-empty,
+ * and `{{^field}}...{{/field}}` only when it is empty.
+ *
+ * @param {string} template
+ * @param {Record<string, unknown>} context
+ * @returns {string}
+ */
+function renderTemplate(template, context) {
+  const withSections = String(template || '').replace(
+    TEMPLATE_SECTION_RE,
+    (_match, kind, key, body) => {
+      const isFilled = formatTemplateValue(context[key]).trim() !== '';
+      return (kind === '#') === isFilled ? body : '';
+    },
+  );
+
+  return withSections.replace(TEMPLATE_PLACEHOLDER_RE, (_match, key) =>
+    formatTemplateValue(context[key]),
+  );
+}
+
+/**
+ * Indicates whether the user has finished watching a lesson.
+ *
+ * @param {LessonData | null | undefined} lesson
+ * @returns {boolean}
+ */
+function isLessonCompleted(lesson) {
+  return Boolean(lesson && lesson.progress?.status === 'completed');
+}
+
+/**
+ * Creates the v2 task format from extracted lesson data.
+ *
+ * Each task carries the lesson's stable `id` so re-imports can be matched to
+ * existing tasks. `content` and `description` come from the selected task
+ * template, where lesson fields take precedence over course fields. The
+ * first task's description also lists the course materials. Completed
+ * lessons become checked tasks, or are left out when the settings say so.
+ *
+ * @param {ExtractedPayload | null | undefined} payload
+ * @param {ExportSettings} [settings]
+ * @returns {{tasks: {id: string, content: string, description: string, checked?: boolean}[]}}
+ */
+function buildV2Payload(payload, settings) {
+  const courseData = (payload && payload.courseData) || {};
+  const lessons = Array.isArray(payload && payload.lessons)
+    ? payload.lessons
+    : [];
+  const template = (settings && settings.taskTemplate) || DEFAULT_TASK_TEMPLATE;
+  const materialLines = buildCourseMaterialLines(courseData);
+  const includedLessons =
+    settings && settings.completedLessons === 'omit'
+      ? lessons.filter((lesson) => !isLessonCompleted(lesson))
+      : lessons;
+
+  return {
+    tasks: includedLessons.map((lesson, index) => {
+      const context = {
+        ...courseData,
+        ...lesson,
+        deepLink: buildLessonDeepLink(lesson),
+      };
+      const description = renderTemplate(template.description, context);
+
+      return {
+        id: lesson && lesson.id !== undefined ? String(lesson.id) : '',
+        content: renderTemplate(template.content, context),
+        description:
+          index === 0 && materialLines.length
+            ? [description, ...materialLines].filter(Boolean).join('\n')
+            : description,
+        ...(isLessonCompleted(lesson) ? { checked: true } : {}),
+      };
+    }),
+  };
+}
+
+/**
+ * Escapes characters that Markdown would treat as formatting.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+function escapeMarkdown(value) {
+  return String(value ?? '').replace(/([\\`*_[\]<>])/g, '\\$1');
+}
+
+/**
+ * Formats a minute string for display, or returns an empty string.
+ *
+ * @param {unknown} minutes
+ * @returns {string}
+ */
+function formatMinutesLabel(minutes) {
+  const text = String(minutes ?? '').trim();
+  return text ? `${text} min` : '';
+}
+
+/**
+ * Formats seconds as `HH:MM:SS`.
+ *
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatClockTime(seconds) {
+  return [
+    Math.floor(seconds / 3600),
+    Math.floor((seconds % 3600) / 60),
+    Math.floor(seconds % 60),
+  ]
+    .map((part) => String(part).padStart(2, '0'))
+    .join(':');
+}
+
+/**
+ * Groups lessons by `sectionId`, keeping page order.
+ *
+ * @param {LessonData[]} lessons
+ * @returns {{sectionId: string, sectionTitle: string, sectionDuration: string, lessons: LessonData[]}[]}
+ */
+function groupLessonsBySection(lessons) {
+  const sections = new Map();
+
+  for (const lesson of lessons) {
+    const key = String(lesson.sectionId ?? '');
+    if (!sections.has(key)) {
+      sections.set(key, {
+        sectionId: key,
+        sectionTitle: lesson.sectionTitle || '',
+        sectionDuration: lesson.sectionDuration || '',
+        lessons: [],
+      });
+    }
+    sections.get(key).lessons.push(lesson);
+  }
+
+  return Array.from(sections.values());
+}
+
+/**
+ * Creates a Markdown course outline with a metadata header, one heading per
+ * section and one checklist item per lesson.
+ *
+ * @param {ExtractedPayload | null | undefined} payload
+ * @returns {string}
+ */
+function buildMarkdownOutline(payload) {
+  const courseData = (payload && payload.courseData) || {};
+  const lessons = Array.isArray(payload && payload.lessons)
+    ? payload.lessons
+    : [];
+
+  const lines = [
+    `# ${escapeMarkdown(courseData.courseTitle || 'Untitled course')}`,
+    '',
+  ];
+
+  const meta = [
+    ['Tutor', escapeMarkdown(courseData.tutor)],
+    ['Published', escapeMarkdown(courseData.publishedDate)],
+    ['Total duration', formatMinutesLabel(courseData.totalDuration)],
+    [
+      'Lessons',
+      lessons.length
+        ? `${lessons.length} in ${courseData.sectionCount ?? '?'} sections`
+        : '',
+    ],
+    ['Course URL', courseData.courseUrl ? `<${courseData.courseUrl}>` : ''],
+  ].filter(([, value]) => value);
+
+  for (const [label, value] of meta) {
+    lines.push(`- **${label}:** ${value}`);
+  }
+  if (meta.length) {
+    lines.push('');
+  }
+
+  if (courseData.courseDescription) {
+    lines.push(escapeMarkdown(courseData.courseDescription), '');
+  }
+
+  for (const section of groupLessonsBySection(lessons)) {
+    const duration = formatMinutesLabel(section.sectionDuration);
+    const heading = escapeMarkdown(section.sectionTitle || 'Lessons');
+    lines.push(`## ${heading}${duration ? ` (${duration})` : ''}`, '');
+
+    for (const lesson of section.lessons) {
+      const title = escapeMarkdown(lesson.title || 'Untitled lesson');
+      const link = lesson.lessonUrl ? `[${title}](${lesson.lessonUrl})` : title;
+      const deepLink = buildLessonDeepLink(lesson);
+      const timeRange =
+        lesson.timeRange && deepLink
+          ? `[\`${lesson.timeRange}\`](${deepLink})`
+          : lesson.timeRange
+            ? `\`${lesson.timeRange}\``
+            : '';
+      const timing = [
+        timeRange,
+        lesson.duration ? `(${formatMinutesLabel(lesson.duration)})` : '',
+      ]
+        .filter(Boolean)
+        .join(' ');
+
+      const checkbox = isLessonCompleted(lesson) ? '[x]' : '[ ]';
+      lines.push(`- ${checkbox} ${link}${timing ? ` — ${timing}` : ''}`);
+      const description = lesson.fullDescription || lesson.description;
+      if (description) {
+        for (const line of String(description).split('\n')) {
+          lines.push(`  ${escapeMarkdown(line)}`);
+        }
+      }
+    }
+    lines.push('');
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+/**
+ * Lesson columns written to CSV, in order.
+ *
+ * @type {[string, (lesson: LessonData) => unknown][]}
+ */
+const CSV_LESSON_COLUMNS = [
+  ['id', (lesson) => lesson.id],
+  ['section', (lesson) => lesson.sectionTitle],
+  ['title', (lesson) => lesson.title],
+  ['description', (lesson) => lesson.description],
+  ['duration', (lesson) => lesson.duration],
+  ['timeRange', (lesson) => lesson.timeRange],
+  ['lessonUrl', (lesson) => lesson.lessonUrl],
+];
+
+/**
+ * Course columns repeated on every CSV row when requested.
+ *
+ * @type {(keyof CourseData)[]}
+ */
+const CSV_COURSE_COLUMNS = [
+  'courseTitle',
+  'tutor',
+  'publishedDate',
+  'totalDuration',
+  'courseUrl',
+];
+
+/**
+ * Quotes a CSV cell when it contains a quote, comma or line break.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+function escapeCsvValue(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Creates a CSV file with one row per lesson.
+ *
+ * @param {ExtractedPayload | null | undefined} payload
+ * @param {ExportSettings} [settings]
+ * @returns {string}
+ */
+function buildLessonsCsv(payload, settings) {
+  const courseData = (payload && payload.courseData) || {};
+  const lessons = Array.isArray(payload && payload.lessons)
+    ? payload.lessons
+    : [];
+  const courseColumns =
+    settings && settings.csvIncludeCourseColumns ? CSV_COURSE_COLUMNS : [];
+
+  const header = [
+    ...CSV_LESSON_COLUMNS.map(([name]) => name),
+    ...courseColumns,
+  ];
+  const rows = lessons.map((lesson) => [
+    ...CSV_LESSON_COLUMNS.map(([, read]) => read(lesson)),
+    ...courseColumns.map((key) => courseData[key]),
+  ]);
+
+  const csv = [header, ...rows]
+    .map((row) => row.map(escapeCsvValue).join(','))
+    .join('\r\n');
+
+  return `${settings && settings.csvIncludeBom ? '\uFEFF' : ''}${csv}\r\n`;
+}
+
+/**
+ * Groups courses by instructor, sorted by instructor name. A co-taught
+ * course is listed under each of its instructors.
+ *
+ * @param {{slug: string, title: string, courseUrl: string, tutors?: Instructor[]}[]} courses
+ * @returns {{name: string, profileUrl: string, courses: {slug: string, title: string, courseUrl: string}[]}[]}
+ */
+function groupCoursesByInstructor(courses) {
+  const groups = new Map();
+
+  for (const course of courses) {
+    for (const instructor of course.tutors || []) {
+      if (!groups.has(instructor.name)) {
+        groups.set(instructor.name, {
+          name: instructor.name,
+          profileUrl: instructor.profileUrl || '',
+          courses: [],
+        });
+      }
+      groups.get(instructor.name).courses.push({
+        slug: course.slug,
+        title: course.title,
+        courseUrl: course.courseUrl,
+      });
+    }
+  }
+
+  return Array.from(groups.values()).sort((a, b) =>
+    a.name.localeCompare(b.name),
+  );
+}
+
+/**
+ * Registered output formats, in the order they are offered in the popup.
+ *
+ * @type {ExportFormat[]}
+ */
+const EXPORT_FORMATS = [
+  {
+    id: 'json',
+    label: 'Course JSON',
+    fileName: (slug) => `${slug}.json`,
+    build: (payload) => withExportHeader(payload),
+  },
+  {
+    id: 'v2',
+    label: 'Tasks JSON (v2)',
+    fileName: (slug) => `${slug}-v2.json`,
+    build: (payload, settings) =>
+      withExportHeader(buildV2Payload(payload, settings)),
+  },
+  {
+    id: 'markdown',
+    label: 'Markdown outline',
+    fileName: (slug) => `${slug}.md`,
+    build: buildMarkdownOutline,
+  },
+  {
+    id: 'csv',
+    label: 'Lessons CSV',
+    fileName: (slug) => `${slug}.csv`,
+    build: buildLessonsCsv,
+  },
+  {
+    id: 'ics',
+    label: 'Study plan (.ics)',
+    fileName: (slug) => `${slug}-study-plan.ics`,
+    build: buildStudyPlanIcs,
+  },
+  {
+    id: 'notes',
+    label: 'Notes folder (Obsidian, Notion)',
+    fileName: (slug) => `${slug}-notes`,
+    buildFiles: buildCourseNotes,
+    keepExisting: true,
+  },
+  {
+    id: 'chapters',
+    label: 'Video chapters (.vtt, YouTube list)',
+    fileName: (slug) => `${slug}-chapters`,
+    buildFiles: buildChapterFiles,
+  },
+];
+
+/**
+ * Builds the files of one format for a course.
+ *
+ * @param {ExportFormat} format
+ * @param {string} fileBase Course file name from the file name template.
+ * @param {ExtractedPayload} payload
+ * @param {ExportSettings} settings
+ * @returns {FormatFile[]}
+ */
+function buildFormatFiles(format, fileBase, payload, settings) {
+  const keepExisting = Boolean(format.keepExisting);
+  if (!format.buildFiles) {
+    return [
+      {
+        fileName: format.fileName(fileBase),
+        content: format.build(payload, settings),
+        keepExisting,
+      },
+    ];
+  }
+  const folder = format.fileName(fileBase);
+  return format.buildFiles(payload, settings).map((file) => ({
+    fileName: `${folder}/${file.path}`,
+    content: file.content,
+    keepExisting,
+  }));
+}
+
+/**
+ * Settings used until the user changes them in the popup.
+ *
+ * @type {ExportSettings}
+ */
+const DEFAULT_EXPORT_SETTINGS = {
+  formatIds: ['json', 'v2'],
+  taskTemplateId: DEFAULT_TASK_TEMPLATE.id,
+  completedLessons: 'checked',
+  csvIncludeBom: true,
+  csvIncludeCourseColumns: false,
+  studyPlan: DEFAULT_STUDY_PLAN_SETTINGS,
+  chapterScope: 'course',
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Converts text into a lowercase, dash-separated key. Shared by the content
+ * script and the course import, so migrated IDs match the ones a fresh
+ * export produces.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+function slugify(value) {
+  return String(value || '')
+    .replace(/\u200b/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Returns `key`, or `key-2`, `key-3`... when it is already taken.
+ *
+ * @param {string} key
+ * @param {Set<string>} usedKeys
+ * @returns {string}
+ */
+function reserveUniqueKey(key, usedKeys) {
+  let candidate = key;
+  let suffix = 2;
+  while (usedKeys.has(candidate)) {
+    candidate = `${key}-${suffix}`;
+    suffix += 1;
+  }
+  usedKeys.add(candidate);
+  return candidate;
+}
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = { slugify, reserveUniqueKey };
+}
@@ -0,0 +1,210 @@
+'use strict';
+
+const searchInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('search')
+);
+const statusNode = document.getElementById('status');
+const entriesNode = document.getElementById('entries');
+
+/** @type {LibraryEntry[]} */
+let entries = [];
+
+/**
+ * Shows a status message below the search box.
+ *
+ * @param {string} message
+ * @param {boolean} [isError]
+ * @returns {void}
+ */
+function setStatus(message, isError) {
+  statusNode.textContent = message;
+  statusNode.classList.toggle('error', Boolean(isError));
+}
+
+/**
+ * Returns whether an entry matches every word of the search query.
+ *
+ * @param {LibraryEntry} entry
+ * @param {string} query
+ * @returns {boolean}
+ */
+function matchesSearch(entry, query) {
+  const haystack = [entry.title, entry.tutor, entry.slug, entry.site]
+    .join(' ')
+    .toLowerCase();
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((word) => haystack.includes(word));
+}
+
+/**
+ * Builds one format for a library entry with the stored export and file
+ * settings and downloads it. Its course data is upgraded by the importer
+ * first, so exports from older versions build like fresh ones. A format that
+ * writes a folder, such as the notes folder, is downloaded as one
+ * `<folder>.zip`, so it needs a single download too.
+ *
+ * @param {LibraryEntry} entry
+ * @param {string} formatId
+ * @returns {Promise<void>}
+ */
+async function downloadEntry(entry, formatId) {
+  const storedPayload = await loadLibraryPayload(entry);
+  if (!storedPayload) {
+    throw new Error(
+      `The course data of this ${entry.title} export is missing.`,
+    );
+  }
+  // Older exports go through the import upgrades, like an imported file.
+  const { payload } = importCoursePayload(storedPayload, `${entry.slug}.json`);
+  const format = EXPORT_FORMATS.find((item) => item.id === formatId);
+  const settings = await loadExportSettings();
+  const fileSettings = await loadFileSettings();
+  const fileBase = buildCourseFileBase(
+    fileSettings.fileNameTemplate,
+    entry.slug,
+    payload,
+  );
+  const files = buildFormatFiles(format, fileBase, payload, {
+    ...settings,
+    taskTemplate: await resolveTaskTemplate(settings.taskTemplateId),
+  });
+
+  let savedName = '';
+  if (format.buildFiles) {
+    if (!files.length) {
+      setStatus(`${entry.title} has nothing to write for ${format.label}.`);
+      return;
+    }
+    const bundle = createExportBundle();
+    for (const file of files) {
+      addBundleFile(bundle, {
+        path: file.fileName,
+        content: file.content,
+        format: format.id,
+        sourceUrl: entry.courseUrl || '',
+        extractedAt: entry.exportedAt,
+      });
+    }
+    savedName = await saveWithDownload(
+      `${format.fileName(fileBase)}.zip`,
+      buildBundleArchive(bundle),
+      fileSettings,
+    );
+  } else {
+    savedName = await saveWithDownload(
+      files[0].fileName,
+      files[0].content,
+      fileSettings,
+    );
+  }
+  setStatus(savedName ? `Downloaded ${savedName}.` : 'Download canceled.');
+}
+
+/**
+ * Renders one list item for a library entry.
+ *
+ * @param {LibraryEntry} entry
+ * @returns {HTMLLIElement}
+ */
+function renderEntry(entry) {
+  const item = document.createElement('li');
+
+  const title = document.createElement('h2');
+  if (entry.courseUrl) {
+    const link = document.createElement('a');
+    link.href = entry.courseUrl;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = entry.title;
+    title.append(link);
+  } else {
+    title.textContent = entry.title;
+  }
+
+  const meta = document.createElement('p');
+  meta.className = 'hint';
+  meta.textContent = [
+    entry.site,
+    entry.tutor,
+    `${entry.lessonCount} lessons`,
+    formatMinutesLabel(entry.totalMinutes || ''),
+    `exported ${new Date(entry.exportedAt).toLocaleString()}`,
+  ]
+    .filter(Boolean)
+    .join(' • ');
+
+  const formatSelect = document.createElement('select');
+  formatSelect.setAttribute('aria-label', 'Format');
+  formatSelect.append(
+    ...EXPORT_FORMATS.map(
+      (format) =>
+        new Option(
+          format.buildFiles ? `${format.label} as ZIP` : format.label,
+          format.id,
+        ),
+    ),
+  );
+
+  const downloadButton = document.createElement('button');
+  downloadButton.type = 'button';
+  downloadButton.className = 'primary';
+  downloadButton.textContent = 'Download';
+  downloadButton.addEventListener('click', () => {
+    downloadEntry(entry, formatSelect.value).catch((error) => {
+      setStatus(error instanceof Error ? error.message : String(error), true);
+    });
+  });
+
+  const deleteButton = document.createElement('button');
+  deleteButton.type = 'button';
+  deleteButton.textContent = 'Remove';
+  deleteButton.addEventListener('click', async () => {
+    await deleteLibraryEntry(entry.id);
+    entries = entries.filter((other) => other.id !== entry.id);
+    renderEntries();
+    setStatus(`Removed the ${entry.title} export from the library.`);
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'row';
+  actions.append(formatSelect, downloadButton, deleteButton);
+
+  item.append(title, meta, actions);
+  return item;
+}
+
+/**
+ * Renders the entries matching the search box.
+ *
+ * @returns {void}
+ */
+function renderEntries() {
+  const visible = entries.filter((entry) =>
+    matchesSearch(entry, searchInput.value),
+  );
+  entriesNode.replaceChildren(...visible.map(renderEntry));
+
+  if (!entries.length) {
+    setStatus('No exports yet. Export a course from the popup first.');
+  } else if (!visible.length) {
+    setStatus('No export matches the search.');
+  } else {
+    setStatus(`${visible.length} of ${entries.length} exports.`);
+  }
+}
+
+/**
+ * Loads the library.
+ *
+ * @returns {Promise<void>}
+ */
+async function init() {
+  entries = await loadExportLibrary();
+  renderEntries();
+}
+
+searchInput.addEventListener('input', renderEntries);
+init();
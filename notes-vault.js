@@ -0,0 +1,338 @@
+'use strict';
+
+/**
+ * One Markdown note of a course's notes folder.
+ *
+ * @typedef {Object} CourseNote
+ * @property {string} path Relative to the course folder; `/` separates folders.
+ * @property {string} content
+ */
+
+/**
+ * Frontmatter value: strings are quoted, lists become YAML block lists.
+ *
+ * @typedef {string | number | string[]} FrontmatterValue
+ */
+
+/** Heading left empty in every note for the user's own notes. */
+const NOTES_HEADING = '## Notes';
+
+/**
+ * Comments around the lesson lists of the index and section notes. Every
+ * export writes this block again in existing notes and keeps the rest.
+ */
+const GENERATED_BLOCK_START = '<!-- lesson list: updated on every export -->';
+const GENERATED_BLOCK_END = '<!-- end of lesson list -->';
+
+/**
+ * Finds the generated block of a note.
+ *
+ * @param {string} text
+ * @returns {{start: number, end: number} | null}
+ */
+function findGeneratedBlock(text) {
+  const start = text.indexOf(GENERATED_BLOCK_START);
+  const end = start === -1 ? -1 : text.indexOf(GENERATED_BLOCK_END, start);
+  return end === -1 ? null : { start, end: end + GENERATED_BLOCK_END.length };
+}
+
+/**
+ * Replaces the generated block of an existing note with the one of the
+ * note built now, keeping everything around it.
+ *
+ * @param {string} existing
+ * @param {string} content
+ * @returns {string} Empty when either note has no generated block, such as a lesson note or a note the markers were removed from.
+ */
+function mergeGeneratedBlock(existing, content) {
+  const current = findGeneratedBlock(existing);
+  const next = findGeneratedBlock(content);
+  if (!current || !next) {
+    return '';
+  }
+  return (
+    existing.slice(0, current.start) +
+    content.slice(next.start, next.end) +
+    existing.slice(current.end)
+  );
+}
+
+/**
+ * Builds a YAML frontmatter block. Strings are written as JSON strings,
+ * which YAML reads as double-quoted scalars.
+ *
+ * @param {[string, FrontmatterValue][]} fields
+ * @returns {string[]}
+ */
+function buildFrontmatter(fields) {
+  const lines = ['---'];
+  for (const [key, value] of fields) {
+    if (Array.isArray(value)) {
+      lines.push(
+        `${key}:`,
+        ...value.map((item) => `  - ${JSON.stringify(item)}`),
+      );
+      continue;
+    }
+    lines.push(
+      `${key}: ${typeof value === 'number' ? value : JSON.stringify(value)}`,
+    );
+  }
+  lines.push('---');
+  return lines;
+}
+
+/**
+ * Turns text into a tag segment: lowercase letters, digits and dashes.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+function toNoteTag(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Reads a minute string as a number for frontmatter, so note queries can
+ * add durations up.
+ *
+ * @param {unknown} minutes
+ * @returns {number | string} Empty when there is no duration.
+ */
+function toFrontmatterMinutes(minutes) {
+  const text = String(minutes ?? '').trim();
+  return /^\d+$/.test(text) ? Number(text) : text;
+}
+
+/**
+ * Returns the note path of a lesson or section, named by its stable ID so
+ * re-exports find the same note after titles or positions change.
+ *
+ * @param {'lessons' | 'sections'} folder
+ * @param {unknown} id
+ * @returns {string}
+ */
+function getNotePath(folder, id) {
+  return `${folder}/${toFileNameSegment(id) || 'untitled'}.md`;
+}
+
+/**
+ * Builds a Markdown link from one note to another.
+ *
+ * @param {unknown} title
+ * @param {string} fromPath
+ * @param {string} toPath
+ * @returns {string}
+ */
+function buildNoteLink(title, fromPath, toPath) {
+  const depth = fromPath.split('/').length - 1;
+  const href = `${'../'.repeat(depth)}${toPath}`
+    .split('/')
+    .map(encodeURIComponent)
+    .join('/');
+  return `[${escapeMarkdown(title)}](${href})`;
+}
+
+/**
+ * Spans a section's time range from the start of its first lesson to the
+ * end of its last one.
+ *
+ * @param {LessonData[]} lessons
+ * @returns {string} Empty when either end is unknown.
+ */
+function getSectionTimeRange(lessons) {
+  const start = lessons[0]?.startSeconds;
+  const end = lessons[lessons.length - 1]?.endSeconds;
+  return typeof start === 'number' && typeof end === 'number'
+    ? `${formatClockTime(start)} - ${formatClockTime(end)}`
+    : '';
+}
+
+/**
+ * Builds a lesson list item: a link to the lesson note and its duration.
+ *
+ * @param {LessonData} lesson
+ * @param {string} fromPath Note the list is in.
+ * @returns {string}
+ */
+function buildLessonListItem(lesson, fromPath) {
+  const link = buildNoteLink(
+    lesson.title || 'Untitled lesson',
+    fromPath,
+    getNotePath('lessons', lesson.id),
+  );
+  const duration = formatMinutesLabel(lesson.duration);
+  return duration ? `${link} (${duration})` : link;
+}
+
+/**
+ * Builds a course's notes: `index.md` with the course details and links to
+ * every section and lesson, one note per section in `sections/` and one
+ * per lesson in `lessons/`, linked to the previous and next lesson. Every
+ * note starts with YAML frontmatter and ends with an empty Notes heading.
+ * The lesson lists of the index and section notes are generated blocks,
+ * so re-exports can add new lessons to them.
+ *
+ * @param {ExtractedPayload | null | undefined} payload
+ * @returns {CourseNote[]}
+ */
+function buildCourseNotes(payload) {
+  const courseData = (payload && payload.courseData) || {};
+  const lessons = Array.isArray(payload && payload.lessons)
+    ? payload.lessons
+    : [];
+  const courseTitle = courseData.courseTitle || 'Untitled course';
+  const courseTag = `course/${toNoteTag(courseTitle) || 'untitled'}`;
+  const tutor = courseData.tutor || '';
+  const indexPath = 'index.md';
+  const sections = groupLessonsBySection(lessons);
+
+  /** @type {CourseNote[]} */
+  const notes = [];
+  const indexLines = [
+    ...buildFrontmatter([
+      ['title', courseTitle],
+      ['tutor', tutor],
+      ['tutors', (courseData.tutors || []).map((item) => item.name)],
+      ['publishedDate', courseData.publishedDate || ''],
+      ['duration', toFrontmatterMinutes(courseData.totalDuration)],
+      ['sectionCount', courseData.sectionCount ?? sections.length],
+      ['lessonCount', courseData.lessonCount ?? lessons.length],
+      ['courseUrl', courseData.courseUrl || ''],
+      ['tags', [courseTag, 'course']],
+    ]),
+    '',
+    `# ${escapeMarkdown(courseTitle)}`,
+    '',
+  ];
+  if (courseData.courseDescription) {
+    indexLines.push(escapeMarkdown(courseData.courseDescription), '');
+  }
+  const materialLines = buildCourseMaterialLines(courseData);
+  if (materialLines.length) {
+    indexLines.push(...materialLines, '');
+  }
+  if (courseData.courseUrl) {
+    indexLines.push(`[Open the course](<${courseData.courseUrl}>)`, '');
+  }
+  indexLines.push('## Sections', '', GENERATED_BLOCK_START, '');
+
+  lessons.forEach((lesson, index) => {
+    const lessonPath = getNotePath('lessons', lesson.id);
+    const previous = lessons[index - 1];
+    const next = lessons[index + 1];
+    const title = lesson.title || 'Untitled lesson';
+    const links = [
+      `- Course: ${buildNoteLink(courseTitle, lessonPath, indexPath)}`,
+      lesson.sectionId
+        ? `- Section: ${buildNoteLink(
+            lesson.sectionTitle || 'Lessons',
+            lessonPath,
+            getNotePath('sections', lesson.sectionId),
+          )}`
+        : '',
+      previous
+        ? `- Previous: ${buildNoteLink(
+            previous.title || 'Untitled lesson',
+            lessonPath,
+            getNotePath('lessons', previous.id),
+          )}`
+        : '',
+      next
+        ? `- Next: ${buildNoteLink(
+            next.title || 'Untitled lesson',
+            lessonPath,
+            getNotePath('lessons', next.id),
+          )}`
+        : '',
+    ].filter(Boolean);
+    const description = lesson.fullDescription || lesson.description;
+    const deepLink = buildLessonDeepLink(lesson);
+
+    notes.push({
+      path: lessonPath,
+      content: [
+        ...buildFrontmatter([
+          ['id', String(lesson.id ?? '')],
+          ['section', lesson.sectionTitle || ''],
+          ['duration', toFrontmatterMinutes(lesson.duration)],
+          ['timeRange', lesson.timeRange || ''],
+          ['lessonUrl', lesson.lessonUrl || ''],
+          ['deepLink', deepLink],
+          ['tutor', tutor],
+          ['tags', [courseTag, 'lesson']],
+        ]),
+        '',
+        `# ${escapeMarkdown(title)}`,
+        '',
+        ...links,
+        '',
+        ...(description
+          ? [escapeMarkdown(description).replace(/\n/g, '\n\n'), '']
+          : []),
+        ...(lesson.lessonUrl
+          ? [`[Open the lesson](<${lesson.lessonUrl}>)`, '']
+          : []),
+        NOTES_HEADING,
+        '',
+      ].join('\n'),
+    });
+  });
+
+  for (const section of sections) {
+    const indexItems = section.lessons.map(
+      (lesson) => `- ${buildLessonListItem(lesson, indexPath)}`,
+    );
+    if (!section.sectionId) {
+      indexLines.push(...indexItems, '');
+      continue;
+    }
+
+    const sectionPath = getNotePath('sections', section.sectionId);
+    const sectionTitle = section.sectionTitle || 'Lessons';
+    indexLines.push(
+      `### ${buildNoteLink(sectionTitle, indexPath, sectionPath)}`,
+      '',
+      ...indexItems,
+      '',
+    );
+
+    notes.push({
+      path: sectionPath,
+      content: [
+        ...buildFrontmatter([
+          ['id', section.sectionId],
+          ['section', sectionTitle],
+          ['duration', toFrontmatterMinutes(section.sectionDuration)],
+          ['timeRange', getSectionTimeRange(section.lessons)],
+          ['lessonUrl', section.lessons[0].lessonUrl || ''],
+          ['lessonCount', section.lessons.length],
+          ['tutor', tutor],
+          ['tags', [courseTag, 'section']],
+        ]),
+        '',
+        `# ${escapeMarkdown(sectionTitle)}`,
+        '',
+        `- Course: ${buildNoteLink(courseTitle, sectionPath, indexPath)}`,
+        '',
+        GENERATED_BLOCK_START,
+        '',
+        ...section.lessons.map(
+          (lesson, index) =>
+            `${index + 1}. ${buildLessonListItem(lesson, sectionPath)}`,
+        ),
+        '',
+        GENERATED_BLOCK_END,
+        '',
+        NOTES_HEADING,
+        '',
+      ].join('\n'),
+    });
+  }
+
+  indexLines.push(GENERATED_BLOCK_END, '', NOTES_HEADING, '');
+  return [{ path: indexPath, content: indexLines.join('\n') }, ...notes];
+}
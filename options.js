@@ -0,0 +1,639 @@
+'use strict';
+
+const templateList = /** @type {HTMLSelectElement} */ (
+  document.getElementById('templateList')
+);
+const nameInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('templateName')
+);
+const contentInput = /** @type {HTMLTextAreaElement} */ (
+  document.getElementById('templateContent')
+);
+const descriptionInput = /** @type {HTMLTextAreaElement} */ (
+  document.getElementById('templateDescription')
+);
+const newButton = document.getElementById('newTemplateBtn');
+const duplicateButton = document.getElementById('duplicateTemplateBtn');
+const deleteButton = /** @type {HTMLButtonElement} */ (
+  document.getElementById('deleteTemplateBtn')
+);
+const saveButton = document.getElementById('saveTemplatesBtn');
+const templateStatusNode = document.getElementById('templateStatus');
+const fieldsNode = document.getElementById('fields');
+const previewSourceNode = document.getElementById('previewSource');
+const previewNode = document.getElementById('preview');
+
+const todoistTokenInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('todoistToken')
+);
+const todoistBaseUrlInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('todoistBaseUrl')
+);
+const todoistSectionsInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('todoistSections')
+);
+const saveTodoistButton = document.getElementById('saveTodoistBtn');
+const todoistStatusNode = document.getElementById('todoistStatus');
+
+const savedFolderNode = document.getElementById('savedFolder');
+const forgetFolderButton = /** @type {HTMLButtonElement} */ (
+  document.getElementById('forgetFolderBtn')
+);
+const fileNameTemplateInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('fileNameTemplate')
+);
+const fileNamePlaceholdersNode = document.getElementById(
+  'fileNamePlaceholders',
+);
+const fileNamePreviewNode = document.getElementById('fileNamePreview');
+const downloadsFolderInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('downloadsFolder')
+);
+const overwritePolicySelect = /** @type {HTMLSelectElement} */ (
+  document.getElementById('overwritePolicy')
+);
+const saveFilesButton = document.getElementById('saveFilesBtn');
+const fileStatusNode = document.getElementById('fileStatus');
+
+const selectorSiteSelect = /** @type {HTMLSelectElement} */ (
+  document.getElementById('selectorSite')
+);
+const selectorProfileInput = /** @type {HTMLTextAreaElement} */ (
+  document.getElementById('selectorProfile')
+);
+const saveSelectorsButton = document.getElementById('saveSelectorsBtn');
+const resetSelectorsButton = document.getElementById('resetSelectorsBtn');
+const selectorStatusNode = document.getElementById('selectorStatus');
+
+const PREVIEW_TASK_COUNT = 3;
+
+/**
+ * Used for the preview until a course has been extracted.
+ *
+ * @type {ExtractCourseDataResult}
+ */
+const SAMPLE_EXTRACTION = {
+  slug: 'sample-course',
+  payload: {
+    courseData: {
+      courseTitle: 'Sample Course',
+      courseDescription: 'A sample course used for template previews.',
+      tutor: 'Jane Doe',
+      totalDuration: '95',
+      publishedDate: '2024-01-15',
+      sectionCount: 1,
+      lessonCount: 2,
+      courseUrl: 'https://frontendmasters.com/courses/sample-course/',
+    },
+    lessons: [
+      {
+        id: 'introduction',
+        position: 1,
+        title: 'Introduction',
+        description: 'Course overview and setup.',
+        duration: '6',
+        timeRange: '00:00:00 - 00:06:12',
+        lessonUrl:
+          'https://frontendmasters.com/courses/sample-course/introduction/',
+        sectionId: 'introduction',
+        sectionPosition: 1,
+        sectionTitle: 'Introduction',
+        sectionDuration: '14',
+      },
+      {
+        id: 'project-setup',
+        position: 2,
+        title: 'Project Setup',
+        description: '',
+        duration: '8',
+        timeRange: '00:06:12 - 00:14:30',
+        lessonUrl: '',
+        sectionId: 'introduction',
+        sectionPosition: 1,
+        sectionTitle: 'Introduction',
+        sectionDuration: '14',
+      },
+    ],
+  },
+};
+
+/** @type {TaskTemplate[]} */
+let templates = [];
+let selectedTemplateId = '';
+/** @type {ExtractCourseDataResult} */
+let previewExtraction = SAMPLE_EXTRACTION;
+
+/**
+ * Updates a card's save status line.
+ *
+ * @param {HTMLElement} node
+ * @param {string} message
+ * @param {boolean} [isError]
+ * @returns {void}
+ */
+function setStatus(node, message, isError) {
+  node.textContent = message;
+  node.classList.toggle('error', Boolean(isError));
+}
+
+/**
+ * Returns the template currently open in the editor.
+ *
+ * @returns {TaskTemplate}
+ */
+function getSelectedTemplate() {
+  return (
+    templates.find((template) => template.id === selectedTemplateId) ||
+    templates[0]
+  );
+}
+
+/**
+ * Creates a template ID that is not used yet.
+ *
+ * @returns {string}
+ */
+function createTemplateId() {
+  return `template-${Date.now().toString(36)}`;
+}
+
+/**
+ * Renders the template list and selects the active template.
+ *
+ * @returns {void}
+ */
+function renderTemplateList() {
+  templateList.replaceChildren(
+    ...templates.map(
+      (template) => new Option(template.name || template.id, template.id),
+    ),
+  );
+  templateList.value = selectedTemplateId;
+  deleteButton.disabled = templates.length <= 1;
+}
+
+/**
+ * Loads the selected template into the editor fields.
+ *
+ * @returns {void}
+ */
+function fillEditor() {
+  const template = getSelectedTemplate();
+  nameInput.value = template.name;
+  contentInput.value = template.content;
+  descriptionInput.value = template.description;
+  renderPreview();
+}
+
+/**
+ * Renders the placeholder reference from the preview course.
+ *
+ * @returns {void}
+ */
+function renderFieldReference() {
+  const { courseData = {}, lessons = [] } = previewExtraction.payload;
+  const fieldNames = Array.from(
+    new Set([...Object.keys(lessons[0] || {}), ...Object.keys(courseData)]),
+  );
+
+  fieldsNode.replaceChildren(
+    ...fieldNames.map((fieldName) => {
+      const item = document.createElement('code');
+      item.textContent = `{{${fieldName}}}`;
+      return item;
+    }),
+  );
+}
+
+/**
+ * Renders the first tasks of the preview course with the edited template.
+ *
+ * @returns {void}
+ */
+function renderPreview() {
+  const { payload } = previewExtraction;
+  const { tasks } = buildV2Payload(
+    {
+      ...payload,
+      lessons: (payload.lessons || []).slice(0, PREVIEW_TASK_COUNT),
+    },
+    { formatIds: ['v2'], taskTemplate: getSelectedTemplate() },
+  );
+
+  previewNode.textContent = JSON.stringify({ tasks }, null, 2);
+}
+
+/**
+ * Copies editor fields into the selected template.
+ *
+ * @returns {void}
+ */
+function onEditorInput() {
+  const template = getSelectedTemplate();
+  template.name = nameInput.value;
+  template.content = contentInput.value;
+  template.description = descriptionInput.value;
+
+  templateList.selectedOptions[0].textContent = template.name || template.id;
+  setStatus(templateStatusNode, 'Unsaved changes.');
+  renderPreview();
+}
+
+/**
+ * Opens the template picked in the list.
+ *
+ * @returns {void}
+ */
+function onTemplateSelect() {
+  selectedTemplateId = templateList.value;
+  fillEditor();
+}
+
+/**
+ * Adds a template and opens it.
+ *
+ * @param {TaskTemplate} template
+ * @returns {void}
+ */
+function addTemplate(template) {
+  templates.push(template);
+  selectedTemplateId = template.id;
+  renderTemplateList();
+  fillEditor();
+  setStatus(templateStatusNode, 'Unsaved changes.');
+}
+
+/**
+ * Creates a template from the default layout.
+ *
+ * @returns {void}
+ */
+function onNewTemplate() {
+  addTemplate({
+    ...DEFAULT_TASK_TEMPLATE,
+    id: createTemplateId(),
+    name: 'New template',
+  });
+}
+
+/**
+ * Creates a copy of the selected template.
+ *
+ * @returns {void}
+ */
+function onDuplicateTemplate() {
+  const template = getSelectedTemplate();
+  addTemplate({
+    ...template,
+    id: createTemplateId(),
+    name: `${template.name} copy`,
+  });
+}
+
+/**
+ * Removes the selected template. The last template cannot be removed.
+ *
+ * @returns {void}
+ */
+function onDeleteTemplate() {
+  if (templates.length <= 1) {
+    return;
+  }
+
+  templates = templates.filter(
+    (template) => template.id !== selectedTemplateId,
+  );
+  selectedTemplateId = templates[0].id;
+  renderTemplateList();
+  fillEditor();
+  setStatus(templateStatusNode, 'Unsaved changes.');
+}
+
+/**
+ * Persists all templates.
+ *
+ * @returns {Promise<void>}
+ */
+async function onSaveTemplates() {
+  try {
+    await saveTaskTemplates(templates);
+    setStatus(templateStatusNode, '✅ Templates saved.');
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Unknown error.';
+    setStatus(templateStatusNode, `❌ ${message}`, true);
+  }
+}
+
+/**
+ * Shows the folder the popup saves to.
+ *
+ * @returns {Promise<void>}
+ */
+async function renderSavedFolder() {
+  const directory = await loadSavedDirectory().catch(() => null);
+  savedFolderNode.textContent = directory
+    ? directory.name
+    : 'none yet; the popup asks on the next export';
+  forgetFolderButton.disabled = !directory;
+}
+
+/**
+ * Shows the file names the template gives for the preview course.
+ *
+ * @returns {void}
+ */
+function renderFileNamePreview() {
+  const template = fileNameTemplateInput.value.trim() || '{slug}';
+  const problems = validateFileNameTemplate(template);
+  if (problems.length) {
+    fileNamePreviewNode.textContent = `⚠️ ${problems.join(' ')}`;
+    return;
+  }
+
+  const { slug, payload } = previewExtraction;
+  const fileBase = buildCourseFileBase(template, slug, payload);
+  fileNamePreviewNode.textContent = `Example: ${EXPORT_FORMATS.slice(0, 2)
+    .map((format) => format.fileName(fileBase))
+    .join(', ')}`;
+}
+
+/**
+ * Fills the file settings form.
+ *
+ * @param {FileSettings} settings
+ * @returns {void}
+ */
+function fillFileSettings(settings) {
+  fileNameTemplateInput.value = settings.fileNameTemplate;
+  downloadsFolderInput.value = settings.downloadsFolder;
+  overwritePolicySelect.value = settings.overwritePolicy;
+  fileNamePlaceholdersNode.replaceChildren(
+    'Placeholders: ',
+    ...Object.entries(FILE_NAME_PLACEHOLDERS).flatMap(
+      ([name, label], index) => {
+        const code = document.createElement('code');
+        code.textContent = `{${name}}`;
+        return [index ? ', ' : '', code, ` ${label}`];
+      },
+    ),
+    '.',
+  );
+  renderFileNamePreview();
+}
+
+/**
+ * Saves the file name template, downloads subfolder and overwrite policy.
+ *
+ * @returns {Promise<void>}
+ */
+async function onSaveFileSettings() {
+  const fileNameTemplate = fileNameTemplateInput.value.trim() || '{slug}';
+  const problems = validateFileNameTemplate(fileNameTemplate);
+  if (problems.length) {
+    setStatus(fileStatusNode, `❌ ${problems.join(' ')}`, true);
+    return;
+  }
+
+  /** @type {FileSettings} */
+  const settings = {
+    fileNameTemplate,
+    downloadsFolder: normalizeDownloadsFolder(downloadsFolderInput.value),
+    overwritePolicy: /** @type {FileSettings['overwritePolicy']} */ (
+      overwritePolicySelect.value
+    ),
+  };
+  await saveFileSettings(settings);
+  fillFileSettings(settings);
+  setStatus(fileStatusNode, '✅ File settings saved.');
+}
+
+/**
+ * Forgets the remembered folder, so the popup asks for one again.
+ *
+ * @returns {Promise<void>}
+ */
+async function onForgetFolder() {
+  await forgetSavedDirectory();
+  await renderSavedFolder();
+  setStatus(fileStatusNode, '✅ The popup will ask for a folder next time.');
+}
+
+/**
+ * Saves the Todoist settings and asks for access to the API origin.
+ *
+ * @returns {Promise<void>}
+ */
+async function onSaveTodoistSettings() {
+  try {
+    /** @type {TodoistSettings} */
+    const settings = {
+      apiToken: todoistTokenInput.value.trim(),
+      baseUrl:
+        todoistBaseUrlInput.value.trim() || DEFAULT_TODOIST_SETTINGS.baseUrl,
+      createSections: todoistSectionsInput.checked,
+    };
+
+    const granted = await chrome.permissions.request({
+      origins: [getTodoistOriginPattern(settings.baseUrl)],
+    });
+    await saveTodoistSettings(settings);
+    todoistBaseUrlInput.value = settings.baseUrl;
+
+    if (granted) {
+      setStatus(todoistStatusNode, '✅ Todoist settings saved.');
+    } else {
+      setStatus(
+        todoistStatusNode,
+        '⚠️ Saved, but access to the API URL was not granted.',
+        true,
+      );
+    }
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Unknown error.';
+    setStatus(todoistStatusNode, `❌ ${message}`, true);
+  }
+}
+
+/**
+ * Loads templates and the preview course.
+ *
+ * @returns {Promise<void>}
+ */
+async function init() {
+  templates = await loadTaskTemplates();
+  selectedTemplateId = templates[0].id;
+
+  const lastExtraction = await loadLastExtraction();
+  if (lastExtraction) {
+    previewExtraction = lastExtraction;
+    previewSourceNode.textContent = `Preview uses your last extraction: ${
+      lastExtraction.payload.courseData?.courseTitle || lastExtraction.slug
+    }.`;
+  }
+
+  renderTemplateList();
+  renderFieldReference();
+  fillEditor();
+
+  fillFileSettings(await loadFileSettings());
+  await renderSavedFolder();
+
+  const todoistSettings = await loadTodoistSettings();
+  todoistTokenInput.value = todoistSettings.apiToken;
+  todoistBaseUrlInput.value = todoistSettings.baseUrl;
+  todoistSectionsInput.checked = todoistSettings.createSections;
+
+  selectorSiteSelect.replaceChildren(
+    ...SITE_ADAPTERS.map((adapter) => new Option(adapter.name, adapter.id)),
+  );
+  await fillSiteSelectorProfile();
+}
+
+/**
+ * Returns the site chosen for the selector profile editor.
+ *
+ * @returns {SiteAdapter}
+ */
+function getSelectedSiteAdapter() {
+  return getSiteAdapter(selectorSiteSelect.value) || SITE_ADAPTERS[0];
+}
+
+/**
+ * Shows the chosen site's profile with its saved overrides applied.
+ *
+ * @returns {Promise<void>}
+ */
+async function fillSiteSelectorProfile() {
+  const adapter = getSelectedSiteAdapter();
+  fillSelectorProfile(
+    mergeSelectorProfile(
+      adapter.selectorProfile,
+      await loadSelectorProfileOverrides(adapter.id),
+    ),
+  );
+}
+
+/**
+ * Parses the selector profile editor and checks every field and selector.
+ * Empty lists are allowed and keep the site's default.
+ *
+ * @param {string} text
+ * @param {SelectorProfile} defaults
+ * @throws {Error}
+ * @returns {SelectorProfile}
+ */
+function parseSelectorProfile(text, defaults) {
+  let profile;
+  try {
+    profile = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Selectors are not valid JSON: ${error.message}`);
+  }
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error('Selectors must be a JSON object of field → list.');
+  }
+
+  const probe = document.createDocumentFragment();
+  for (const [field, selectors] of Object.entries(profile)) {
+    if (!Object.hasOwn(defaults, field)) {
+      throw new Error(`Unknown field "${field}".`);
+    }
+    if (
+      !Array.isArray(selectors) ||
+      !selectors.every((selector) => typeof selector === 'string' && selector)
+    ) {
+      throw new Error(`"${field}" must be a list of selectors.`);
+    }
+    for (const selector of selectors) {
+      try {
+        probe.querySelector(selector);
+      } catch (_error) {
+        throw new Error(`"${field}" has an invalid selector: ${selector}`);
+      }
+    }
+  }
+  return profile;
+}
+
+/**
+ * Shows a selector profile in the editor.
+ *
+ * @param {SelectorProfile} profile
+ * @returns {void}
+ */
+function fillSelectorProfile(profile) {
+  selectorProfileInput.value = JSON.stringify(profile, null, 2);
+}
+
+/**
+ * Saves the fields that differ from the chosen site's selector profile.
+ *
+ * @returns {Promise<void>}
+ */
+async function onSaveSelectors() {
+  try {
+    const adapter = getSelectedSiteAdapter();
+    const profile = mergeSelectorProfile(
+      adapter.selectorProfile,
+      parseSelectorProfile(selectorProfileInput.value, adapter.selectorProfile),
+    );
+    const overrides = Object.fromEntries(
+      Object.entries(profile).filter(
+        ([field, selectors]) =>
+          JSON.stringify(selectors) !==
+          JSON.stringify(adapter.selectorProfile[field]),
+      ),
+    );
+    await saveSelectorProfileOverrides(adapter.id, overrides);
+    fillSelectorProfile(profile);
+    setStatus(
+      selectorStatusNode,
+      `✅ Selectors saved (${Object.keys(overrides).length} fields changed).`,
+    );
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Unknown error.';
+    setStatus(selectorStatusNode, `❌ ${message}`, true);
+  }
+}
+
+/**
+ * Switches the selector profile editor to another site.
+ *
+ * @returns {Promise<void>}
+ */
+async function onSelectorSiteChange() {
+  setStatus(selectorStatusNode, '');
+  await fillSiteSelectorProfile();
+}
+
+/**
+ * Drops every selector override of the chosen site.
+ *
+ * @returns {Promise<void>}
+ */
+async function onResetSelectors() {
+  const adapter = getSelectedSiteAdapter();
+  await saveSelectorProfileOverrides(adapter.id, {});
+  fillSelectorProfile(adapter.selectorProfile);
+  setStatus(
+    selectorStatusNode,
+    `✅ Default ${adapter.name} selectors restored.`,
+  );
+}
+
+templateList.addEventListener('change', onTemplateSelect);
+nameInput.addEventListener('input', onEditorInput);
+contentInput.addEventListener('input', onEditorInput);
+descriptionInput.addEventListener('input', onEditorInput);
+newButton.addEventListener('click', onNewTemplate);
+duplicateButton.addEventListener('click', onDuplicateTemplate);
+deleteButton.addEventListener('click', onDeleteTemplate);
+saveButton.addEventListener('click', onSaveTemplates);
+fileNameTemplateInput.addEventListener('input', renderFileNamePreview);
+saveFilesButton.addEventListener('click', onSaveFileSettings);
+forgetFolderButton.addEventListener('click', onForgetFolder);
+saveTodoistButton.addEventListener('click', onSaveTodoistSettings);
+selectorSiteSelect.addEventListener('change', onSelectorSiteChange);
+saveSelectorsButton.addEventListener('click', onSaveSelectors);
+resetSelectorsButton.addEventListener('click', onResetSelectors);
+init();
@@ -2,19 +2,138 @@
 
 const exportButton = document.getElementById('exportBtn');
 const statusNode = document.getElementById('status');
-
-const COURSE_PAGE_RE = /^https:\/\/frontendmasters\.com\/courses\/[^/?#]+\/?/i;
+const progressNode = document.getElementById('progress');
+const formatsNode = document.getElementById('formats');
+const csvIncludeBomInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('csvIncludeBom')
+);
+const csvIncludeCourseColumnsInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('csvIncludeCourseColumns')
+);
+const taskTemplateSelect = /** @type {HTMLSelectElement} */ (
+  document.getElementById('taskTemplate')
+);
+const pushToTodoistInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('pushToTodoist')
+);
+const deepExportInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('deepExport')
+);
+const reviewBeforeSaveInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('reviewBeforeSave')
+);
+const zipBundleInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('zipBundle')
+);
+const previewSaveButton = /** @type {HTMLButtonElement} */ (
+  document.getElementById('previewSaveBtn')
+);
+const previewCancelButton = document.getElementById('previewCancelBtn');
+const pageButtonInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('pageButton')
+);
+const completedLessonsSelect = /** @type {HTMLSelectElement} */ (
+  document.getElementById('completedLessons')
+);
+const chapterScopeSelect = /** @type {HTMLSelectElement} */ (
+  document.getElementById('chapterScope')
+);
+const studyBudgetInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('studyBudget')
+);
+const studyBudgetPeriodSelect = /** @type {HTMLSelectElement} */ (
+  document.getElementById('studyBudgetPeriod')
+);
+const studyDaysNode = document.getElementById('studyDays');
+const studyStartDateInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('studyStartDate')
+);
+const studyStartTimeInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('studyStartTime')
+);
+const openOptionsLink = document.getElementById('openOptions');
+const openLibraryLink = document.getElementById('openLibrary');
+const importJsonLink = document.getElementById('importJson');
+const importFilesInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('importFiles')
+);
+const folderNoteNode = document.getElementById('folderNote');
+const folderNameNode = document.getElementById('folderName');
+const changeFolderLink = document.getElementById('changeFolder');
+const overwriteDialog = /** @type {HTMLDialogElement} */ (
+  document.getElementById('overwriteDialog')
+);
+const overwriteMessageNode = document.getElementById('overwriteMessage');
+
+/** @type {TaskTemplate[]} */
+let taskTemplates = [DEFAULT_TASK_TEMPLATE];
+
+/** @type {FileSettings} */
+let fileSettings = DEFAULT_FILE_SETTINGS;
 
 /**
+ * Lesson fields as written by content.js; `schemas/course.schema.json`
+ * is the published contract.
+ *
  * @typedef {Object} LessonData
- * @property {number} [id]
+ * @property {string} [id]
+ * @property {number} [position]
  * @property {string} [title]
+ * @property {string} [description]
  * @property {string} [duration]
+ * @property {number | null} [durationSeconds]
+ * @property {string} [durationIso]
+ * @property {string} [timeRange]
+ * @property {number | null} [startSeconds]
+ * @property {number | null} [endSeconds]
  * @property {string} [lessonUrl]
+ * @property {string} [sectionId]
+ * @property {number} [sectionPosition]
+ * @property {string} [sectionTitle]
+ * @property {string} [sectionDuration]
+ * @property {number | null} [sectionDurationSeconds]
+ * @property {string} [sectionDurationIso]
+ * @property {{status: string, percent: number | null}} [progress]
+ * @property {string} [fullDescription]
+ * @property {{title: string, url: string}[]} [resources]
+ * @property {{id: string, title: string, lessonUrl: string} | null} [previousLesson]
+ * @property {{id: string, title: string, lessonUrl: string} | null} [nextLesson]
+ * @property {{time: string, seconds: number, title: string}[]} [chapters]
+ * @property {string} [detailsError]
+ */
+
+/**
+ * @typedef {Object} CourseData
+ * @property {string} [courseTitle]
+ * @property {string} [courseDescription]
+ * @property {string} [tutor]
+ * @property {Instructor[]} [tutors]
+ * @property {string} [totalDuration]
+ * @property {number | null} [totalDurationSeconds]
+ * @property {string} [totalDurationIso]
+ * @property {string} [publishedDate]
+ * @property {{title: string, url: string, kind: string}[]} [resources]
+ * @property {{title: string, url: string, kind: string}[]} [prerequisites]
+ * @property {{title: string, url: string, kind: string}[]} [relatedCourses]
+ * @property {number} [sectionCount]
+ * @property {number} [lessonCount]
+ * @property {string} [courseUrl]
+ * @property {number} [watchedMinutes]
+ * @property {number} [remainingMinutes]
+ * @property {{mismatches: string[]}} [durationCheck] Lesson time compared with the header totals; see content.js.
+ */
+
+/**
+ * @typedef {Object} Instructor
+ * @property {string} name
+ * @property {string} [profileUrl]
+ * @property {string} [title]
+ * @property {string} [avatarUrl]
  */
 
 /**
  * @typedef {Object} ExtractedPayload
+ * @property {CourseData} [courseData]
  * @property {LessonData[]} [lessons]
  */
 
@@ -22,6 +141,36 @@ const COURSE_PAGE_RE = /^https:\/\/frontendmasters\.com\/courses\/[^/?#]+\/?/i;
  * @typedef {Object} ExtractCourseDataResult
  * @property {string} slug
  * @property {ExtractedPayload} payload
+ * @property {string} [extractedAt] ISO 8601 time the page was read.
+ * @property {{fields: Object[], warnings: string[]}} [health] Selector profile report from the content script.
+ */
+
+/**
+ * @typedef {Object} CourseLink
+ * @property {string} slug
+ * @property {string} title
+ * @property {string} courseUrl
+ */
+
+/**
+ * @typedef {Object} ExtractCourseLinksResult
+ * @property {'learning-path' | 'catalog'} listingType
+ * @property {string} listingSlug
+ * @property {string} listingTitle
+ * @property {string} listingUrl
+ * @property {CourseLink[]} courses
+ */
+
+/**
+ * @typedef {Object} BatchCourseResult
+ * @property {string} slug
+ * @property {string} title
+ * @property {string} courseUrl
+ * @property {'pending' | 'exporting' | 'saved' | 'failed'} status
+ * @property {string[]} files
+ * @property {Instructor[]} tutors
+ * @property {string[]} warnings Extraction health warnings, or migration notes for imported files.
+ * @property {string} [error]
  */
 
 /**
@@ -37,280 +186,608 @@ function setStatus(message, isError) {
 }
 
 /**
- * Returns currently active tab in the current window.
+ * Renders per-course batch progress below the status box.
  *
- * @returns {Promise<chrome.tabs.Tab | null>}
+ * @param {BatchCourseResult[]} results
+ * @returns {void}
  */
-async function getActiveTab() {
-  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-  return tabs[0] || null;
+function renderProgress(results) {
+  const labels = {
+    pending: '⏳',
+    exporting: '🔄',
+    saved: '✅',
+    failed: '❌',
+  };
+
+  progressNode.replaceChildren(
+    ...results.map((result) => {
+      const item = document.createElement('li');
+      item.classList.toggle('error', result.status === 'failed');
+      item.textContent = `${labels[result.status]} ${result.title || result.slug}${
+        result.error ? ` — ${result.error}` : ''
+      }${result.warnings.length ? ` ⚠️ ${result.warnings.length} warnings` : ''}`;
+      item.title = result.warnings.join('\n');
+      return item;
+    }),
+  );
+  progressNode.hidden = results.length === 0;
 }
 
 /**
- * Checks whether a URL belongs to a Frontend Masters course page.
+ * Renders one checkbox per registered output format and applies the stored
+ * format options.
  *
- * @param {unknown} url
- * @returns {boolean}
+ * @param {ExportSettings} settings
+ * @returns {void}
  */
-function isCoursePageUrl(url) {
-  return typeof url === 'string' && COURSE_PAGE_RE.test(url);
+function renderExportSettings(settings) {
+  taskTemplateSelect.replaceChildren(
+    ...taskTemplates.map(
+      (template) => new Option(template.name || template.id, template.id),
+    ),
+  );
+  taskTemplateSelect.value = taskTemplates.some(
+    (template) => template.id === settings.taskTemplateId,
+  )
+    ? settings.taskTemplateId
+    : taskTemplates[0].id;
+
+  formatsNode.replaceChildren(
+    ...EXPORT_FORMATS.map((format) => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = format.id;
+      checkbox.checked = settings.formatIds.includes(format.id);
+      checkbox.addEventListener('change', onExportSettingsChange);
+      label.append(checkbox, ` ${format.label}`);
+      return label;
+    }),
+  );
+
+  csvIncludeBomInput.checked = Boolean(settings.csvIncludeBom);
+  csvIncludeCourseColumnsInput.checked = Boolean(
+    settings.csvIncludeCourseColumns,
+  );
+  pushToTodoistInput.checked = Boolean(settings.pushToTodoist);
+  deepExportInput.checked = Boolean(settings.deepExport);
+  pageButtonInput.checked = Boolean(settings.pageButton);
+  reviewBeforeSaveInput.checked = Boolean(settings.reviewBeforeSave);
+  zipBundleInput.checked = Boolean(settings.zipBundle);
+  completedLessonsSelect.value = settings.completedLessons || 'checked';
+  chapterScopeSelect.value = settings.chapterScope || 'course';
+
+  const studyPlan = {
+    ...DEFAULT_STUDY_PLAN_SETTINGS,
+    ...(settings.studyPlan || {}),
+  };
+  studyBudgetInput.value = String(studyPlan.budgetMinutes);
+  studyBudgetPeriodSelect.value = studyPlan.budgetPeriod;
+  for (const checkbox of studyDaysNode.querySelectorAll('input')) {
+    checkbox.checked = studyPlan.studyDays.includes(Number(checkbox.value));
+  }
+  studyStartDateInput.value = studyPlan.startDate;
+  studyStartTimeInput.value = studyPlan.startTime;
 }
 
 /**
- * Ensures the active tab is a valid Frontend Masters course page.
+ * Reads the export settings currently chosen in the popup.
  *
- * @param {chrome.tabs.Tab | null} tab
- * @throws {Error}
- * @returns {chrome.tabs.Tab & {id: number, url: string}}
+ * @returns {ExportSettings}
  */
-function assertValidCourseTab(tab) {
-  if (!tab || typeof tab.id !== 'number') {
-    throw new Error('Active tab not found.');
-  }
-
-  if (!isCoursePageUrl(tab.url)) {
-    throw new Error(
-      'A Frontend Masters course page must be open in the active tab.',
-    );
-  }
-
-  return /** @type {chrome.tabs.Tab & {id: number, url: string}} */ (tab);
+function getExportSettings() {
+  return {
+    formatIds: Array.from(
+      formatsNode.querySelectorAll('input[type="checkbox"]:checked'),
+    ).map((checkbox) => /** @type {HTMLInputElement} */ (checkbox).value),
+    csvIncludeBom: csvIncludeBomInput.checked,
+    csvIncludeCourseColumns: csvIncludeCourseColumnsInput.checked,
+    taskTemplateId: taskTemplateSelect.value,
+    pushToTodoist: pushToTodoistInput.checked,
+    deepExport: deepExportInput.checked,
+    pageButton: pageButtonInput.checked,
+    reviewBeforeSave: reviewBeforeSaveInput.checked,
+    zipBundle: zipBundleInput.checked,
+    completedLessons: /** @type {'checked' | 'omit'} */ (
+      completedLessonsSelect.value
+    ),
+    chapterScope: /** @type {'course' | 'section'} */ (
+      chapterScopeSelect.value
+    ),
+    studyPlan: {
+      budgetMinutes:
+        Number(studyBudgetInput.value) ||
+        DEFAULT_STUDY_PLAN_SETTINGS.budgetMinutes,
+      budgetPeriod: /** @type {'day' | 'week'} */ (
+        studyBudgetPeriodSelect.value
+      ),
+      studyDays: Array.from(
+        studyDaysNode.querySelectorAll('input:checked'),
+      ).map((checkbox) =>
+        Number(/** @type {HTMLInputElement} */ (checkbox).value),
+      ),
+      startDate: studyStartDateInput.value,
+      startTime:
+        studyStartTimeInput.value || DEFAULT_STUDY_PLAN_SETTINGS.startTime,
+    },
+  };
 }
 
 /**
- * Converts unknown errors into readable messages.
+ * Remembers the export settings for the next popup session.
  *
- * @param {unknown} error
- * @returns {string}
+ * @returns {Promise<void>}
  */
-function getErrorMessage(error) {
-  return error instanceof Error ? error.message : String(error || '');
+async function onExportSettingsChange() {
+  await saveExportSettings(getExportSettings());
 }
 
 /**
- * Detects missing receiver errors from `chrome.tabs.sendMessage`.
+ * Returns the chosen export settings with the task template resolved, or
+ * throws when no format is selected.
  *
- * @param {unknown} error
- * @returns {boolean}
+ * @throws {Error}
+ * @returns {ExportSettings}
  */
-function isMissingReceiverError(error) {
-  const message = getErrorMessage(error);
-  return message.includes('Receiving end does not exist');
+function assertFormatsSelected() {
+  const settings = getExportSettings();
+  if (!settings.formatIds.length) {
+    throw new Error('Select at least one output format.');
+  }
+  return {
+    ...settings,
+    taskTemplate:
+      taskTemplates.find(
+        (template) => template.id === settings.taskTemplateId,
+      ) || taskTemplates[0],
+    fileSettings,
+  };
 }
 
 /**
- * Indicates whether `chrome.scripting.executeScript` can be used.
+ * Loads templates and settings, then renders the format controls.
  *
- * @returns {boolean}
+ * @returns {Promise<void>}
  */
-function canUseScriptingApi() {
-  return Boolean(
-    chrome.scripting && typeof chrome.scripting.executeScript === 'function',
-  );
+async function initExportSettings() {
+  taskTemplates = await loadTaskTemplates();
+  fileSettings = await loadFileSettings();
+  renderExportSettings(await loadExportSettings());
+  await renderFolderNote();
 }
 
 /**
- * Reloads the given tab and resolves when Chrome reports completion.
+ * Shows the remembered output folder below the export button.
  *
- * @param {number} tabId
  * @returns {Promise<void>}
  */
-function reloadTab(tabId) {
-  return new Promise((resolve, reject) => {
-    chrome.tabs.reload(tabId, {}, () => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-        return;
-      }
-      resolve();
-    });
-  });
+async function renderFolderNote() {
+  if (!('showDirectoryPicker' in window)) {
+    return;
+  }
+  const directory = await loadSavedDirectory().catch(() => null);
+  folderNameNode.textContent = directory ? directory.name : 'not chosen yet';
+  folderNoteNode.hidden = false;
 }
 
 /**
- * Waits until a tab reaches `complete` status, with timeout.
+ * Asks the user for an output folder and remembers it.
  *
- * @param {number} tabId
- * @param {number} timeoutMs
- * @returns {Promise<void>}
+ * @returns {Promise<FileSystemDirectoryHandle>}
  */
-function waitForTabComplete(tabId, timeoutMs) {
-  return new Promise((resolve, reject) => {
-    let finished = false;
-    const timeoutId = setTimeout(() => {
-      cleanup();
-      reject(
-        new Error(
-          'Tab reload timed out. Please reload the page manually and try again.',
-        ),
-      );
-    }, timeoutMs);
-
-    /**
-     * Clears listeners and timeout once the wait is finished.
-     *
-     * @returns {void}
-     */
-    function cleanup() {
-      if (finished) {
-        return;
-      }
-      finished = true;
-      clearTimeout(timeoutId);
-      chrome.tabs.onUpdated.removeListener(onUpdated);
-    }
+async function chooseRootDirectory() {
+  setStatus('Select project folder...');
+  const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+  await rememberDirectory(directory);
+  await renderFolderNote();
+  return directory;
+}
 
-    /**
-     * Handles tab update events and resolves when target tab is complete.
-     *
-     * @param {number} updatedTabId
-     * @param {chrome.tabs.TabChangeInfo} changeInfo
-     * @returns {void}
-     */
-    function onUpdated(updatedTabId, changeInfo) {
-      if (updatedTabId === tabId && changeInfo.status === 'complete') {
-        cleanup();
-        resolve();
-      }
-    }
+/**
+ * Returns the remembered output folder, asking for write access again when
+ * needed, or asks for a folder when there is none or access was denied.
+ * Resolves with `null` when the picker is not supported.
+ *
+ * @returns {Promise<FileSystemDirectoryHandle | null>}
+ */
+async function pickRootDirectory() {
+  if (!('showDirectoryPicker' in window)) {
+    return null;
+  }
+
+  const savedDirectory = await loadSavedDirectory().catch(() => null);
+  if (savedDirectory && (await ensureDirectoryPermission(savedDirectory))) {
+    return savedDirectory;
+  }
+  return chooseRootDirectory();
+}
 
-    chrome.tabs.onUpdated.addListener(onUpdated);
+/**
+ * Asks in the popup whether an existing file should be replaced.
+ *
+ * @param {string} fileName
+ * @returns {Promise<OverwriteChoice>}
+ */
+function askOverwrite(fileName) {
+  return new Promise((resolve) => {
+    overwriteMessageNode.textContent = `${fileName} already exists in the folder.`;
+    overwriteDialog.returnValue = '';
+    overwriteDialog.onclose = () =>
+      resolve(
+        /** @type {OverwriteChoice} */ (overwriteDialog.returnValue || 'skip'),
+      );
+    overwriteDialog.showModal();
   });
 }
 
 /**
- * Reloads and waits for the active tab to finish loading.
+ * Handles the Change folder link.
  *
- * @param {number} tabId
+ * @param {Event} event
  * @returns {Promise<void>}
  */
-async function refreshTabAndWait(tabId) {
-  await reloadTab(tabId);
-  await waitForTabComplete(tabId, 15000);
+async function onChangeFolderClick(event) {
+  event.preventDefault();
+  try {
+    const directory = await chooseRootDirectory();
+    setStatus(`✅ Files will be saved to ${directory.name}.`);
+  } catch (error) {
+    showExportError(error);
+  }
 }
 
 /**
- * Validates content script response and returns parsed payload.
+ * Exports the course open in the active tab.
  *
- * @param {{ok?: boolean, error?: string, data?: ExtractCourseDataResult} | undefined} response
- * @throws {Error}
- * @returns {ExtractCourseDataResult}
+ * @param {chrome.tabs.Tab} activeTab
+ * @returns {Promise<void>}
  */
-function parseExtractResponse(response) {
-  if (!response || !response.ok) {
-    throw new Error(
-      response && response.error ? response.error : 'Could not read page data.',
+async function exportCourse(activeTab) {
+  const settings = assertFormatsSelected();
+  const readingMessage = `Reading ${findSiteAdapter(activeTab.url).name} course data...`;
+
+  if (settings.reviewBeforeSave) {
+    setStatus(readingMessage);
+    openCoursePreview(
+      await requestCourseData(activeTab, { deep: settings.deepExport }),
     );
+    setStatus(
+      [
+        'Review the course below, then click Save.',
+        ...formatHealthWarnings(coursePreview.extraction.health),
+      ].join('\n'),
+    );
+    return;
   }
-  return response.data;
+
+  const chosenRootDirectory = await pickRootDirectory();
+
+  setStatus(readingMessage);
+  const { extraction, ...saved } = await exportCourseTab(
+    activeTab,
+    chosenRootDirectory,
+    settings,
+  );
+  await reportCourseSaved(extraction, chosenRootDirectory, saved, settings);
 }
 
 /**
- * Creates the v2 task format from extracted lesson data.
+ * Shows the saved files and lesson changes, pushing to Todoist first when
+ * enabled.
  *
- * @param {ExtractedPayload | null | undefined} payload
- * @returns {{tasks: {content: string, description: string}[]}}
+ * @param {ExtractCourseDataResult} extraction
+ * @param {FileSystemDirectoryHandle | null} chosenRootDirectory
+ * @param {SavedCourseFiles} saved
+ * @param {ExportSettings} settings
+ * @returns {Promise<void>}
  */
-function buildV2Payload(payload) {
-  const lessons = Array.isArray(payload && payload.lessons)
-    ? payload.lessons
-    : [];
+async function reportCourseSaved(
+  extraction,
+  chosenRootDirectory,
+  saved,
+  settings,
+) {
+  const { skippedFileNames, changes } = saved;
+  const savedLine = `✅ ${chosenRootDirectory ? 'Saved' : 'Downloaded'}: ${listSavedPaths(saved).join(', ')}`;
+  const changeLines = [
+    ...formatSavedFolders(saved.folders),
+    ...(skippedFileNames.length
+      ? [`⏭ Skipped: ${skippedFileNames.join(', ')}`]
+      : []),
+    ...formatHealthWarnings(extraction.health),
+    ...(changes ? formatLessonChanges(changes) : []),
+  ];
+
+  let todoistLine = '';
+  try {
+    todoistLine = await pushToTodoistIfEnabled(
+      extraction,
+      settings,
+      (done, total) => setStatus(`Pushing to Todoist: ${done}/${total}...`),
+    );
+  } catch (error) {
+    setStatus(
+      [savedLine, `❌ Todoist: ${getErrorMessage(error)}`, ...changeLines].join(
+        '\n',
+      ),
+      true,
+    );
+    return;
+  }
 
-  return {
-    tasks: lessons.map((lesson) => {
-      const id = lesson && lesson.id !== undefined ? String(lesson.id) : '';
-      const title = lesson && lesson.title ? String(lesson.title) : '';
-      const duration = lesson && lesson.duration ? String(lesson.duration) : '';
-      const lessonUrl =
-        lesson && lesson.lessonUrl ? String(lesson.lessonUrl) : '';
-      const sectionTitle =
-        lesson && lesson.sectionTitle ? String(lesson.sectionTitle) : '';
-
-      return {
-        content: `${id}. ${title} []`,
-        description: `- Duration: ${duration} min\n- Section: ${sectionTitle}\n- Url: ${lessonUrl}`,
-      };
-    }),
-  };
+  setStatus(
+    [savedLine, todoistLine, ...changeLines].filter(Boolean).join('\n'),
+  );
 }
 
 /**
- * Requests course payload from the active tab.
+ * Exports every course listed on the active Learning Path or catalog tab.
+ * A failing course is recorded in the index and the batch moves on.
  *
- * @param {chrome.tabs.Tab | null} tab
- * @throws {Error}
- * @returns {Promise<ExtractCourseDataResult>}
+ * @param {chrome.tabs.Tab} activeTab
+ * @returns {Promise<void>}
  */
-async function requestCourseData(tab) {
-  const courseTab = assertValidCourseTab(tab);
-
-  try {
-    const response = await chrome.tabs.sendMessage(courseTab.id, {
-      type: 'extract-course-data',
-    });
-    return parseExtractResponse(response);
-  } catch (error) {
-    if (!isMissingReceiverError(error)) {
-      throw error;
-    }
+async function exportCourseList(activeTab) {
+  const settings = assertFormatsSelected();
+  const chosenRootDirectory = await pickRootDirectory();
+
+  setStatus('Collecting course links...');
+  const listing = await requestCourseLinks(activeTab);
+  const bundle = settings.zipBundle ? createExportBundle() : null;
+
+  /** @type {BatchCourseResult[]} */
+  const results = listing.courses.map((course) => ({
+    slug: course.slug,
+    title: course.title,
+    courseUrl: course.courseUrl,
+    status: 'pending',
+    files: [],
+    tutors: [],
+    warnings: [],
+  }));
+  renderProgress(results);
+
+  for (const [index, result] of results.entries()) {
+    setStatus(
+      `Exporting ${index + 1}/${results.length}: ${result.title || result.slug}...`,
+    );
+    result.status = 'exporting';
+    renderProgress(results);
 
-    if (canUseScriptingApi()) {
-      await chrome.scripting.executeScript({
-        target: { tabId: courseTab.id },
-        files: ['content.js'],
+    try {
+      const extraction = await requestCourseDataInBackgroundTab(
+        result.courseUrl,
+        { deep: settings.deepExport },
+      );
+      const { payload } = extraction;
+      await saveLastExtraction(extraction);
+      result.title = payload.courseData?.courseTitle || result.title;
+      result.tutors = payload.courseData?.tutors || [];
+      result.warnings = extraction.health?.warnings || [];
+      const saved = await saveCourseFiles(
+        chosenRootDirectory,
+        extraction,
+        settings,
+        bundle,
+      );
+      result.files = listSavedPaths(saved);
+      await saveLibraryEntry(extraction);
+      await pushToTodoistIfEnabled(extraction, settings, (done, total) =>
+        setStatus(`Pushing to Todoist: ${done}/${total}...`),
+      ).catch((error) => {
+        throw new Error(`Todoist: ${getErrorMessage(error)}`);
       });
-    } else {
-      await refreshTabAndWait(courseTab.id);
+      result.status = 'saved';
+    } catch (error) {
+      result.status = 'failed';
+      result.error = getErrorMessage(error) || 'Unknown error.';
     }
+    renderProgress(results);
+  }
 
-    const retryResponse = await chrome.tabs.sendMessage(courseTab.id, {
-      type: 'extract-course-data',
+  const indexFileName = `${listing.listingSlug}-index.json`;
+  const index = {
+    listingType: listing.listingType,
+    listingTitle: listing.listingTitle,
+    listingUrl: listing.listingUrl,
+    exportedAt: new Date().toISOString(),
+    courseCount: results.length,
+    courses: results.map(
+      ({ slug, title, courseUrl, status, files, tutors, warnings, error }) => ({
+        slug,
+        title,
+        courseUrl,
+        status,
+        files,
+        tutors: tutors.map((instructor) => instructor.name),
+        ...(warnings.length ? { warnings } : {}),
+        ...(error ? { error } : {}),
+      }),
+    ),
+    instructors: groupCoursesByInstructor(results),
+  };
+  let savedLine = `Index: ${indexFileName}`;
+  if (bundle) {
+    addBundleFile(bundle, {
+      path: indexFileName,
+      content: index,
+      format: 'index',
+      sourceUrl: listing.listingUrl,
+      extractedAt: index.exportedAt,
     });
-    return parseExtractResponse(retryResponse);
+    const zipFileName = `${listing.listingSlug}.zip`;
+    const savedName = await saveExportBundle(
+      chosenRootDirectory,
+      zipFileName,
+      bundle,
+      settings.fileSettings,
+    );
+    savedLine = savedName ? `ZIP: ${savedName}` : `Skipped ${zipFileName}`;
+  } else {
+    await saveFile(
+      chosenRootDirectory,
+      indexFileName,
+      index,
+      settings.fileSettings,
+    );
   }
+
+  const failedCount = results.filter(
+    (result) => result.status === 'failed',
+  ).length;
+  const savedCount = results.length - failedCount;
+  setStatus(
+    `${failedCount ? '⚠️' : '✅'} Exported ${savedCount}/${results.length} courses` +
+      `${failedCount ? ` (${failedCount} failed)` : ''}. ${savedLine}`,
+    failedCount === results.length,
+  );
 }
 
+/** File an import writes when the outputs are bundled. */
+const IMPORT_BUNDLE_FILE_NAME = 'converted-courses.zip';
+
 /**
- * Saves JSON file into user-selected directory.
+ * Asks the user for exported course JSON files. Resolves with an empty list
+ * when the dialog is closed without a choice.
  *
- * @param {FileSystemDirectoryHandle} rootDirHandle
- * @param {string} fileName
- * @param {unknown} payload
- * @returns {Promise<void>}
+ * @returns {Promise<File[]>}
  */
-async function saveWithDirectoryPicker(rootDirHandle, fileName, payload) {
-  const fileHandle = await rootDirHandle.getFileHandle(fileName, {
-    create: true,
+function pickJsonFiles() {
+  return new Promise((resolve) => {
+    importFilesInput.value = '';
+    importFilesInput.onchange = () =>
+      resolve(Array.from(importFilesInput.files || []));
+    importFilesInput.oncancel = () => resolve([]);
+    importFilesInput.click();
   });
-  const writable = await fileHandle.createWritable();
-  await writable.write(JSON.stringify(payload, null, 2));
-  await writable.close();
 }
 
 /**
- * Saves JSON file with browser downloads API.
+ * Regenerates the selected formats from previously exported course JSON
+ * files. Older payload shapes are upgraded first; a file that is not a
+ * course export is marked as failed and the rest still run.
  *
- * @param {string} fileName
- * @param {unknown} payload
  * @returns {Promise<void>}
  */
-async function saveWithDownload(fileName, payload) {
-  const blob = new Blob([JSON.stringify(payload, null, 2)], {
-    type: 'application/json',
-  });
-  const blobUrl = URL.createObjectURL(blob);
+async function importCourseFiles() {
+  const settings = assertFormatsSelected();
+
+  setStatus('Select exported course JSON files...');
+  const files = await pickJsonFiles();
+  if (!files.length) {
+    setStatus('⚠️ No files were selected.');
+    return;
+  }
+
+  const chosenRootDirectory = await pickRootDirectory();
+  const bundle = settings.zipBundle ? createExportBundle() : null;
+
+  /** @type {BatchCourseResult[]} */
+  const results = files.map((file) => ({
+    slug: file.name.replace(/\.json$/i, ''),
+    title: file.name,
+    courseUrl: '',
+    status: 'pending',
+    files: [],
+    tutors: [],
+    warnings: [],
+  }));
+  renderProgress(results);
+
+  for (const [index, result] of results.entries()) {
+    const file = files[index];
+    setStatus(`Converting ${index + 1}/${results.length}: ${file.name}...`);
+    result.status = 'exporting';
+    renderProgress(results);
+
+    try {
+      const imported = importCoursePayload(
+        JSON.parse(await file.text()),
+        file.name,
+      );
+      result.title = imported.payload.courseData.courseTitle || result.title;
+      result.warnings = imported.migrations;
+      const saved = await saveCourseFiles(
+        chosenRootDirectory,
+        imported,
+        settings,
+        bundle,
+      );
+      result.files = listSavedPaths(saved);
+      result.status = 'saved';
+    } catch (error) {
+      result.status = 'failed';
+      result.error = getErrorMessage(error) || 'Unknown error.';
+    }
+    renderProgress(results);
+  }
+
+  const failedCount = results.filter(
+    (result) => result.status === 'failed',
+  ).length;
+  let savedLine = '';
+  if (bundle?.files.length) {
+    const savedName = await saveExportBundle(
+      chosenRootDirectory,
+      IMPORT_BUNDLE_FILE_NAME,
+      bundle,
+      settings.fileSettings,
+    );
+    savedLine = savedName
+      ? ` ZIP: ${savedName}`
+      : ` Skipped ${IMPORT_BUNDLE_FILE_NAME}`;
+  }
+  setStatus(
+    `${failedCount ? '⚠️' : '✅'} Converted ${results.length - failedCount}/${results.length} files` +
+      `${failedCount ? ` (${failedCount} failed)` : ''}.${savedLine}`,
+    failedCount === results.length,
+  );
+}
+
+/**
+ * Handles the Import JSON link.
+ *
+ * @param {Event} event
+ * @returns {Promise<void>}
+ */
+async function onImportJsonClick(event) {
+  event.preventDefault();
+  if (exportButton.disabled) {
+    return;
+  }
+
+  exportButton.disabled = true;
+  renderProgress([]);
+  closeCoursePreview();
 
   try {
-    await chrome.downloads.download({
-      url: blobUrl,
-      filename: fileName,
-      saveAs: false,
-    });
+    await importCourseFiles();
+  } catch (error) {
+    showExportError(error);
   } finally {
-    setTimeout(() => URL.revokeObjectURL(blobUrl), 1500);
+    exportButton.disabled = false;
   }
 }
 
+/**
+ * Shows lesson page progress reported by the content script during a deep
+ * export.
+ *
+ * @param {{type?: string, done?: number, total?: number, title?: string} | undefined} message
+ * @returns {void}
+ */
+function onDeepExportProgress(message) {
+  if (!message || message.type !== 'deep-export-progress') {
+    return;
+  }
+
+  setStatus(
+    message.done < message.total
+      ? `Reading lesson pages ${message.done + 1}/${message.total}: ${message.title}...`
+      : `Read ${message.total} lesson pages.`,
+  );
+}
+
 /**
  * Handles export button click flow.
  *
@@ -318,45 +795,108 @@ async function saveWithDownload(fileName, payload) {
  */
 async function onExportClick() {
   exportButton.disabled = true;
+  renderProgress([]);
+  closeCoursePreview();
 
   try {
     setStatus('Checking active page...');
-    const activeTab = assertValidCourseTab(await getActiveTab());
+    const activeTab = await getActiveTab();
 
-    let chosenRootDirectory = null;
-    if ('showDirectoryPicker' in window) {
-      setStatus('Select project folder...');
-      chosenRootDirectory = await window.showDirectoryPicker({
-        mode: 'readwrite',
-      });
+    if (activeTab && isCourseListPageUrl(activeTab.url)) {
+      await exportCourseList(activeTab);
+    } else {
+      await exportCourse(assertValidCourseTab(activeTab));
     }
+  } catch (error) {
+    showExportError(error);
+  } finally {
+    exportButton.disabled = false;
+  }
+}
 
-    setStatus('Reading course data...');
-    const { slug, payload } = await requestCourseData(activeTab);
-    const v2Payload = buildV2Payload(payload);
-    const baseFileName = `${slug}.json`;
-    const v2FileName = `${slug}-v2.json`;
-
-    if (chosenRootDirectory) {
-      await saveWithDirectoryPicker(chosenRootDirectory, baseFileName, payload);
-      await saveWithDirectoryPicker(chosenRootDirectory, v2FileName, v2Payload);
-      setStatus(`✅ Saved: ${baseFileName}, ${v2FileName}`);
-      return;
+/**
+ * Saves the reviewed course in the chosen formats.
+ *
+ * @returns {Promise<void>}
+ */
+async function onPreviewSaveClick() {
+  if (!coursePreview) {
+    return;
+  }
+
+  exportButton.disabled = true;
+  previewSaveButton.disabled = true;
+
+  try {
+    const settings = assertFormatsSelected();
+    const extraction = applyCoursePreview(coursePreview);
+    if (!extraction.payload.lessons.length) {
+      throw new Error('Select at least one lesson to save.');
     }
 
-    await saveWithDownload(baseFileName, payload);
-    await saveWithDownload(v2FileName, v2Payload);
-    setStatus(`✅ Downloaded: ${baseFileName}, ${v2FileName}`);
+    const chosenRootDirectory = await pickRootDirectory();
+    closeCoursePreview();
+    setStatus('Saving...');
+    const saved = await saveExtractedCourse(
+      extraction,
+      chosenRootDirectory,
+      settings,
+    );
+    await reportCourseSaved(extraction, chosenRootDirectory, saved, settings);
   } catch (error) {
-    if (error instanceof DOMException && error.name === 'AbortError') {
-      setStatus('⚠️ Folder selection was cancelled.');
-    } else {
-      const message = error instanceof Error ? error.message : 'Unknown error.';
-      setStatus(`❌ ${message}`, true);
-    }
+    showExportError(error);
   } finally {
     exportButton.disabled = false;
+    previewSaveButton.disabled = false;
+  }
+}
+
+/**
+ * Shows an export error, treating a cancelled folder picker as a warning.
+ *
+ * @param {unknown} error
+ * @returns {void}
+ */
+function showExportError(error) {
+  if (error instanceof DOMException && error.name === 'AbortError') {
+    setStatus('⚠️ Folder selection was cancelled.');
+  } else {
+    const message = error instanceof Error ? error.message : 'Unknown error.';
+    setStatus(`❌ ${message}`, true);
   }
 }
 
 exportButton.addEventListener('click', onExportClick);
+csvIncludeBomInput.addEventListener('change', onExportSettingsChange);
+csvIncludeCourseColumnsInput.addEventListener('change', onExportSettingsChange);
+taskTemplateSelect.addEventListener('change', onExportSettingsChange);
+pushToTodoistInput.addEventListener('change', onExportSettingsChange);
+deepExportInput.addEventListener('change', onExportSettingsChange);
+pageButtonInput.addEventListener('change', onExportSettingsChange);
+reviewBeforeSaveInput.addEventListener('change', onExportSettingsChange);
+zipBundleInput.addEventListener('change', onExportSettingsChange);
+previewSaveButton.addEventListener('click', onPreviewSaveClick);
+previewCancelButton.addEventListener('click', () => {
+  closeCoursePreview();
+  setStatus('Ready.');
+});
+completedLessonsSelect.addEventListener('change', onExportSettingsChange);
+chapterScopeSelect.addEventListener('change', onExportSettingsChange);
+studyBudgetInput.addEventListener('change', onExportSettingsChange);
+studyBudgetPeriodSelect.addEventListener('change', onExportSettingsChange);
+studyDaysNode.addEventListener('change', onExportSettingsChange);
+studyStartDateInput.addEventListener('change', onExportSettingsChange);
+studyStartTimeInput.addEventListener('change', onExportSettingsChange);
+chrome.runtime.onMessage.addListener(onDeepExportProgress);
+openOptionsLink.addEventListener('click', (event) => {
+  event.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+importJsonLink.addEventListener('click', onImportJsonClick);
+changeFolderLink.addEventListener('click', onChangeFolderClick);
+openLibraryLink.addEventListener('click', (event) => {
+  event.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL('library.html') });
+});
+overwritePrompt = askOverwrite;
+initExportSettings();
@@ -0,0 +1,376 @@
+'use strict';
+
+const previewNode = document.getElementById('preview');
+const previewTitleInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('previewTitle')
+);
+const previewMetaNode = document.getElementById('previewMeta');
+const previewSummaryNode = document.getElementById('previewSummary');
+const previewRowsNode = document.getElementById('previewRows');
+
+/**
+ * @typedef {Object} PreviewLesson
+ * @property {LessonData} lesson
+ * @property {string} title
+ * @property {boolean} included
+ */
+
+/**
+ * @typedef {Object} PreviewSection
+ * @property {string} sectionId
+ * @property {string} title
+ * @property {string} sectionDuration
+ * @property {boolean} included
+ * @property {PreviewLesson[]} lessons
+ */
+
+/**
+ * @typedef {Object} CoursePreview
+ * @property {ExtractCourseDataResult} extraction
+ * @property {string} courseTitle
+ * @property {PreviewSection[]} sections
+ */
+
+/** @type {CoursePreview | null} */
+let coursePreview = null;
+
+/**
+ * Builds the editable preview state from an extraction.
+ *
+ * @param {ExtractCourseDataResult} extraction
+ * @returns {CoursePreview}
+ */
+function createCoursePreview(extraction) {
+  const { courseData = {}, lessons = [] } = extraction.payload;
+  return {
+    extraction,
+    courseTitle: courseData.courseTitle || '',
+    sections: groupLessonsBySection(lessons).map((section) => ({
+      sectionId: section.sectionId,
+      title: section.sectionTitle,
+      sectionDuration: section.sectionDuration,
+      included: true,
+      lessons: section.lessons.map((lesson) => ({
+        lesson,
+        title: lesson.title || '',
+        included: true,
+      })),
+    })),
+  };
+}
+
+/**
+ * Returns the lessons of a section that will be saved.
+ *
+ * @param {PreviewSection} section
+ * @returns {PreviewLesson[]}
+ */
+function getIncludedPreviewLessons(section) {
+  return section.included
+    ? section.lessons.filter((item) => item.included)
+    : [];
+}
+
+/**
+ * Sums lesson durations in minutes.
+ *
+ * @param {PreviewLesson[]} items
+ * @returns {number}
+ */
+function sumPreviewMinutes(items) {
+  return items.reduce(
+    (sum, item) => sum + (Number(item.lesson.duration) || 0),
+    0,
+  );
+}
+
+/**
+ * Sums lesson durations in seconds, or returns `null` when any lesson has
+ * none.
+ *
+ * @param {PreviewLesson[]} items
+ * @returns {number | null}
+ */
+function sumPreviewSeconds(items) {
+  let total = 0;
+  for (const item of items) {
+    if (typeof item.lesson.durationSeconds !== 'number') {
+      return null;
+    }
+    total += item.lesson.durationSeconds;
+  }
+  return total;
+}
+
+/**
+ * Applies the preview edits: drops deselected lessons and sections, applies
+ * the edited titles and order, and recomputes positions, counts and
+ * durations. Section and course durations are only recomputed when lessons
+ * were left out, so untouched courses keep the totals shown on the page;
+ * the duration check against those totals is dropped in that case.
+ *
+ * @param {CoursePreview} preview
+ * @returns {ExtractCourseDataResult}
+ */
+function applyCoursePreview(preview) {
+  const { slug, payload, extractedAt } = preview.extraction;
+  const allLessonCount = preview.sections.reduce(
+    (count, section) => count + section.lessons.length,
+    0,
+  );
+
+  /** @type {LessonData[]} */
+  const lessons = [];
+  const includedItems = [];
+  let sectionCount = 0;
+  let totalMinutes = 0;
+
+  for (const section of preview.sections) {
+    const items = getIncludedPreviewLessons(section);
+    if (!items.length) {
+      continue;
+    }
+
+    sectionCount += 1;
+    includedItems.push(...items);
+    const sectionMinutes = sumPreviewMinutes(items);
+    const sectionSeconds = sumPreviewSeconds(items);
+    totalMinutes += sectionMinutes;
+    const sectionTotals =
+      items.length === section.lessons.length
+        ? {}
+        : {
+            sectionDuration: String(sectionMinutes),
+            sectionDurationSeconds: sectionSeconds,
+            sectionDurationIso: toIsoDuration(sectionSeconds),
+          };
+
+    for (const item of items) {
+      lessons.push({
+        ...item.lesson,
+        position: lessons.length + 1,
+        title: item.title,
+        sectionTitle: section.title,
+        sectionPosition: sectionCount,
+        ...sectionTotals,
+      });
+    }
+  }
+
+  const { durationCheck, ...courseData } = payload.courseData || {};
+  const totalSeconds = sumPreviewSeconds(includedItems);
+  const courseTotals =
+    lessons.length === allLessonCount
+      ? { durationCheck }
+      : {
+          totalDuration: String(totalMinutes),
+          totalDurationSeconds: totalSeconds,
+          totalDurationIso: toIsoDuration(totalSeconds),
+        };
+
+  return {
+    slug,
+    extractedAt,
+    payload: {
+      ...payload,
+      courseData: {
+        ...courseData,
+        courseTitle: preview.courseTitle,
+        sectionCount,
+        lessonCount: lessons.length,
+        ...courseTotals,
+      },
+      lessons,
+    },
+  };
+}
+
+/**
+ * Moves an item one place up or down within its list.
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {number} index
+ * @param {-1 | 1} offset
+ * @returns {void}
+ */
+function moveItem(items, index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= items.length) {
+    return;
+  }
+  [items[index], items[target]] = [items[target], items[index]];
+}
+
+/**
+ * Creates a small button for a preview row.
+ *
+ * @param {string} label
+ * @param {string} title
+ * @param {boolean} disabled
+ * @param {() => void} onClick
+ * @returns {HTMLButtonElement}
+ */
+function createPreviewButton(label, title, disabled, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.title = title;
+  button.disabled = disabled;
+  button.addEventListener('click', () => {
+    onClick();
+    renderCoursePreview();
+  });
+  return button;
+}
+
+/**
+ * Creates one row of the lesson table.
+ *
+ * @param {{included: boolean, title: string}} item
+ * @param {string} position
+ * @param {string} minutes
+ * @param {PreviewSection[] | PreviewLesson[]} siblings
+ * @param {number} index
+ * @param {boolean} enabled
+ * @returns {HTMLTableRowElement}
+ */
+function createPreviewRow(item, position, minutes, siblings, index, enabled) {
+  const row = document.createElement('tr');
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = item.included;
+  checkbox.disabled = !enabled;
+  checkbox.addEventListener('change', () => {
+    item.included = checkbox.checked;
+    renderCoursePreview();
+  });
+
+  const titleInput = document.createElement('input');
+  titleInput.type = 'text';
+  titleInput.value = item.title;
+  titleInput.disabled = !enabled || !item.included;
+  titleInput.addEventListener('input', () => {
+    item.title = titleInput.value;
+  });
+
+  const cells = [
+    checkbox,
+    position,
+    titleInput,
+    minutes,
+    createPreviewButton('↑', 'Move up', index === 0, () =>
+      moveItem(siblings, index, -1),
+    ),
+    createPreviewButton('↓', 'Move down', index === siblings.length - 1, () =>
+      moveItem(siblings, index, 1),
+    ),
+  ];
+  row.append(
+    ...cells.map((content) => {
+      const cell = document.createElement('td');
+      cell.append(content);
+      return cell;
+    }),
+  );
+  row.classList.toggle('excluded', !enabled || !item.included);
+  return row;
+}
+
+/**
+ * Renders the preview table and the recomputed totals.
+ *
+ * @returns {void}
+ */
+function renderCoursePreview() {
+  if (!coursePreview) {
+    return;
+  }
+
+  const { courseData = {} } = coursePreview.extraction.payload;
+  previewTitleInput.value = coursePreview.courseTitle;
+  previewMetaNode.textContent = [
+    courseData.tutor,
+    courseData.publishedDate,
+    courseData.courseUrl,
+  ]
+    .filter(Boolean)
+    .join(' • ');
+
+  const rows = [];
+  let position = 0;
+  let sectionCount = 0;
+  let lessonCount = 0;
+  let totalMinutes = 0;
+
+  for (const [sectionIndex, section] of coursePreview.sections.entries()) {
+    const items = getIncludedPreviewLessons(section);
+    const sectionMinutes = sumPreviewMinutes(items);
+    if (items.length) {
+      sectionCount += 1;
+      lessonCount += items.length;
+      totalMinutes += sectionMinutes;
+    }
+
+    const sectionRow = createPreviewRow(
+      section,
+      items.length ? String(sectionCount) : '',
+      formatMinutesLabel(sectionMinutes),
+      coursePreview.sections,
+      sectionIndex,
+      true,
+    );
+    sectionRow.classList.add('section');
+    rows.push(sectionRow);
+
+    for (const [lessonIndex, item] of section.lessons.entries()) {
+      const included = section.included && item.included;
+      if (included) {
+        position += 1;
+      }
+      rows.push(
+        createPreviewRow(
+          item,
+          included ? String(position) : '',
+          formatMinutesLabel(item.lesson.duration),
+          section.lessons,
+          lessonIndex,
+          section.included,
+        ),
+      );
+    }
+  }
+
+  previewRowsNode.replaceChildren(...rows);
+  previewSummaryNode.textContent = `${sectionCount} sections • ${lessonCount} lessons • ${totalMinutes} min`;
+}
+
+/**
+ * Shows the preview for an extraction.
+ *
+ * @param {ExtractCourseDataResult} extraction
+ * @returns {void}
+ */
+function openCoursePreview(extraction) {
+  coursePreview = createCoursePreview(extraction);
+  previewNode.hidden = false;
+  renderCoursePreview();
+}
+
+/**
+ * Hides the preview and forgets its state.
+ *
+ * @returns {void}
+ */
+function closeCoursePreview() {
+  coursePreview = null;
+  previewNode.hidden = true;
+  previewRowsNode.replaceChildren();
+}
+
+previewTitleInput.addEventListener('input', () => {
+  if (coursePreview) {
+    coursePreview.courseTitle = previewTitleInput.value;
+  }
+});
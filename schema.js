@@ -0,0 +1,472 @@
+'use strict';
+
+/**
+ * Version of the course and v2 payload contract, written to every JSON
+ * export as `schemaVersion`. Bump it when a field is removed, renamed or
+ * changes type; adding an optional field keeps the version.
+ */
+const EXPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Header fields that lead every JSON export.
+ *
+ * @typedef {Object} ExportHeader
+ * @property {number} schemaVersion
+ * @property {string} exportedAt ISO 8601 time the file was written.
+ * @property {string} extractorVersion Extension version that wrote the file.
+ */
+
+/**
+ * Subset of JSON Schema (2020-12) understood by `validateJsonSchema`:
+ * `$ref` to `#/$defs/...`, `type`, `const`, `enum`, `required`,
+ * `properties`, `additionalProperties: false`, `items`, `minimum`,
+ * `maximum`, `minLength`, `pattern` and `format: date-time`.
+ *
+ * @typedef {Record<string, any>} JsonSchema
+ */
+
+/** @type {JsonSchema} */
+const EXPORT_HEADER_SCHEMA_PROPERTIES = {
+  schemaVersion: { const: EXPORT_SCHEMA_VERSION },
+  exportedAt: { type: 'string', format: 'date-time' },
+  extractorVersion: { type: 'string', minLength: 1 },
+};
+
+/**
+ * Contract for `<course-slug>.json`. Published as
+ * `schemas/course.schema.json`.
+ *
+ * @type {JsonSchema}
+ */
+const COURSE_PAYLOAD_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `urn:fm-course-json-exporter:course:${EXPORT_SCHEMA_VERSION}`,
+  title: 'Course JSON',
+  description:
+    'Course details and lessons exported from a course page of a supported site.',
+  type: 'object',
+  required: [
+    'schemaVersion',
+    'exportedAt',
+    'extractorVersion',
+    'courseData',
+    'lessons',
+  ],
+  properties: {
+    ...EXPORT_HEADER_SCHEMA_PROPERTIES,
+    courseData: { $ref: '#/$defs/courseData' },
+    lessons: { type: 'array', items: { $ref: '#/$defs/lesson' } },
+  },
+  $defs: {
+    minutes: {
+      description: 'Whole minutes as a string; empty when unknown.',
+      type: 'string',
+      pattern: '^\\d*$',
+    },
+    seconds: {
+      description: 'Whole seconds; null when unknown.',
+      type: ['integer', 'null'],
+      minimum: 0,
+    },
+    isoDuration: {
+      description: 'ISO 8601 duration such as PT1H5M30S; empty when unknown.',
+      type: 'string',
+      pattern: '^(PT(\\d+H)?(\\d+M)?(\\d+S)?)?$',
+    },
+    durationComparison: {
+      type: 'object',
+      required: [
+        'headerSeconds',
+        'lessonSeconds',
+        'differenceSeconds',
+        'status',
+      ],
+      properties: {
+        sectionId: { type: 'string' },
+        sectionTitle: { type: 'string' },
+        headerSeconds: { $ref: '#/$defs/seconds' },
+        lessonSeconds: { $ref: '#/$defs/seconds' },
+        differenceSeconds: { type: ['integer', 'null'] },
+        status: { enum: ['ok', 'mismatch', 'unknown'] },
+      },
+    },
+    durationCheck: {
+      description:
+        'Summed lesson time compared with the course and section header totals.',
+      type: 'object',
+      required: ['toleranceSeconds', 'course', 'sections', 'mismatches'],
+      properties: {
+        toleranceSeconds: { type: 'integer', minimum: 0 },
+        course: { $ref: '#/$defs/durationComparison' },
+        sections: {
+          type: 'array',
+          items: { $ref: '#/$defs/durationComparison' },
+        },
+        mismatches: { type: 'array', items: { type: 'string' } },
+      },
+    },
+    instructor: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string' },
+        profileUrl: { type: 'string' },
+        title: { type: 'string' },
+        avatarUrl: { type: 'string' },
+      },
+    },
+    courseMaterial: {
+      type: 'object',
+      required: ['title', 'url', 'kind'],
+      properties: {
+        title: { type: 'string' },
+        url: { type: 'string' },
+        kind: { type: 'string' },
+      },
+    },
+    courseData: {
+      type: 'object',
+      required: [
+        'courseTitle',
+        'courseDescription',
+        'tutor',
+        'tutors',
+        'totalDuration',
+        'publishedDate',
+        'resources',
+        'prerequisites',
+        'relatedCourses',
+      ],
+      properties: {
+        courseTitle: { type: 'string' },
+        courseDescription: { type: 'string' },
+        tutor: { type: 'string' },
+        tutors: { type: 'array', items: { $ref: '#/$defs/instructor' } },
+        totalDuration: { $ref: '#/$defs/minutes' },
+        totalDurationSeconds: { $ref: '#/$defs/seconds' },
+        totalDurationIso: { $ref: '#/$defs/isoDuration' },
+        publishedDate: { type: 'string' },
+        resources: {
+          type: 'array',
+          items: { $ref: '#/$defs/courseMaterial' },
+        },
+        prerequisites: {
+          type: 'array',
+          items: { $ref: '#/$defs/courseMaterial' },
+        },
+        relatedCourses: {
+          type: 'array',
+          items: { $ref: '#/$defs/courseMaterial' },
+        },
+        sectionCount: { type: 'integer', minimum: 0 },
+        lessonCount: { type: 'integer', minimum: 0 },
+        courseUrl: { type: 'string' },
+        watchedMinutes: { type: 'number', minimum: 0 },
+        remainingMinutes: { type: 'number', minimum: 0 },
+        durationCheck: { $ref: '#/$defs/durationCheck' },
+      },
+    },
+    lessonReference: {
+      type: ['object', 'null'],
+      required: ['id', 'title', 'lessonUrl'],
+      properties: {
+        id: { type: 'string' },
+        title: { type: 'string' },
+        lessonUrl: { type: 'string' },
+      },
+    },
+    lesson: {
+      type: 'object',
+      required: [
+        'id',
+        'position',
+        'title',
+        'description',
+        'duration',
+        'timeRange',
+        'lessonUrl',
+        'sectionId',
+        'sectionPosition',
+        'sectionTitle',
+        'sectionDuration',
+      ],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        position: { type: 'integer', minimum: 1 },
+        title: { type: 'string' },
+        description: { type: 'string' },
+        duration: { $ref: '#/$defs/minutes' },
+        durationSeconds: { $ref: '#/$defs/seconds' },
+        durationIso: { $ref: '#/$defs/isoDuration' },
+        timeRange: { type: 'string' },
+        startSeconds: { $ref: '#/$defs/seconds' },
+        endSeconds: { $ref: '#/$defs/seconds' },
+        lessonUrl: { type: 'string' },
+        sectionId: { type: 'string' },
+        sectionPosition: { type: 'integer', minimum: 1 },
+        sectionTitle: { type: 'string' },
+        sectionDuration: { $ref: '#/$defs/minutes' },
+        sectionDurationSeconds: { $ref: '#/$defs/seconds' },
+        sectionDurationIso: { $ref: '#/$defs/isoDuration' },
+        progress: {
+          type: 'object',
+          required: ['status', 'percent'],
+          properties: {
+            status: { enum: ['not-started', 'in-progress', 'completed'] },
+            percent: { type: ['number', 'null'], minimum: 0, maximum: 100 },
+          },
+        },
+        fullDescription: { type: 'string' },
+        resources: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['title', 'url'],
+            properties: {
+              title: { type: 'string' },
+              url: { type: 'string' },
+            },
+          },
+        },
+        previousLesson: { $ref: '#/$defs/lessonReference' },
+        nextLesson: { $ref: '#/$defs/lessonReference' },
+        chapters: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['time', 'seconds', 'title'],
+            properties: {
+              time: { type: 'string' },
+              seconds: { type: 'integer', minimum: 0 },
+              title: { type: 'string' },
+            },
+          },
+        },
+        detailsError: { type: 'string' },
+      },
+    },
+  },
+};
+
+/**
+ * Contract for `<course-slug>-v2.json`. Published as
+ * `schemas/v2.schema.json`.
+ *
+ * @type {JsonSchema}
+ */
+const V2_PAYLOAD_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `urn:fm-course-json-exporter:v2:${EXPORT_SCHEMA_VERSION}`,
+  title: 'Tasks JSON (v2)',
+  description: 'One task per lesson, rendered from a task template.',
+  type: 'object',
+  required: ['schemaVersion', 'exportedAt', 'extractorVersion', 'tasks'],
+  properties: {
+    ...EXPORT_HEADER_SCHEMA_PROPERTIES,
+    tasks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'content', 'description'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'string' },
+          content: { type: 'string' },
+          description: { type: 'string' },
+          checked: { const: true },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Returns the extension version, read from the manifest.
+ *
+ * @returns {string}
+ */
+function getExtractorVersion() {
+  return chrome.runtime.getManifest().version;
+}
+
+/**
+ * Puts a fresh export header in front of a JSON payload, replacing any
+ * header it already has.
+ *
+ * @template T
+ * @param {T & Partial<ExportHeader>} payload
+ * @returns {ExportHeader & T}
+ */
+function withExportHeader(payload) {
+  const { schemaVersion, exportedAt, extractorVersion, ...body } = payload;
+  return {
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    extractorVersion: getExtractorVersion(),
+    ...body,
+  };
+}
+
+/**
+ * Names a JSON value's type the way JSON Schema does.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+function getJsonType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * Lists where a value breaks a schema, one message per problem.
+ *
+ * @param {unknown} value
+ * @param {JsonSchema} schema
+ * @param {string} [path] Location of `value`, such as `lessons[2].duration`.
+ * @param {JsonSchema} [rootSchema] Schema that `$ref`s resolve against.
+ * @returns {string[]}
+ */
+function validateJsonSchema(value, schema, path = '', rootSchema = schema) {
+  if (schema.$ref) {
+    const defName = schema.$ref.replace(/^#\/\$defs\//, '');
+    return validateJsonSchema(
+      value,
+      rootSchema.$defs[defName],
+      path,
+      rootSchema,
+    );
+  }
+
+  const label = path || 'payload';
+  const valueType = getJsonType(value);
+
+  if ('const' in schema && value !== schema.const) {
+    return [`${label} must be ${JSON.stringify(schema.const)}.`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [
+      `${label} must be one of ${schema.enum.map((item) => JSON.stringify(item)).join(', ')}.`,
+    ];
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const matchesType =
+      types.includes(valueType) ||
+      (valueType === 'integer' && types.includes('number'));
+    if (!matchesType) {
+      return [`${label} must be ${types.join(' or ')}, not ${valueType}.`];
+    }
+  }
+
+  const problems = [];
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push(`${label} must not be empty.`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      problems.push(`${label} must match ${schema.pattern}.`);
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      problems.push(`${label} must be an ISO 8601 date and time.`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push(`${label} must be at least ${schema.minimum}.`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push(`${label} must be at most ${schema.maximum}.`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      problems.push(
+        ...validateJsonSchema(
+          item,
+          schema.items,
+          `${path}[${index}]`,
+          rootSchema,
+        ),
+      );
+    });
+  }
+
+  if (valueType === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key)) {
+        problems.push(`${path ? `${path}.` : ''}${key} is missing.`);
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = path ? `${path}.${key}` : key;
+      if (Object.hasOwn(properties, key)) {
+        problems.push(
+          ...validateJsonSchema(item, properties[key], itemPath, rootSchema),
+        );
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${itemPath} is not allowed.`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Returns the schema a JSON export must follow, or `null` for files
+ * without one (indexes, change logs and text formats).
+ *
+ * @param {unknown} payload
+ * @returns {JsonSchema | null}
+ */
+function getPayloadSchema(payload) {
+  if (getJsonType(payload) !== 'object') {
+    return null;
+  }
+  if ('courseData' in payload || 'lessons' in payload) {
+    return COURSE_PAYLOAD_SCHEMA;
+  }
+  if ('tasks' in payload) {
+    return V2_PAYLOAD_SCHEMA;
+  }
+  return null;
+}
+
+/**
+ * Throws when a course or v2 payload breaks its schema, naming the file and
+ * the first problems found.
+ *
+ * @param {string} fileName
+ * @param {unknown} payload
+ * @throws {Error}
+ * @returns {void}
+ */
+function assertValidExportPayload(fileName, payload) {
+  const schema = getPayloadSchema(payload);
+  const problems = schema ? validateJsonSchema(payload, schema) : [];
+  if (!problems.length) {
+    return;
+  }
+
+  const shown = problems.slice(0, 5);
+  const more =
+    problems.length > shown.length
+      ? ` (${problems.length - shown.length} more)`
+      : '';
+  throw new Error(
+    `${fileName} does not match the ${schema.title} schema v${EXPORT_SCHEMA_VERSION}: ${shown.join(' ')}${more}`,
+  );
+}
@@ -0,0 +1,33 @@
+'use strict';
+
+/**
+ * @typedef {Record<string, string[]>} SelectorProfile Ordered fallback
+ * selectors per page field; the first selector that matches wins. An empty
+ * list means the site does not show that field.
+ */
+
+/**
+ * Applies stored overrides to a site's default profile. Unknown fields and
+ * empty lists are ignored.
+ *
+ * @param {SelectorProfile} defaults
+ * @param {SelectorProfile | null | undefined} overrides
+ * @returns {SelectorProfile}
+ */
+function mergeSelectorProfile(defaults, overrides) {
+  const profile = { ...defaults };
+  for (const [field, selectors] of Object.entries(overrides || {})) {
+    if (
+      Object.hasOwn(defaults, field) &&
+      Array.isArray(selectors) &&
+      selectors.length
+    ) {
+      profile[field] = selectors;
+    }
+  }
+  return profile;
+}
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = { mergeSelectorProfile };
+}
@@ -0,0 +1,262 @@
+'use strict';
+
+/**
+ * @typedef {Object} CourseListing
+ * @property {'learning-path' | 'catalog'} type
+ * @property {string} slug Used for the `<path-slug>-index.json` file name.
+ */
+
+/**
+ * Everything the extractor needs to know about one course site. Every
+ * adapter produces the same `CourseData` and `LessonData`.
+ *
+ * @typedef {Object} SiteAdapter
+ * @property {string} id Key of the site's selector overrides in storage.
+ * @property {string} name Shown in the popup and in error messages.
+ * @property {RegExp} coursePageRe Course and lesson pages.
+ * @property {RegExp | null} courseListPageRe Pages listing several courses, for batch export.
+ * @property {string[]} courseMatchPatterns `coursePageRe` as Chrome match patterns, for the context menu and `manifest.json`.
+ * @property {string[]} courseListMatchPatterns `courseListPageRe` as Chrome match patterns.
+ * @property {(pathname: string) => string} getCourseSlug Empty when the path is not inside a course.
+ * @property {(pathname: string) => string} getLessonSlug Empty when the path is not a lesson page.
+ * @property {(pathname: string) => CourseListing | null} getCourseListing
+ * @property {(origin: string, slug: string) => string} buildCourseUrl
+ * @property {(title: string) => string} cleanLessonTitle Removes what the site shows next to the title, such as the duration.
+ * @property {string} pageButtonSelector Element the page Export button is added to.
+ * @property {SelectorProfile} selectorProfile Fields read inside a lesson item, section header or instructor card are relative to it. `lessonCompletedClass` and `lessonInProgressClass` list class names of the lesson item instead of selectors.
+ */
+
+/**
+ * Splits a pathname into its non-empty segments.
+ *
+ * @param {string} pathname
+ * @returns {string[]}
+ */
+function getPathParts(pathname) {
+  return pathname.split('/').filter(Boolean);
+}
+
+/**
+ * Frontend Masters: `/courses/<course-slug>/<lesson-slug>/`, with Learning
+ * Paths under `/learn/<path-slug>/`.
+ *
+ * @type {SiteAdapter}
+ */
+var FRONTEND_MASTERS_ADAPTER = {
+  id: 'frontendmasters',
+  name: 'Frontend Masters',
+  coursePageRe: /^https:\/\/frontendmasters\.com\/courses\/[^/?#]+\/?/i,
+  courseListPageRe:
+    /^https:\/\/frontendmasters\.com\/(?:learn\/[^/?#]+\/?|courses\/?)(?:[?#]|$)/i,
+  courseMatchPatterns: ['https://frontendmasters.com/courses/*'],
+  courseListMatchPatterns: ['https://frontendmasters.com/learn/*'],
+  getCourseSlug(pathname) {
+    const parts = getPathParts(pathname);
+    return parts[0] === 'courses' && parts.length >= 2 ? parts[1] : '';
+  },
+  getLessonSlug(pathname) {
+    const parts = getPathParts(pathname);
+    return parts[0] === 'courses' && parts.length >= 3 ? parts[2] : '';
+  },
+  getCourseListing(pathname) {
+    const parts = getPathParts(pathname);
+    if (parts[0] === 'learn' && parts.length === 2) {
+      return { type: 'learning-path', slug: parts[1] };
+    }
+    if (parts[0] === 'courses' && parts.length === 1) {
+      return { type: 'catalog', slug: 'courses' };
+    }
+    return null;
+  },
+  buildCourseUrl(origin, slug) {
+    return `${origin}/courses/${slug}/`;
+  },
+  cleanLessonTitle(title) {
+    return title;
+  },
+  pageButtonSelector: '.Course-Header-Details',
+  selectorProfile: {
+    courseTitle: ['.Course-Header-Details h1', '.Course-Header h1', 'main h1'],
+    courseDuration: ['.Course-Header-Meta', '.Course-Header .duration'],
+    courseDescription: ['.Course-Description p', '.content p'],
+    publishedDate: ['.group .duration', '.Course-Header-Meta'],
+    instructorCard: ['.FM-Round-Thumbnail-Item', '.Course-Instructor'],
+    instructorName: ['.text .main a', '.text .main', 'a[href*="/teachers/"]'],
+    sectionHeader: ['.Course-Lesson-Group', '.Course-Section'],
+    sectionTitle: ['h3', 'h2'],
+    sectionDuration: ['.duration'],
+    lessonList: ['ul.Course-Lesson-List', 'ul.Course-Lessons'],
+    lessonItem: ['li.Course-Lesson-List-Item', 'li'],
+    lessonTitle: ['.title a', '.title', 'h3 a'],
+    lessonDescription: ['.description', 'p'],
+    lessonTimeRange: ['a.timestamp span', '.timestamp span', '.timestamp'],
+    lessonDuration: [],
+    lessonUrl: ['.title a', 'a.timestamp', 'a.thumbnail'],
+    lessonProgress: [
+      '[role="progressbar"]',
+      '[data-progress]',
+      '[class*="progress" i]',
+    ],
+    lessonCompletedClass: ['is-watched', 'is-completed', 'completed'],
+    lessonInProgressClass: ['is-in-progress', 'in-progress', 'is-started'],
+    lessonPageDescription: [
+      '.Lesson-Description',
+      '.LessonDescription',
+      '.lesson-description',
+      '[itemprop="description"]',
+    ],
+    lessonPageResources: [
+      '.Lesson-Resources',
+      '.LessonResources',
+      '.lesson-resources',
+    ],
+  },
+};
+
+/**
+ * Teachable schools on `<school>.teachable.com`: the curriculum at
+ * `/courses/enrolled/<course-id>` or `/courses/<course-slug>`, the sales
+ * page at `/p/<course-slug>` and lectures at
+ * `/courses/<course>/lectures/<lecture-id>`. Lectures show a duration
+ * instead of a time range, and the school's `/courses` page lists its
+ * courses.
+ *
+ * @type {SiteAdapter}
+ */
+var TEACHABLE_ADAPTER = {
+  id: 'teachable',
+  name: 'Teachable',
+  coursePageRe:
+    /^https:\/\/[a-z0-9-]+\.teachable\.com\/(?:courses|p)\/[^/?#]+/i,
+  courseListPageRe:
+    /^https:\/\/[a-z0-9-]+\.teachable\.com\/courses\/?(?:[?#]|$)/i,
+  courseMatchPatterns: [
+    'https://*.teachable.com/courses/*',
+    'https://*.teachable.com/p/*',
+  ],
+  courseListMatchPatterns: ['https://*.teachable.com/courses'],
+  getCourseSlug(pathname) {
+    const parts = getPathParts(pathname);
+    if (parts[0] === 'p') {
+      return parts[1] || '';
+    }
+    if (parts[0] !== 'courses') {
+      return '';
+    }
+    return (parts[1] === 'enrolled' ? parts[2] : parts[1]) || '';
+  },
+  getLessonSlug(pathname) {
+    const parts = getPathParts(pathname);
+    return parts[0] === 'courses' && parts[2] === 'lectures'
+      ? parts[3] || ''
+      : '';
+  },
+  getCourseListing(pathname) {
+    const parts = getPathParts(pathname);
+    return parts[0] === 'courses' && parts.length === 1
+      ? { type: 'catalog', slug: 'courses' }
+      : null;
+  },
+  buildCourseUrl(origin, slug) {
+    return `${origin}/courses/${slug}`;
+  },
+  cleanLessonTitle(title) {
+    return title.replace(/\s*\((?:\d{1,2}:)?\d{1,2}:\d{2}\)$/, '');
+  },
+  pageButtonSelector: '.course-sidebar',
+  selectorProfile: {
+    courseTitle: ['.course-sidebar h2', 'h1.course-title', 'h1'],
+    courseDuration: [],
+    courseDescription: ['.course-description p', '.course-description'],
+    publishedDate: [],
+    instructorCard: ['.course-author', '.block__author'],
+    instructorName: ['.course-author-name', '.author-name', 'h3', 'h4'],
+    sectionHeader: ['.course-section'],
+    sectionTitle: ['.section-title'],
+    sectionDuration: [],
+    lessonList: ['ul.section-list'],
+    lessonItem: ['li.section-item', 'li'],
+    lessonTitle: ['.lecture-name', 'a.item'],
+    lessonDescription: [],
+    lessonTimeRange: [],
+    lessonDuration: ['.lecture-name'],
+    lessonUrl: ['a.item', 'a[href*="/lectures/"]'],
+    lessonProgress: [],
+    lessonCompletedClass: ['completed'],
+    lessonInProgressClass: [],
+    lessonPageDescription: ['.lecture-text-container', '.lecture-content'],
+    lessonPageResources: ['.lecture-attachment-type-file', '.attachments'],
+  },
+};
+
+/**
+ * Supported sites, tried in order.
+ *
+ * @type {SiteAdapter[]}
+ */
+var SITE_ADAPTERS = [FRONTEND_MASTERS_ADAPTER, TEACHABLE_ADAPTER];
+
+/**
+ * Returns the adapter for a course or course list page URL.
+ *
+ * @param {unknown} url
+ * @returns {SiteAdapter | null}
+ */
+function findSiteAdapter(url) {
+  if (typeof url !== 'string') {
+    return null;
+  }
+  return (
+    SITE_ADAPTERS.find(
+      (adapter) =>
+        adapter.coursePageRe.test(url) ||
+        Boolean(adapter.courseListPageRe?.test(url)),
+    ) || null
+  );
+}
+
+/**
+ * Returns the adapter with the given ID.
+ *
+ * @param {string} id
+ * @returns {SiteAdapter | null}
+ */
+function getSiteAdapter(id) {
+  return SITE_ADAPTERS.find((adapter) => adapter.id === id) || null;
+}
+
+/**
+ * Lists the names of the supported sites for messages.
+ *
+ * @returns {string}
+ */
+function listSiteAdapterNames() {
+  return SITE_ADAPTERS.map((adapter) => adapter.name).join(' or ');
+}
+
+/**
+ * Reads stored selector overrides keyed by adapter ID. Overrides saved before
+ * there were adapters are a plain field map and belong to Frontend Masters.
+ *
+ * @param {unknown} stored
+ * @returns {Record<string, SelectorProfile>}
+ */
+function getSelectorOverridesBySite(stored) {
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+    return {};
+  }
+  const isFieldMap = Object.keys(stored).some((key) => !getSiteAdapter(key));
+  return isFieldMap
+    ? { [FRONTEND_MASTERS_ADAPTER.id]: stored }
+    : /** @type {Record<string, SelectorProfile>} */ (stored);
+}
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = {
+    SITE_ADAPTERS,
+    findSiteAdapter,
+    getSiteAdapter,
+    listSiteAdapterNames,
+    getSelectorOverridesBySite,
+  };
+}
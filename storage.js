@@ -0,0 +1,374 @@
+'use strict';
+
+const EXPORT_SETTINGS_STORAGE_KEY = 'exportSettings';
+const TASK_TEMPLATES_STORAGE_KEY = 'taskTemplates';
+const LAST_EXTRACTION_STORAGE_KEY = 'lastExtraction';
+const TODOIST_SETTINGS_STORAGE_KEY = 'todoistSettings';
+const TODOIST_SYNC_STORAGE_KEY = 'todoistSync';
+const EXPORT_LIBRARY_STORAGE_KEY = 'exportLibrary';
+const EXPORT_LIBRARY_PAYLOAD_KEY_PREFIX = 'exportLibraryPayload:';
+const SELECTOR_PROFILE_STORAGE_KEY = 'selectorProfile';
+const FILE_SETTINGS_STORAGE_KEY = 'fileSettings';
+
+/**
+ * One export recorded in the library. Every export gets its own entry, so
+ * exporting a course again keeps the earlier ones.
+ *
+ * @typedef {Object} LibraryEntry
+ * @property {string} id Site, slug and export time; the entry's storage key.
+ * @property {string} site Host name of the course page, such as `frontendmasters.com`.
+ * @property {string} slug
+ * @property {string} title
+ * @property {string} tutor
+ * @property {string} courseUrl
+ * @property {number} lessonCount
+ * @property {number} totalMinutes
+ * @property {string} exportedAt ISO timestamp of the export.
+ * @property {ExtractedPayload} [payload] Only on entries saved before the
+ *   course data got a key of its own; see `loadLibraryPayload`.
+ */
+
+/** Exports kept in the library per course; older ones are dropped. */
+const LIBRARY_EXPORTS_PER_COURSE = 5;
+
+/**
+ * Loads the remembered export settings.
+ *
+ * @returns {Promise<ExportSettings>}
+ */
+async function loadExportSettings() {
+  const stored = await chrome.storage.local.get(EXPORT_SETTINGS_STORAGE_KEY);
+  const settings = stored[EXPORT_SETTINGS_STORAGE_KEY] || {};
+  return {
+    ...DEFAULT_EXPORT_SETTINGS,
+    ...settings,
+    formatIds: Array.isArray(settings.formatIds)
+      ? settings.formatIds
+      : DEFAULT_EXPORT_SETTINGS.formatIds,
+  };
+}
+
+/**
+ * Remembers export settings for the next session.
+ *
+ * @param {ExportSettings} settings
+ * @returns {Promise<void>}
+ */
+async function saveExportSettings(settings) {
+  const {
+    taskTemplate: _taskTemplate,
+    fileSettings: _fileSettings,
+    ...storedSettings
+  } = settings;
+  await chrome.storage.local.set({
+    [EXPORT_SETTINGS_STORAGE_KEY]: storedSettings,
+  });
+}
+
+/**
+ * Loads the saved task templates. There is always at least one.
+ *
+ * @returns {Promise<TaskTemplate[]>}
+ */
+async function loadTaskTemplates() {
+  const stored = await chrome.storage.local.get(TASK_TEMPLATES_STORAGE_KEY);
+  const templates = stored[TASK_TEMPLATES_STORAGE_KEY];
+  return Array.isArray(templates) && templates.length
+    ? templates
+    : [DEFAULT_TASK_TEMPLATE];
+}
+
+/**
+ * Saves the task template list.
+ *
+ * @param {TaskTemplate[]} templates
+ * @returns {Promise<void>}
+ */
+async function saveTaskTemplates(templates) {
+  await chrome.storage.local.set({ [TASK_TEMPLATES_STORAGE_KEY]: templates });
+}
+
+/**
+ * Returns the template with the given ID, or the first saved template.
+ *
+ * @param {string | undefined} templateId
+ * @returns {Promise<TaskTemplate>}
+ */
+async function resolveTaskTemplate(templateId) {
+  const templates = await loadTaskTemplates();
+  return (
+    templates.find((template) => template.id === templateId) || templates[0]
+  );
+}
+
+/**
+ * Loads the most recent extraction, used for template previews.
+ *
+ * @returns {Promise<ExtractCourseDataResult | null>}
+ */
+async function loadLastExtraction() {
+  const stored = await chrome.storage.local.get(LAST_EXTRACTION_STORAGE_KEY);
+  return stored[LAST_EXTRACTION_STORAGE_KEY] || null;
+}
+
+/**
+ * Remembers the most recent extraction.
+ *
+ * @param {ExtractCourseDataResult} result
+ * @returns {Promise<void>}
+ */
+async function saveLastExtraction(result) {
+  await chrome.storage.local.set({ [LAST_EXTRACTION_STORAGE_KEY]: result });
+}
+
+/**
+ * Loads the Todoist integration settings. A base URL still at the former
+ * REST v2 default is switched to API v1.
+ *
+ * @returns {Promise<TodoistSettings>}
+ */
+async function loadTodoistSettings() {
+  const stored = await chrome.storage.local.get(TODOIST_SETTINGS_STORAGE_KEY);
+  const settings = {
+    ...DEFAULT_TODOIST_SETTINGS,
+    ...(stored[TODOIST_SETTINGS_STORAGE_KEY] || {}),
+  };
+  if (settings.baseUrl.replace(/\/+$/, '') === LEGACY_TODOIST_BASE_URL) {
+    settings.baseUrl = DEFAULT_TODOIST_SETTINGS.baseUrl;
+  }
+  return settings;
+}
+
+/**
+ * Saves the Todoist integration settings.
+ *
+ * @param {TodoistSettings} settings
+ * @returns {Promise<void>}
+ */
+async function saveTodoistSettings(settings) {
+  await chrome.storage.local.set({ [TODOIST_SETTINGS_STORAGE_KEY]: settings });
+}
+
+/**
+ * Loads the Todoist IDs recorded for one course.
+ *
+ * @param {string} syncKey
+ * @returns {Promise<TodoistSyncState>}
+ */
+async function loadTodoistSyncState(syncKey) {
+  const stored = await chrome.storage.local.get(TODOIST_SYNC_STORAGE_KEY);
+  const state = (stored[TODOIST_SYNC_STORAGE_KEY] || {})[syncKey] || {};
+  return {
+    projectId: state.projectId,
+    sections: state.sections || {},
+    tasks: state.tasks || {},
+    closed: state.closed || {},
+  };
+}
+
+/**
+ * Saves the Todoist IDs recorded for one course.
+ *
+ * @param {string} syncKey
+ * @param {TodoistSyncState} state
+ * @returns {Promise<void>}
+ */
+async function saveTodoistSyncState(syncKey, state) {
+  const stored = await chrome.storage.local.get(TODOIST_SYNC_STORAGE_KEY);
+  await chrome.storage.local.set({
+    [TODOIST_SYNC_STORAGE_KEY]: {
+      ...(stored[TODOIST_SYNC_STORAGE_KEY] || {}),
+      [syncKey]: state,
+    },
+  });
+}
+
+/**
+ * Loads every recorded export, most recent first. Entries stored before
+ * they had an `id` use their storage key, the slug.
+ *
+ * @returns {Promise<LibraryEntry[]>}
+ */
+async function loadExportLibrary() {
+  const stored = await chrome.storage.local.get(EXPORT_LIBRARY_STORAGE_KEY);
+  return Object.entries(stored[EXPORT_LIBRARY_STORAGE_KEY] || {})
+    .map(([id, entry]) => ({ site: '', ...entry, id }))
+    .sort((a, b) => b.exportedAt.localeCompare(a.exportedAt));
+}
+
+/**
+ * Reads the site of a course from its URL.
+ *
+ * @param {string} courseUrl
+ * @returns {string} Empty when the URL cannot be read.
+ */
+function getLibrarySite(courseUrl) {
+  try {
+    return new URL(courseUrl).hostname;
+  } catch (_error) {
+    return '';
+  }
+}
+
+/**
+ * Returns the storage key of an export's course data.
+ *
+ * @param {string} id
+ * @returns {string}
+ */
+function getLibraryPayloadKey(id) {
+  return `${EXPORT_LIBRARY_PAYLOAD_KEY_PREFIX}${id}`;
+}
+
+/**
+ * Loads the course data of a library entry.
+ *
+ * @param {LibraryEntry} entry
+ * @returns {Promise<ExtractedPayload | null>} Null when it is missing.
+ */
+async function loadLibraryPayload(entry) {
+  if (entry.payload) {
+    return entry.payload;
+  }
+  const key = getLibraryPayloadKey(entry.id);
+  const stored = await chrome.storage.local.get(key);
+  return stored[key] || null;
+}
+
+/**
+ * Records an export in the library as a new entry, next to earlier exports
+ * of the same course. The course data goes under a key of its own, so the
+ * entry list stays small, and only the latest `LIBRARY_EXPORTS_PER_COURSE`
+ * exports of a course are kept.
+ *
+ * @param {ExtractCourseDataResult} result
+ * @returns {Promise<LibraryEntry>}
+ */
+async function saveLibraryEntry(result) {
+  const { slug, payload } = result;
+  const courseData = payload.courseData || {};
+  const lessons = payload.lessons || [];
+  const lessonMinutes = lessons.reduce(
+    (sum, lesson) => sum + (Number(lesson.duration) || 0),
+    0,
+  );
+
+  const site = getLibrarySite(courseData.courseUrl || '');
+  const exportedAt = new Date().toISOString();
+
+  /** @type {LibraryEntry} */
+  const entry = {
+    id: `${site}/${slug}/${exportedAt}`,
+    site,
+    slug,
+    title: courseData.courseTitle || slug,
+    tutor: courseData.tutor || '',
+    courseUrl: courseData.courseUrl || '',
+    lessonCount: courseData.lessonCount || lessons.length,
+    totalMinutes: Number(courseData.totalDuration) || lessonMinutes,
+    exportedAt,
+  };
+
+  const stored = await chrome.storage.local.get(EXPORT_LIBRARY_STORAGE_KEY);
+  const library = {
+    ...(stored[EXPORT_LIBRARY_STORAGE_KEY] || {}),
+    [entry.id]: entry,
+  };
+  // Entries saved by older versions hold their course data inline.
+  const movedPayloads = {};
+  for (const [id, { payload: inline, ...other }] of Object.entries(library)) {
+    if (inline) {
+      movedPayloads[getLibraryPayloadKey(id)] = inline;
+      library[id] = other;
+    }
+  }
+  const droppedIds = Object.entries(library)
+    .filter(([, other]) => (other.site || '') === site && other.slug === slug)
+    .sort(([, a], [, b]) => b.exportedAt.localeCompare(a.exportedAt))
+    .slice(LIBRARY_EXPORTS_PER_COURSE)
+    .map(([id]) => id);
+  for (const id of droppedIds) {
+    delete library[id];
+    delete movedPayloads[getLibraryPayloadKey(id)];
+  }
+
+  await chrome.storage.local.set({
+    ...movedPayloads,
+    [getLibraryPayloadKey(entry.id)]: payload,
+    [EXPORT_LIBRARY_STORAGE_KEY]: library,
+  });
+  if (droppedIds.length) {
+    await chrome.storage.local.remove(droppedIds.map(getLibraryPayloadKey));
+  }
+  return entry;
+}
+
+/**
+ * Removes one export and its course data from the library.
+ *
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+async function deleteLibraryEntry(id) {
+  const stored = await chrome.storage.local.get(EXPORT_LIBRARY_STORAGE_KEY);
+  const { [id]: _removed, ...library } =
+    stored[EXPORT_LIBRARY_STORAGE_KEY] || {};
+  await chrome.storage.local.set({ [EXPORT_LIBRARY_STORAGE_KEY]: library });
+  await chrome.storage.local.remove(getLibraryPayloadKey(id));
+}
+
+/**
+ * Loads a site's selector profile overrides; fields without an override use
+ * the adapter's defaults.
+ *
+ * @param {string} siteId
+ * @returns {Promise<SelectorProfile>}
+ */
+async function loadSelectorProfileOverrides(siteId) {
+  const stored = await chrome.storage.local.get(SELECTOR_PROFILE_STORAGE_KEY);
+  return (
+    getSelectorOverridesBySite(stored[SELECTOR_PROFILE_STORAGE_KEY])[siteId] ||
+    {}
+  );
+}
+
+/**
+ * Saves a site's selector profile overrides read by the content script.
+ * Other sites keep theirs.
+ *
+ * @param {string} siteId
+ * @param {SelectorProfile} overrides
+ * @returns {Promise<void>}
+ */
+async function saveSelectorProfileOverrides(siteId, overrides) {
+  const stored = await chrome.storage.local.get(SELECTOR_PROFILE_STORAGE_KEY);
+  await chrome.storage.local.set({
+    [SELECTOR_PROFILE_STORAGE_KEY]: {
+      ...getSelectorOverridesBySite(stored[SELECTOR_PROFILE_STORAGE_KEY]),
+      [siteId]: overrides,
+    },
+  });
+}
+
+/**
+ * Loads the file naming and overwrite settings.
+ *
+ * @returns {Promise<FileSettings>}
+ */
+async function loadFileSettings() {
+  const stored = await chrome.storage.local.get(FILE_SETTINGS_STORAGE_KEY);
+  return {
+    ...DEFAULT_FILE_SETTINGS,
+    ...(stored[FILE_SETTINGS_STORAGE_KEY] || {}),
+  };
+}
+
+/**
+ * Saves the file naming and overwrite settings.
+ *
+ * @param {FileSettings} settings
+ * @returns {Promise<void>}
+ */
+async function saveFileSettings(settings) {
+  await chrome.storage.local.set({ [FILE_SETTINGS_STORAGE_KEY]: settings });
+}
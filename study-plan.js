@@ -0,0 +1,281 @@
+'use strict';
+
+/**
+ * @typedef {Object} StudyPlanSettings
+ * @property {number} budgetMinutes Study time per day or per week.
+ * @property {'day' | 'week'} budgetPeriod A weekly budget is split evenly across the study days.
+ * @property {number[]} studyDays Weekdays to study on, `0` (Sunday) to `6` (Saturday).
+ * @property {string} startDate `YYYY-MM-DD`; empty means today.
+ * @property {string} startTime `HH:MM` local time of each session.
+ */
+
+/**
+ * @typedef {Object} StudySession
+ * @property {string} date `YYYY-MM-DD`
+ * @property {number} minutes
+ * @property {LessonData[]} lessons
+ */
+
+/** @type {StudyPlanSettings} */
+const DEFAULT_STUDY_PLAN_SETTINGS = {
+  budgetMinutes: 60,
+  budgetPeriod: 'day',
+  studyDays: [1, 2, 3, 4, 5],
+  startDate: '',
+  startTime: '19:00',
+};
+
+/**
+ * Formats a date as `YYYY-MM-DD` in local time.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+function toIsoDate(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+}
+
+/**
+ * Parses `YYYY-MM-DD` as a local date, or returns today.
+ *
+ * @param {string} value
+ * @returns {Date}
+ */
+function parseLocalDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) {
+    const today = new Date();
+    return new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  }
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+/**
+ * Returns the minutes available in one session. A weekly budget is split
+ * across the distinct study days, so a day listed twice counts once.
+ *
+ * @param {StudyPlanSettings} settings
+ * @returns {number}
+ */
+function getSessionBudget(settings) {
+  const budget = Math.max(1, Number(settings.budgetMinutes) || 0);
+  if (settings.budgetPeriod === 'week') {
+    const dayCount = Math.max(1, new Set(settings.studyDays).size);
+    return Math.max(1, Math.floor(budget / dayCount));
+  }
+  return budget;
+}
+
+/**
+ * Schedules lessons in course order across study days.
+ *
+ * A lesson is never split. A lesson longer than a whole session gets a
+ * session of its own. When a section would not fit in what is left of the
+ * day but would fit in a fresh session, it starts on the next study day
+ * instead of being split. Completed lessons are skipped.
+ *
+ * @param {LessonData[]} lessons
+ * @param {StudyPlanSettings} settings
+ * @throws {Error}
+ * @returns {StudySession[]}
+ */
+function buildStudyPlan(lessons, settings) {
+  const studyDays = new Set(settings.studyDays);
+  if (!studyDays.size) {
+    throw new Error('Select at least one study day for the study plan.');
+  }
+
+  const sessionBudget = getSessionBudget(settings);
+  const minutesOf = (lesson) => Number(lesson.duration) || 0;
+  const remainingLessons = lessons.filter(
+    (lesson) => !isLessonCompleted(lesson),
+  );
+  const sectionMinutes = new Map();
+  for (const lesson of remainingLessons) {
+    const key = String(lesson.sectionId ?? '');
+    sectionMinutes.set(key, (sectionMinutes.get(key) || 0) + minutesOf(lesson));
+  }
+
+  const date = parseLocalDate(settings.startDate);
+  /** @type {StudySession[]} */
+  const sessions = [];
+  /** @type {StudySession | null} */
+  let session = null;
+
+  /**
+   * Starts a session on the next study day.
+   *
+   * @returns {StudySession}
+   */
+  function startSession() {
+    if (session) {
+      date.setDate(date.getDate() + 1);
+    }
+    while (!studyDays.has(date.getDay())) {
+      date.setDate(date.getDate() + 1);
+    }
+    session = { date: toIsoDate(date), minutes: 0, lessons: [] };
+    sessions.push(session);
+    return session;
+  }
+
+  for (const [index, lesson] of remainingLessons.entries()) {
+    const minutes = minutesOf(lesson);
+    const sectionKey = String(lesson.sectionId ?? '');
+    const startsSection =
+      index === 0 ||
+      String(remainingLessons[index - 1].sectionId ?? '') !== sectionKey;
+    const left = session ? sessionBudget - session.minutes : 0;
+
+    const lessonDoesNotFit = minutes > left;
+    const sectionWouldSplit =
+      startsSection &&
+      sectionMinutes.get(sectionKey) > left &&
+      sectionMinutes.get(sectionKey) <= sessionBudget;
+
+    if (
+      !session ||
+      (session.lessons.length && (lessonDoesNotFit || sectionWouldSplit))
+    ) {
+      startSession();
+    }
+
+    session.lessons.push(lesson);
+    session.minutes += minutes;
+  }
+
+  return sessions;
+}
+
+/**
+ * Escapes text for an iCalendar property value.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds an iCalendar content line at 75 octets.
+ *
+ * @param {string} line
+ * @returns {string}
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length;
+    const limit = parts.length ? 74 : 75;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Formats a local date and time as an iCalendar floating date-time.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+function toIcsDateTime(date) {
+  return `${toIsoDate(date).replace(/-/g, '')}T${[
+    date.getHours(),
+    date.getMinutes(),
+    date.getSeconds(),
+  ]
+    .map((part) => String(part).padStart(2, '0'))
+    .join('')}`;
+}
+
+/**
+ * Creates an iCalendar file with one event per study session. Each event
+ * lists its lessons with their URLs.
+ *
+ * @param {ExtractedPayload | null | undefined} payload
+ * @param {ExportSettings} [settings]
+ * @returns {string}
+ */
+function buildStudyPlanIcs(payload, settings) {
+  const courseData = (payload && payload.courseData) || {};
+  const lessons = Array.isArray(payload && payload.lessons)
+    ? payload.lessons
+    : [];
+  const planSettings = {
+    ...DEFAULT_STUDY_PLAN_SETTINGS,
+    ...((settings && settings.studyPlan) || {}),
+  };
+  const sessions = buildStudyPlan(lessons, planSettings);
+  const courseTitle = courseData.courseTitle || 'Course';
+  const uidBase = courseData.courseUrl || courseTitle;
+  const [hours, minutes] = (planSettings.startTime || '19:00')
+    .split(':')
+    .map((part) => Number(part) || 0);
+  const stamp = `${new Date().toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Course JSON Exporter//Study Plan//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeIcsText(`${courseTitle} study plan`)}`,
+  ];
+
+  for (const [index, session] of sessions.entries()) {
+    const start = parseLocalDate(session.date);
+    start.setHours(hours, minutes, 0, 0);
+    const end = new Date(
+      start.getTime() + Math.max(session.minutes, 1) * 60000,
+    );
+    const description = session.lessons
+      .map((lesson) =>
+        [
+          `${lesson.position ?? ''}. ${lesson.title || 'Untitled lesson'}`,
+          lesson.duration ? `(${lesson.duration} min)` : '',
+          lesson.lessonUrl || '',
+        ]
+          .filter(Boolean)
+          .join(' '),
+      )
+      .join('\n');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${escapeIcsText(`${uidBase}#session-${index + 1}`)}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${toIcsDateTime(start)}`,
+      `DTEND:${toIcsDateTime(end)}`,
+      `SUMMARY:${escapeIcsText(
+        `${courseTitle} — session ${index + 1}/${sessions.length}`,
+      )}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      // URL holds a URI value, which is not text-escaped.
+      ...(courseData.courseUrl ? [`URL:${courseData.courseUrl}`] : []),
+      'END:VEVENT',
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,296 @@
+'use strict';
+
+/**
+ * Returns currently active tab in the current window.
+ *
+ * @returns {Promise<chrome.tabs.Tab | null>}
+ */
+async function getActiveTab() {
+  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tabs[0] || null;
+}
+
+/**
+ * Checks whether a URL belongs to a course page of a supported site.
+ *
+ * @param {unknown} url
+ * @returns {boolean}
+ */
+function isCoursePageUrl(url) {
+  const adapter = findSiteAdapter(url);
+  return Boolean(adapter && adapter.coursePageRe.test(String(url)));
+}
+
+/**
+ * Checks whether a URL belongs to a Learning Path or course catalog of a
+ * supported site.
+ *
+ * @param {unknown} url
+ * @returns {boolean}
+ */
+function isCourseListPageUrl(url) {
+  const adapter = findSiteAdapter(url);
+  return Boolean(adapter?.courseListPageRe?.test(String(url)));
+}
+
+/**
+ * Ensures the active tab is a course page of a supported site.
+ *
+ * @param {chrome.tabs.Tab | null} tab
+ * @throws {Error}
+ * @returns {chrome.tabs.Tab & {id: number, url: string}}
+ */
+function assertValidCourseTab(tab) {
+  if (!tab || typeof tab.id !== 'number') {
+    throw new Error('Active tab not found.');
+  }
+
+  if (!isCoursePageUrl(tab.url)) {
+    throw new Error(
+      `A ${listSiteAdapterNames()} course page must be open in the active tab.`,
+    );
+  }
+
+  return /** @type {chrome.tabs.Tab & {id: number, url: string}} */ (tab);
+}
+
+/**
+ * Ensures the active tab is a Learning Path or course catalog page.
+ *
+ * @param {chrome.tabs.Tab | null} tab
+ * @throws {Error}
+ * @returns {chrome.tabs.Tab & {id: number, url: string}}
+ */
+function assertValidCourseListTab(tab) {
+  if (!tab || typeof tab.id !== 'number') {
+    throw new Error('Active tab not found.');
+  }
+
+  if (!isCourseListPageUrl(tab.url)) {
+    throw new Error(
+      `A ${listSiteAdapterNames()} Learning Path or course catalog page must be open in the active tab.`,
+    );
+  }
+
+  return /** @type {chrome.tabs.Tab & {id: number, url: string}} */ (tab);
+}
+
+/**
+ * Converts unknown errors into readable messages.
+ *
+ * @param {unknown} error
+ * @returns {string}
+ */
+function getErrorMessage(error) {
+  return error instanceof Error ? error.message : String(error || '');
+}
+
+/**
+ * Detects missing receiver errors from `chrome.tabs.sendMessage`.
+ *
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+function isMissingReceiverError(error) {
+  const message = getErrorMessage(error);
+  return message.includes('Receiving end does not exist');
+}
+
+/**
+ * Indicates whether `chrome.scripting.executeScript` can be used.
+ *
+ * @returns {boolean}
+ */
+function canUseScriptingApi() {
+  return Boolean(
+    chrome.scripting && typeof chrome.scripting.executeScript === 'function',
+  );
+}
+
+/**
+ * Reloads the given tab and resolves when Chrome reports completion.
+ *
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+function reloadTab(tabId) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.reload(tabId, {}, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Waits until a tab reaches `complete` status, with timeout.
+ *
+ * @param {number} tabId
+ * @param {number} timeoutMs
+ * @param {string} [timeoutMessage]
+ * @returns {Promise<void>}
+ */
+function waitForTabComplete(
+  tabId,
+  timeoutMs,
+  timeoutMessage = 'Tab reload timed out. Please reload the page manually and try again.',
+) {
+  return new Promise((resolve, reject) => {
+    let finished = false;
+    const timeoutId = setTimeout(() => {
+      cleanup();
+      reject(new Error(timeoutMessage));
+    }, timeoutMs);
+
+    /**
+     * Clears listeners and timeout once the wait is finished.
+     *
+     * @returns {void}
+     */
+    function cleanup() {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      clearTimeout(timeoutId);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+    }
+
+    /**
+     * Handles tab update events and resolves when target tab is complete.
+     *
+     * @param {number} updatedTabId
+     * @param {chrome.tabs.TabChangeInfo} changeInfo
+     * @returns {void}
+     */
+    function onUpdated(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        cleanup();
+        resolve();
+      }
+    }
+
+    chrome.tabs.onUpdated.addListener(onUpdated);
+  });
+}
+
+/**
+ * Reloads and waits for the active tab to finish loading.
+ *
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+async function refreshTabAndWait(tabId) {
+  await reloadTab(tabId);
+  await waitForTabComplete(tabId, 15000);
+}
+
+/**
+ * Validates content script response and returns parsed payload.
+ *
+ * @template T
+ * @param {{ok?: boolean, error?: string, data?: T} | undefined} response
+ * @throws {Error}
+ * @returns {T}
+ */
+function parseExtractResponse(response) {
+  if (!response || !response.ok) {
+    throw new Error(
+      response && response.error ? response.error : 'Could not read page data.',
+    );
+  }
+  return response.data;
+}
+
+/**
+ * Sends an extraction message to a tab, injecting the content script when
+ * no receiver is present yet.
+ *
+ * @param {number} tabId
+ * @param {{type: string, deep?: boolean}} message
+ * @throws {Error}
+ * @returns {Promise<any>}
+ */
+async function requestTabData(tabId, message) {
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, message);
+    return parseExtractResponse(response);
+  } catch (error) {
+    if (!isMissingReceiverError(error)) {
+      throw error;
+    }
+
+    if (canUseScriptingApi()) {
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        files: [
+          'selector-profile.js',
+          'site-adapters.js',
+          'durations.js',
+          'keys.js',
+          'content.js',
+        ],
+      });
+    } else {
+      await refreshTabAndWait(tabId);
+    }
+
+    const retryResponse = await chrome.tabs.sendMessage(tabId, message);
+    return parseExtractResponse(retryResponse);
+  }
+}
+
+/**
+ * Requests course payload from the active tab. A deep export also reads
+ * every lesson page, which takes a while.
+ *
+ * @param {chrome.tabs.Tab | null} tab
+ * @param {{deep?: boolean}} [options]
+ * @throws {Error}
+ * @returns {Promise<ExtractCourseDataResult>}
+ */
+async function requestCourseData(tab, options = {}) {
+  const courseTab = assertValidCourseTab(tab);
+  return requestTabData(courseTab.id, {
+    type: 'extract-course-data',
+    deep: Boolean(options.deep),
+  });
+}
+
+/**
+ * Requests the course list from a Learning Path or catalog tab.
+ *
+ * @param {chrome.tabs.Tab | null} tab
+ * @throws {Error}
+ * @returns {Promise<ExtractCourseLinksResult>}
+ */
+async function requestCourseLinks(tab) {
+  const listTab = assertValidCourseListTab(tab);
+  return requestTabData(listTab.id, { type: 'extract-course-links' });
+}
+
+/**
+ * Opens a course in a background tab, extracts it and closes the tab.
+ *
+ * @param {string} courseUrl
+ * @param {{deep?: boolean}} [options]
+ * @throws {Error}
+ * @returns {Promise<ExtractCourseDataResult>}
+ */
+async function requestCourseDataInBackgroundTab(courseUrl, options) {
+  const tab = await chrome.tabs.create({ url: courseUrl, active: false });
+
+  try {
+    await waitForTabComplete(
+      tab.id,
+      30000,
+      `Course page timed out while loading: ${courseUrl}`,
+    );
+    return await requestCourseData(await chrome.tabs.get(tab.id), options);
+  } finally {
+    await chrome.tabs.remove(tab.id).catch(() => {});
+  }
+}
@@ -0,0 +1,138 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { loadWriters } = require('../cli/saved-course.js');
+
+const writers = loadWriters();
+
+const CHAPTERS_FORMAT = writers.EXPORT_FORMATS.find(
+  (format) => format.id === 'chapters',
+);
+
+/**
+ * Builds a timed lesson of the test course.
+ *
+ * @param {string} id
+ * @param {string} sectionId
+ * @param {number} startSeconds
+ * @param {number} endSeconds
+ * @returns {Object}
+ */
+function createLesson(id, sectionId, startSeconds, endSeconds) {
+  return {
+    id,
+    title: id[0].toUpperCase() + id.slice(1),
+    lessonUrl: `https://frontendmasters.com/courses/async-js/${id}/`,
+    sectionId,
+    sectionTitle: sectionId,
+    startSeconds,
+    endSeconds,
+  };
+}
+
+const PAYLOAD = {
+  courseData: { courseTitle: 'Async JavaScript' },
+  lessons: [
+    createLesson('callbacks', 'basics', 0, 1200),
+    createLesson('promises', 'basics', 1200, 3900),
+    createLesson('generators', 'advanced', 3900, 4530),
+  ],
+};
+
+/**
+ * Builds the chapter files of a payload as a map of path to content.
+ *
+ * @param {Object} payload
+ * @param {Object} settings
+ * @returns {Map<string, string>}
+ */
+function buildChapters(payload, settings) {
+  return new Map(
+    writers
+      .buildFormatFiles(CHAPTERS_FORMAT, 'async-js', payload, settings)
+      .map((file) => [file.fileName, String(file.content)]),
+  );
+}
+
+test('course chapters cover the whole recording', () => {
+  const files = buildChapters(PAYLOAD, { formatIds: ['chapters'] });
+  assert.deepEqual(
+    [...files.keys()],
+    ['async-js-chapters/course.vtt', 'async-js-chapters/course.txt'],
+  );
+  assert.equal(
+    files.get('async-js-chapters/course.txt'),
+    '00:00 Callbacks\n20:00 Promises\n1:05:00 Generators\n',
+  );
+  assert.match(
+    files.get('async-js-chapters/course.vtt'),
+    /^WEBVTT\n\ncallbacks\n00:00:00\.000 --> 00:20:00\.000\nCallbacks\n\n/,
+  );
+  assert.match(
+    files.get('async-js-chapters/course.vtt'),
+    /\ngenerators\n01:05:00\.000 --> 01:15:30\.000\nGenerators\n$/,
+  );
+});
+
+test('section chapters start each file at zero', () => {
+  const files = buildChapters(PAYLOAD, {
+    formatIds: ['chapters'],
+    chapterScope: 'section',
+  });
+  assert.deepEqual(
+    [...files.keys()],
+    [
+      'async-js-chapters/01-basics.vtt',
+      'async-js-chapters/01-basics.txt',
+      'async-js-chapters/02-advanced.vtt',
+      'async-js-chapters/02-advanced.txt',
+    ],
+  );
+  assert.equal(
+    files.get('async-js-chapters/02-advanced.txt'),
+    '00:00 Generators\n',
+  );
+  assert.match(
+    files.get('async-js-chapters/02-advanced.vtt'),
+    /00:00:00\.000 --> 00:10:30\.000/,
+  );
+});
+
+test('lessons without a time range get no chapters or deep links', () => {
+  const lessons = PAYLOAD.lessons.map((lesson) => ({
+    ...lesson,
+    startSeconds: null,
+    endSeconds: null,
+  }));
+  assert.equal(
+    buildChapters({ ...PAYLOAD, lessons }, { formatIds: ['chapters'] }).size,
+    0,
+  );
+
+  const template = {
+    id: 'links',
+    name: 'Links',
+    content: '{{title}}',
+    description: '{{#deepLink}}Watch: {{deepLink}}{{/deepLink}}',
+  };
+  const buildTasks = (payload) =>
+    writers.EXPORT_FORMATS.find((format) => format.id === 'v2').build(payload, {
+      formatIds: ['v2'],
+      taskTemplate: template,
+    }).tasks;
+  assert.equal(
+    buildTasks(PAYLOAD)[1].description,
+    'Watch: https://frontendmasters.com/courses/async-js/promises/#t=1200',
+  );
+  assert.equal(
+    writers.buildLessonDeepLink({
+      lessonUrl: 'https://frontendmasters.com/courses/async-js/generators/#x',
+      startSeconds: 3900.7,
+    }),
+    'https://frontendmasters.com/courses/async-js/generators/#t=3900',
+    'the offset replaces any fragment and drops fractions',
+  );
+  assert.equal(buildTasks({ ...PAYLOAD, lessons })[1].description, '');
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+
+const {
+  extractSavedCourse,
+  buildExportFiles,
+} = require('../cli/saved-course.js');
+const { extractMinutes } = require('../content.js');
+const { maskExportedAt, assertExpectedFiles } = require('./helpers.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Extracts a fixture folder: `course.html`, optional `lessons/*.html` and
+ * `fixture.json` with the course URL and export settings.
+ *
+ * @param {string} fixtureDir
+ * @returns {Promise<{extraction: Object, files: {fileName: string, content: string}[]}>}
+ */
+async function runFixture(fixtureDir) {
+  const fixture = JSON.parse(
+    fs.readFileSync(path.join(fixtureDir, 'fixture.json'), 'utf8'),
+  );
+  const lessonsDir = path.join(fixtureDir, 'lessons');
+  const lessonPages = fs.existsSync(lessonsDir)
+    ? fs
+        .readdirSync(lessonsDir)
+        .sort()
+        .map((fileName) => ({
+          fileName,
+          html: fs.readFileSync(path.join(lessonsDir, fileName), 'utf8'),
+        }))
+    : [];
+
+  const extraction = await extractSavedCourse({
+    html: fs.readFileSync(path.join(fixtureDir, 'course.html'), 'utf8'),
+    courseUrl: fixture.courseUrl,
+    lessonPages,
+    selectorProfile: fixture.selectorProfile,
+  });
+  const files = buildExportFiles(extraction, fixture.settings).map((file) => ({
+    ...file,
+    content: maskExportedAt(file.content),
+  }));
+  return { extraction, files };
+}
+
+for (const name of fs.readdirSync(FIXTURES_DIR).sort()) {
+  const fixtureDir = path.join(FIXTURES_DIR, name);
+  const expectedDir = path.join(fixtureDir, 'expected');
+
+  test(`${name} matches its expected exports`, async () => {
+    const { extraction, files } = await runFixture(fixtureDir);
+    const health = JSON.stringify(extraction.health.warnings, null, 2) + '\n';
+    assertExpectedFiles(expectedDir, [
+      ...files,
+      { fileName: 'health.json', content: health },
+    ]);
+  });
+}
+
+test('extractions running at the same time keep their pages apart', async () => {
+  const names = ['deep-export', 'fallback-selectors', 'teachable-curriculum'];
+  const results = await Promise.all(
+    names.map((name) => runFixture(path.join(FIXTURES_DIR, name))),
+  );
+  for (const [index, { extraction, files }] of results.entries()) {
+    const health = JSON.stringify(extraction.health.warnings, null, 2) + '\n';
+    assertExpectedFiles(path.join(FIXTURES_DIR, names[index], 'expected'), [
+      ...files,
+      { fileName: 'health.json', content: health },
+    ]);
+  }
+});
+
+test('durations are only read from text with a unit', () => {
+  assert.equal(extractMinutes('4 hours, 31 minutes'), '271');
+  assert.equal(extractMinutes('45 mins'), '45');
+  assert.equal(extractMinutes('1h 5m 30s'), '66');
+  assert.equal(extractMinutes('Updated 2024'), '');
+  assert.equal(extractMinutes('12 lessons'), '');
+});
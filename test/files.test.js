@@ -0,0 +1,323 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const {
+  loadWriters,
+  buildExportFiles,
+  writeExportFiles,
+} = require('../cli/saved-course.js');
+
+const writers = loadWriters();
+
+const PAYLOAD = {
+  courseData: {
+    courseTitle: 'Testing: Web Apps?',
+    tutors: [{ name: 'Ada Lovelace' }],
+  },
+};
+
+const DATE = new Date(2026, 0, 5);
+
+/**
+ * An in-memory stand-in for a `FileSystemDirectoryHandle`, with just the
+ * calls the directory saver makes.
+ *
+ * @param {Map<string, string>} files Contents by relative path.
+ * @param {string} [prefix]
+ * @returns {Object}
+ */
+function createDirectory(files, prefix = '') {
+  const notFound = () => new DOMException('Not found.', 'NotFoundError');
+  return {
+    async getDirectoryHandle(name, { create } = {}) {
+      const folder = `${prefix}${name}/`;
+      const exists = [...files.keys()].some((key) => key.startsWith(folder));
+      if (!exists && !create) {
+        throw notFound();
+      }
+      return createDirectory(files, folder);
+    },
+    async getFileHandle(name, { create } = {}) {
+      const filePath = prefix + name;
+      if (!files.has(filePath) && !create) {
+        throw notFound();
+      }
+      return {
+        kind: 'file',
+        name,
+        async getFile() {
+          return { text: async () => files.get(filePath) };
+        },
+        async createWritable() {
+          return {
+            async write(content) {
+              files.set(filePath, content);
+            },
+            async close() {},
+          };
+        },
+      };
+    },
+    async *values() {
+      const names = new Set();
+      for (const filePath of files.keys()) {
+        if (filePath.startsWith(prefix)) {
+          names.add(filePath.slice(prefix.length).split('/')[0]);
+        }
+      }
+      for (const name of names) {
+        yield files.has(prefix + name)
+          ? await this.getFileHandle(name)
+          : { kind: 'directory', name };
+      }
+    },
+  };
+}
+
+test('file name templates fill placeholders with safe names', () => {
+  const cases = [
+    ['{slug}', 'web-apps'],
+    ['{date}-{slug}', '2026-01-05-web-apps'],
+    ['{tutor}/{slug}', 'Ada Lovelace/web-apps'],
+    ['{title}', 'Testing- Web Apps-'],
+    [
+      'courses/{tutor}/{date} {title}',
+      'courses/Ada Lovelace/2026-01-05 Testing- Web Apps-',
+    ],
+  ];
+  for (const [template, expected] of cases) {
+    assert.equal(
+      writers.buildCourseFileBase(template, 'web-apps', PAYLOAD, DATE),
+      expected,
+      template,
+    );
+  }
+
+  assert.equal(
+    writers.buildCourseFileBase('{tutor}/{slug}', 'web-apps', {}, DATE),
+    'web-apps',
+    'a missing tutor drops the folder',
+  );
+});
+
+test('file name templates are checked before use', () => {
+  assert.equal(writers.validateFileNameTemplate('{date}-{slug}').length, 0);
+  assert.match(
+    writers.validateFileNameTemplate('{date}').join(' '),
+    /needs \{slug\} or \{title\}/,
+  );
+  assert.match(
+    writers.validateFileNameTemplate('{slug}-{author}').join(' '),
+    /Unknown placeholder \{author\}/,
+  );
+  assert.match(
+    writers.validateFileNameTemplate('../{slug}').join(' '),
+    /cannot leave the folder/,
+  );
+});
+
+test('existing files follow the overwrite policy', async () => {
+  const files = new Map([['Ada/web-apps.md', 'old']]);
+  const root = createDirectory(files);
+  const save = (overwritePolicy, content) =>
+    writers.saveWithDirectoryPicker(root, 'Ada/web-apps.md', content, {
+      ...writers.DEFAULT_FILE_SETTINGS,
+      overwritePolicy,
+    });
+
+  assert.equal(await save('keep-both', 'second'), 'Ada/web-apps (1).md');
+  assert.equal(await save('keep-both', 'third'), 'Ada/web-apps (2).md');
+  assert.equal(files.get('Ada/web-apps.md'), 'old');
+
+  assert.equal(await save('overwrite', 'new'), 'Ada/web-apps.md');
+  assert.equal(files.get('Ada/web-apps.md'), 'new');
+
+  assert.equal(
+    await writers.saveWithDirectoryPicker(root, 'Ada/other.md', 'first', {
+      ...writers.DEFAULT_FILE_SETTINGS,
+      overwritePolicy: 'keep-both',
+    }),
+    'Ada/other.md',
+    'new files keep their name',
+  );
+  assert.equal(files.size, 4);
+
+  assert.equal(
+    await save('keep-existing', 'replaced'),
+    '',
+    'keep-existing skips the file',
+  );
+  assert.equal(files.get('Ada/web-apps.md'), 'new');
+});
+
+/**
+ * A stand-in for `chrome.downloads` that names each download the way
+ * Chrome would after numbering it, reporting the name through `onChanged`.
+ *
+ * @param {(filename: string) => string} pickPath Absolute path Chrome writes to; empty to cancel.
+ * @returns {{downloads: Object, requested: string[]}}
+ */
+function createDownloads(pickPath) {
+  const requested = [];
+  const listeners = new Set();
+  const downloads = {
+    async download({ filename }) {
+      requested.push(filename);
+      const id = requested.length;
+      setImmediate(() => {
+        const current = pickPath(filename);
+        const delta = current
+          ? { id, filename: { current } }
+          : { id, error: { current: 'USER_CANCELED' } };
+        listeners.forEach((listener) => listener(delta));
+      });
+      return id;
+    },
+    async search({ id }) {
+      return [{ id, filename: '', state: 'in_progress' }];
+    },
+    onChanged: {
+      addListener: (listener) => listeners.add(listener),
+      removeListener: (listener) => listeners.delete(listener),
+    },
+  };
+  return { downloads, requested };
+}
+
+test('downloads report the path Chrome wrote to', async () => {
+  const { downloads, requested } = createDownloads((filename) =>
+    filename.endsWith('.json')
+      ? ''
+      : `/home/ada/Downloads/${filename.replace('.md', ' (1).md')}`,
+  );
+  const downloadWriters = loadWriters({
+    Blob,
+    setTimeout,
+    chrome: { downloads },
+  });
+  const save = (fileName, overwritePolicy) =>
+    downloadWriters.saveWithDownload(fileName, 'notes', {
+      ...downloadWriters.DEFAULT_FILE_SETTINGS,
+      downloadsFolder: 'Courses',
+      overwritePolicy,
+    });
+
+  assert.equal(
+    await save('web-apps.md', 'keep-both'),
+    'Courses/web-apps (1).md',
+  );
+  assert.equal(await save('notes.txt', 'keep-existing'), '');
+  assert.equal(await save('tasks.json', 'ask'), '', 'canceled downloads');
+  assert.deepEqual(requested, ['Courses/web-apps.md', 'Courses/tasks.json']);
+});
+
+test('re-exported notes keep edited notes and add new lessons', () => {
+  const { schemaVersion, exportedAt, extractorVersion, ...payload } =
+    JSON.parse(
+      fs.readFileSync(
+        path.join(__dirname, 'fixtures/deep-export/expected/async-js.json'),
+        'utf8',
+      ),
+    );
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'course-notes-'));
+  const exportNotes = (lessons) =>
+    writeExportFiles(
+      outDir,
+      buildExportFiles(
+        { slug: 'async-js', payload: { ...payload, lessons } },
+        { formatIds: ['notes'] },
+      ),
+    );
+
+  try {
+    const [firstLesson] = payload.lessons;
+    exportNotes([firstLesson]);
+    const notePath = path.join(outDir, 'async-js-notes/lessons/callbacks.md');
+    const indexPath = path.join(outDir, 'async-js-notes/index.md');
+    fs.appendFileSync(notePath, 'My own notes.\n');
+    fs.appendFileSync(indexPath, 'Course notes.\n');
+    const edited = fs.readFileSync(notePath, 'utf8');
+    const relative = (filePaths) =>
+      filePaths.map((filePath) => path.relative(outDir, filePath)).sort();
+
+    const { written, updated, kept } = exportNotes(payload.lessons);
+    assert.deepEqual(relative(written), [
+      path.join('async-js-notes', 'lessons', 'promises.md'),
+    ]);
+    assert.deepEqual(relative(updated), [
+      path.join('async-js-notes', 'index.md'),
+      path.join('async-js-notes', 'sections', 'promises.md'),
+    ]);
+    assert.deepEqual(relative(kept), [
+      path.join('async-js-notes', 'lessons', 'callbacks.md'),
+    ]);
+    assert.equal(fs.readFileSync(notePath, 'utf8'), edited);
+
+    const index = fs.readFileSync(indexPath, 'utf8');
+    assert.match(index, /\]\(lessons\/promises\.md\)/);
+    assert.ok(index.endsWith('## Notes\nCourse notes.\n'));
+    assert.equal(exportNotes(payload.lessons).updated.length, 0);
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+});
+
+test('a dated re-export is compared with the latest export of the course', async () => {
+  const fixture = JSON.parse(
+    fs.readFileSync(
+      path.join(
+        __dirname,
+        'fixtures',
+        'deep-export',
+        'expected',
+        'async-js.json',
+      ),
+      'utf8',
+    ),
+  );
+  const { payload } = writers.importCoursePayload(fixture, 'async-js.json');
+  const earlier = (exportedAt, lessons) =>
+    JSON.stringify({ ...fixture, exportedAt, lessons });
+  const files = new Map([
+    ['2026-01-01-async-js.json', earlier('2026-01-01T10:00:00.000Z', [])],
+    [
+      '2026-01-05-async-js.json',
+      earlier('2026-01-05T10:00:00.000Z', fixture.lessons.slice(0, 1)),
+    ],
+    ['2026-01-05-async-js-v2.json', '{"tasks": []}'],
+    [
+      '2026-01-09-other.json',
+      JSON.stringify({
+        ...fixture,
+        exportedAt: '2026-01-09T10:00:00.000Z',
+        courseData: { courseUrl: 'https://frontendmasters.com/courses/other/' },
+      }),
+    ],
+  ]);
+
+  const saved = await writers.saveCourseFiles(
+    createDirectory(files),
+    { slug: 'async-js', payload },
+    {
+      ...writers.DEFAULT_EXPORT_SETTINGS,
+      formatIds: ['json'],
+      fileSettings: {
+        ...writers.DEFAULT_FILE_SETTINGS,
+        fileNameTemplate: '{date}-{slug}',
+      },
+    },
+  );
+
+  assert.deepEqual(
+    [...saved.changes.added].map((lesson) => lesson.title),
+    ['Promises'],
+    'compared with the 2026-01-05 export, not the older or other course',
+  );
+  assert.equal(saved.changes.removed.length, 0);
+  assert.ok(saved.fileNames.some((name) => name.endsWith('-changes.json')));
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+/**
+ * Set `UPDATE_FIXTURES=1` to rewrite the expected files after an intended
+ * change to the extractor, the importer, a writer or the schemas.
+ */
+const UPDATE_FIXTURES = process.env.UPDATE_FIXTURES === '1';
+
+/**
+ * Masks the export time in JSON headers so expected files stay stable.
+ *
+ * @param {string} content
+ * @returns {string}
+ */
+function maskExportedAt(content) {
+  return content.replace(/^( {2}"exportedAt": )"[^"]*"/m, '$1"<exportedAt>"');
+}
+
+/**
+ * Lists the files below a folder as `/`-separated relative paths.
+ *
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function listFiles(dir) {
+  return fs
+    .readdirSync(dir, { recursive: true })
+    .filter((name) => fs.statSync(path.join(dir, name)).isFile())
+    .map((name) => name.split(path.sep).join('/'));
+}
+
+/**
+ * Compares built files with the expected files of a fixture. With
+ * `UPDATE_FIXTURES` set, only expected files whose content differs are
+ * written; files the build no longer writes are reported rather than
+ * deleted, since a folder may also hold files kept by hand.
+ *
+ * @param {string} expectedDir
+ * @param {{fileName: string, content: string}[]} outputs
+ * @returns {void}
+ */
+function assertExpectedFiles(expectedDir, outputs) {
+  if (UPDATE_FIXTURES) {
+    for (const file of outputs) {
+      const filePath = path.join(expectedDir, file.fileName);
+      if (
+        fs.existsSync(filePath) &&
+        fs.readFileSync(filePath, 'utf8') === file.content
+      ) {
+        continue;
+      }
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, file.content);
+    }
+  }
+
+  const outputNames = outputs.map((file) => file.fileName);
+  const expectedNames = fs.existsSync(expectedDir)
+    ? listFiles(expectedDir)
+    : [];
+  assert.deepEqual(
+    expectedNames.filter((name) => !outputNames.includes(name)),
+    [],
+    `${expectedDir} has files that are no longer built; delete them if they are stale`,
+  );
+  for (const file of outputs) {
+    const filePath = path.join(expectedDir, file.fileName);
+    assert.ok(fs.existsSync(filePath), `${file.fileName} is not expected`);
+    assert.equal(
+      file.content,
+      fs.readFileSync(filePath, 'utf8'),
+      file.fileName,
+    );
+  }
+}
+
+module.exports = { maskExportedAt, assertExpectedFiles };
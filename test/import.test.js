@@ -0,0 +1,93 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+
+const { importSavedJson, buildExportFiles } = require('../cli/saved-course.js');
+const { maskExportedAt, assertExpectedFiles } = require('./helpers.js');
+
+const IMPORTS_DIR = path.join(__dirname, 'imports');
+
+const SETTINGS = { formatIds: ['json', 'v2', 'markdown', 'csv'] };
+
+for (const name of fs.readdirSync(IMPORTS_DIR).sort()) {
+  const importDir = path.join(IMPORTS_DIR, name);
+  const expectedDir = path.join(importDir, 'expected');
+
+  test(`${name} converts to its expected exports`, () => {
+    const imported = importSavedJson(
+      fs.readFileSync(path.join(importDir, 'course.json'), 'utf8'),
+      'course.json',
+    );
+    const migrations = JSON.stringify(imported.migrations, null, 2) + '\n';
+    assertExpectedFiles(expectedDir, [
+      ...buildExportFiles(imported, SETTINGS).map((file) => ({
+        ...file,
+        content: maskExportedAt(file.content),
+      })),
+      { fileName: 'migrations.json', content: migrations },
+    ]);
+  });
+}
+
+test('a current export converts back to the same course JSON', () => {
+  const text = fs.readFileSync(
+    path.join(IMPORTS_DIR, 'current-shape', 'course.json'),
+    'utf8',
+  );
+  const imported = importSavedJson(text, 'course.json');
+
+  assert.equal(imported.migrations.length, 0);
+  assert.equal(
+    maskExportedAt(
+      buildExportFiles(imported, { formatIds: ['json'] })[0].content,
+    ),
+    maskExportedAt(text),
+  );
+});
+
+test('numeric durations are imported as whole minutes', () => {
+  const text = fs.readFileSync(
+    path.join(IMPORTS_DIR, 'current-shape', 'course.json'),
+    'utf8',
+  );
+  const course = JSON.parse(text);
+  course.courseData.totalDuration = 90;
+  course.lessons[0].duration = 12.4;
+  course.lessons[0].sectionDuration = 45;
+  const imported = importSavedJson(JSON.stringify(course), 'course.json');
+
+  assert.equal(imported.payload.courseData.totalDuration, '90');
+  assert.equal(imported.payload.lessons[0].duration, '12');
+  assert.equal(imported.payload.lessons[0].sectionDuration, '45');
+  assert.deepEqual(
+    [...imported.migrations],
+    [
+      'Converted numeric lesson durations to whole minutes.',
+      'Converted the numeric totalDuration to whole minutes.',
+    ],
+  );
+  assert.doesNotThrow(() =>
+    buildExportFiles(imported, { formatIds: ['json', 'v2'] }),
+  );
+
+  course.lessons[0].duration = '12 min';
+  assert.throws(
+    () => importSavedJson(JSON.stringify(course), 'course.json'),
+    /lessons\[0\]\.duration is not a number of minutes\./,
+  );
+});
+
+test('files that are not course exports are rejected', () => {
+  assert.throws(
+    () => importSavedJson('{"tasks": []}', 'course-v2.json'),
+    /v2 task file/,
+  );
+  assert.throws(
+    () => importSavedJson('{"courseData": {}, "lessons": [{}]}', 'x.json'),
+    /courseData\.courseTitle is missing\. lessons\[0\]\.title is missing\./,
+  );
+  assert.throws(() => importSavedJson('[]', 'x.json'), /JSON object/);
+});
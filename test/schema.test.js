@@ -0,0 +1,87 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+
+const { loadWriters } = require('../cli/saved-course.js');
+const { assertExpectedFiles } = require('./helpers.js');
+
+const SCHEMAS_DIR = path.join(__dirname, '..', 'schemas');
+
+const writers = loadWriters();
+
+test('the published schemas match schema.js', () => {
+  assertExpectedFiles(
+    SCHEMAS_DIR,
+    [
+      ['course.schema.json', writers.COURSE_PAYLOAD_SCHEMA],
+      ['v2.schema.json', writers.V2_PAYLOAD_SCHEMA],
+    ].map(([fileName, schema]) => ({
+      fileName,
+      content: JSON.stringify(schema, null, 2) + '\n',
+    })),
+  );
+});
+
+/**
+ * Returns the message `assertValidExportPayload` throws, or an empty string.
+ *
+ * @param {unknown} payload
+ * @returns {string}
+ */
+function getValidationError(payload) {
+  try {
+    writers.assertValidExportPayload('course.json', payload);
+    return '';
+  } catch (error) {
+    return error.message;
+  }
+}
+
+test('a course payload without a header is rejected', () => {
+  assert.equal(
+    getValidationError({ courseData: {}, lessons: [] }),
+    'course.json does not match the Course JSON schema v1: schemaVersion is missing. ' +
+      'exportedAt is missing. extractorVersion is missing. courseData.courseTitle is missing. ' +
+      'courseData.courseDescription is missing. (7 more)',
+  );
+});
+
+test('problems name the field path', () => {
+  const payload = JSON.parse(
+    fs.readFileSync(
+      path.join(__dirname, 'imports', 'current-shape', 'course.json'),
+      'utf8',
+    ),
+  );
+  assert.equal(getValidationError(payload), '');
+
+  payload.lessons[1].duration = 45;
+  payload.lessons[0].progress.status = 'done';
+  payload.schemaVersion = 2;
+  assert.equal(
+    getValidationError(payload),
+    'course.json does not match the Course JSON schema v1: schemaVersion must be 1. ' +
+      'lessons[0].progress.status must be one of "not-started", "in-progress", "completed". ' +
+      'lessons[1].duration must be string, not integer.',
+  );
+});
+
+test('v2 tasks only carry the documented fields', () => {
+  assert.match(
+    getValidationError({
+      schemaVersion: 1,
+      exportedAt: '2026-10-18T09:30:00.000Z',
+      extractorVersion: '1.0.0',
+      tasks: [{ id: 'a', content: 'A', description: '', priority: 4 }],
+    }),
+    /tasks\[0\]\.priority is not allowed\.$/,
+  );
+});
+
+test('index and text files are not checked', () => {
+  assert.equal(getValidationError({ listingType: 'catalog' }), '');
+  assert.equal(getValidationError('# Markdown'), '');
+});
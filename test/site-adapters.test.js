@@ -0,0 +1,116 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+
+const { SITE_ADAPTERS, findSiteAdapter } = require('../site-adapters.js');
+
+const manifest = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'),
+);
+
+test('manifest content scripts match every adapter page', () => {
+  const [contentScript] = manifest.content_scripts;
+  assert.deepEqual(
+    [...contentScript.matches].sort(),
+    SITE_ADAPTERS.flatMap((adapter) => [
+      ...adapter.courseMatchPatterns,
+      ...adapter.courseListMatchPatterns,
+    ]).sort(),
+  );
+  assert.deepEqual(contentScript.js, [
+    'selector-profile.js',
+    'site-adapters.js',
+    'durations.js',
+    'keys.js',
+    'content.js',
+  ]);
+});
+
+test('manifest host permissions cover every adapter page', () => {
+  for (const adapter of SITE_ADAPTERS) {
+    for (const pattern of [
+      ...adapter.courseMatchPatterns,
+      ...adapter.courseListMatchPatterns,
+    ]) {
+      const origin = pattern.match(/^[^:]+:\/\/[^/]+/)[0];
+      assert.ok(
+        manifest.host_permissions.includes(`${origin}/*`),
+        `${adapter.id}: ${origin}/* is missing from host_permissions`,
+      );
+    }
+  }
+});
+
+test('every adapter reads the same selector profile fields', () => {
+  const [first, ...others] = SITE_ADAPTERS;
+  const fields = Object.keys(first.selectorProfile).sort();
+  for (const adapter of others) {
+    assert.deepEqual(
+      Object.keys(adapter.selectorProfile).sort(),
+      fields,
+      adapter.id,
+    );
+  }
+});
+
+test('course, lesson and listing URLs pick their adapter and slugs', () => {
+  const cases = [
+    {
+      url: 'https://frontendmasters.com/courses/web-fundamentals/',
+      adapter: 'frontendmasters',
+      course: 'web-fundamentals',
+      lesson: '',
+    },
+    {
+      url: 'https://frontendmasters.com/courses/web-fundamentals/introduction/',
+      adapter: 'frontendmasters',
+      course: 'web-fundamentals',
+      lesson: 'introduction',
+    },
+    {
+      url: 'https://frontendmasters.com/learn/javascript/',
+      adapter: 'frontendmasters',
+      listing: 'learning-path',
+    },
+    {
+      url: 'https://school.teachable.com/courses/enrolled/1234567',
+      adapter: 'teachable',
+      course: '1234567',
+      lesson: '',
+    },
+    {
+      url: 'https://school.teachable.com/courses/1234567/lectures/9000001',
+      adapter: 'teachable',
+      course: '1234567',
+      lesson: '9000001',
+    },
+    {
+      url: 'https://school.teachable.com/p/testing-web-apps',
+      adapter: 'teachable',
+      course: 'testing-web-apps',
+      lesson: '',
+    },
+    {
+      url: 'https://school.teachable.com/courses',
+      adapter: 'teachable',
+      listing: 'catalog',
+    },
+  ];
+
+  for (const item of cases) {
+    const adapter = findSiteAdapter(item.url);
+    assert.equal(adapter?.id, item.adapter, item.url);
+    const { pathname } = new URL(item.url);
+    if (item.listing) {
+      assert.equal(adapter.getCourseListing(pathname)?.type, item.listing);
+      continue;
+    }
+    assert.equal(adapter.getCourseSlug(pathname), item.course, item.url);
+    assert.equal(adapter.getLessonSlug(pathname), item.lesson, item.url);
+  }
+
+  assert.equal(findSiteAdapter('https://example.com/courses/x/'), null);
+});
@@ -0,0 +1,164 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const { setTimeout: delay } = require('node:timers/promises');
+const vm = require('node:vm');
+
+/**
+ * Runs storage.js against an in-memory `chrome.storage.local`, the way the
+ * library page loads it as a classic script.
+ *
+ * @returns {{storage: Object, store: Object}}
+ */
+function loadStorage() {
+  const store = {};
+  const context = vm.createContext({
+    URL,
+    chrome: {
+      storage: {
+        local: {
+          async get(key) {
+            return key in store ? { [key]: structuredClone(store[key]) } : {};
+          },
+          async set(items) {
+            Object.assign(store, structuredClone(items));
+          },
+          async remove(keys) {
+            for (const key of [].concat(keys)) {
+              delete store[key];
+            }
+          },
+        },
+      },
+    },
+  });
+  vm.runInContext(
+    fs.readFileSync(path.join(__dirname, '..', 'storage.js'), 'utf8'),
+    context,
+  );
+  return {
+    storage: vm.runInContext(
+      `({
+        loadExportLibrary,
+        loadLibraryPayload,
+        saveLibraryEntry,
+        deleteLibraryEntry,
+        LIBRARY_EXPORTS_PER_COURSE,
+      })`,
+      context,
+    ),
+    store,
+  };
+}
+
+/**
+ * Builds an extraction of a course page.
+ *
+ * @param {string} courseUrl
+ * @param {string} courseTitle
+ * @returns {Object}
+ */
+function createExtraction(courseUrl, courseTitle) {
+  return {
+    slug: 'web-apps',
+    payload: { courseData: { courseTitle, courseUrl }, lessons: [] },
+  };
+}
+
+test('every export of a course stays in the library', async () => {
+  const { storage } = loadStorage();
+  const first = await storage.saveLibraryEntry(
+    createExtraction('https://frontendmasters.com/courses/web-apps/', 'First'),
+  );
+  await delay(5);
+  const second = await storage.saveLibraryEntry(
+    createExtraction('https://frontendmasters.com/courses/web-apps/', 'Second'),
+  );
+  await delay(5);
+  await storage.saveLibraryEntry(
+    createExtraction('https://school.teachable.com/p/web-apps', 'Teachable'),
+  );
+
+  const entries = [...(await storage.loadExportLibrary())];
+  assert.equal(entries[0].payload, undefined, 'course data is stored apart');
+  assert.equal(
+    (await storage.loadLibraryPayload(entries[0])).courseData.courseTitle,
+    'Teachable',
+  );
+  assert.deepEqual(
+    entries.map((entry) => [entry.site, entry.title]),
+    [
+      ['school.teachable.com', 'Teachable'],
+      ['frontendmasters.com', 'Second'],
+      ['frontendmasters.com', 'First'],
+    ],
+  );
+  assert.notEqual(first.id, second.id);
+
+  await storage.deleteLibraryEntry(first.id);
+  assert.deepEqual(
+    [...(await storage.loadExportLibrary())].map((entry) => entry.title),
+    ['Teachable', 'Second'],
+  );
+  assert.equal(await storage.loadLibraryPayload(first), null);
+});
+
+test('only the latest exports of a course are kept', async () => {
+  const { storage, store } = loadStorage();
+  const courseUrl = 'https://frontendmasters.com/courses/web-apps/';
+  const saved = [];
+  for (let index = 0; index <= storage.LIBRARY_EXPORTS_PER_COURSE; index += 1) {
+    saved.push(
+      await storage.saveLibraryEntry(
+        createExtraction(courseUrl, `Export ${index}`),
+      ),
+    );
+    await delay(5);
+  }
+
+  const entries = [...(await storage.loadExportLibrary())];
+  assert.equal(entries.length, storage.LIBRARY_EXPORTS_PER_COURSE);
+  assert.ok(entries.every((entry) => entry.id !== saved[0].id));
+  assert.equal(
+    Object.keys(store).filter((key) => key.startsWith('exportLibraryPayload:'))
+      .length,
+    storage.LIBRARY_EXPORTS_PER_COURSE,
+    'the dropped export takes its course data along',
+  );
+});
+
+test('entries stored by slug alone keep loading', async () => {
+  const { storage, store } = loadStorage();
+  store.exportLibrary = {
+    'web-apps': {
+      slug: 'web-apps',
+      title: 'Web Apps',
+      exportedAt: '2025-01-01T00:00:00.000Z',
+      payload: { courseData: { courseTitle: 'Web Apps' }, lessons: [] },
+    },
+  };
+  const [entry] = await storage.loadExportLibrary();
+  assert.equal(entry.id, 'web-apps');
+  assert.equal(entry.site, '');
+  assert.equal(
+    (await storage.loadLibraryPayload(entry)).courseData.courseTitle,
+    'Web Apps',
+  );
+
+  await storage.saveLibraryEntry(
+    createExtraction('https://example.com/courses/other/', 'Other'),
+  );
+  assert.equal(store.exportLibrary['web-apps'].payload, undefined);
+  assert.equal(
+    store['exportLibraryPayload:web-apps'].courseData.courseTitle,
+    'Web Apps',
+    'the next save moves inline course data to its own key',
+  );
+
+  await storage.deleteLibraryEntry(entry.id);
+  assert.equal((await storage.loadExportLibrary()).length, 1);
+  assert.equal(store['exportLibraryPayload:web-apps'], undefined);
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { loadWriters } = require('../cli/saved-course.js');
+
+const writers = loadWriters();
+
+const ICS_FORMAT = writers.EXPORT_FORMATS.find((format) => format.id === 'ics');
+
+const PAYLOAD = {
+  courseData: {
+    courseTitle: 'Async JavaScript',
+    courseUrl: 'https://example.teachable.com/p/async-js;ref=a,b',
+  },
+  lessons: [
+    { id: 'callbacks', title: 'Callbacks', duration: '30', sectionId: 'a' },
+    { id: 'promises', title: 'Promises', duration: '30', sectionId: 'b' },
+  ],
+};
+
+/**
+ * Builds the study plan calendar of the test course.
+ *
+ * @param {Object} studyPlan
+ * @returns {string}
+ */
+function buildIcs(studyPlan) {
+  return String(
+    ICS_FORMAT.build(PAYLOAD, {
+      formatIds: ['ics'],
+      studyPlan: {
+        ...writers.DEFAULT_EXPORT_SETTINGS.studyPlan,
+        startDate: '2026-01-05',
+        ...studyPlan,
+      },
+    }),
+  );
+}
+
+test('the course URL is written without text escaping', () => {
+  assert.match(
+    buildIcs({}),
+    /\r\nURL:https:\/\/example\.teachable\.com\/p\/async-js;ref=a,b\r\n/,
+  );
+});
+
+test('a weekly budget is split across distinct study days', () => {
+  const ics = buildIcs({
+    budgetMinutes: 120,
+    budgetPeriod: 'week',
+    studyDays: [1, 1, 3],
+  });
+  assert.equal(ics.match(/BEGIN:VEVENT/g).length, 1);
+  assert.match(ics, /DTSTART:20260105T190000\r\nDTEND:20260105T200000/);
+});
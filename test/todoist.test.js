@@ -0,0 +1,252 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const SETTINGS = {
+  apiToken: 'token',
+  baseUrl: 'https://todoist.test/api/v1',
+  createSections: true,
+};
+
+/**
+ * A stand-in for the Todoist API v1: one project with the sections and
+ * tasks given, answering the calls the push makes and logging them. Tasks
+ * with `checked` are closed, so the task list leaves them out.
+ *
+ * @param {{sections: Object[], tasks: Object[]}} data
+ * @returns {{fetch: Function, requests: string[]}}
+ */
+function createTodoistServer(data) {
+  const requests = [];
+  const respond = (status, body) => ({
+    ok: status < 400,
+    status,
+    async text() {
+      return body === undefined ? '' : JSON.stringify(body);
+    },
+  });
+
+  async function fetch(url, { method, body }) {
+    const { pathname } = new URL(url);
+    const route = pathname.replace('/api/v1', '');
+    requests.push(`${method} ${route}`);
+    const fields = body ? JSON.parse(body) : {};
+
+    if (route === '/projects/project-1') {
+      return respond(200, { id: 'project-1', name: 'Async JavaScript' });
+    }
+    if (route === '/sections') {
+      return respond(200, { results: data.sections, next_cursor: null });
+    }
+    if (route === '/tasks' && method === 'GET') {
+      return respond(200, {
+        results: data.tasks.filter((item) => !item.checked),
+        next_cursor: null,
+      });
+    }
+    if (route === '/tasks' && method === 'POST') {
+      const createdTask = { id: `task-${data.tasks.length + 1}`, ...fields };
+      data.tasks.push(createdTask);
+      return respond(200, createdTask);
+    }
+    const task = data.tasks.find((item) =>
+      route.startsWith(`/tasks/${item.id}`),
+    );
+    if (!task) {
+      return respond(404);
+    }
+    if (route.endsWith('/move')) {
+      task.section_id = fields.section_id;
+      return respond(204);
+    }
+    if (route.endsWith('/close')) {
+      task.checked = true;
+      return respond(204);
+    }
+    if (method === 'GET') {
+      return respond(200, task);
+    }
+    Object.assign(task, fields);
+    return respond(200, task);
+  }
+
+  return { fetch, requests };
+}
+
+/**
+ * Runs storage.js and todoist.js with a stubbed `fetch` and an in-memory
+ * `chrome.storage.local` holding the sync state of earlier pushes.
+ *
+ * @param {Function} fetch
+ * @param {Object} syncState
+ * @returns {Object}
+ */
+function loadTodoist(fetch, syncState) {
+  const store = {
+    todoistSync: { [`${SETTINGS.baseUrl}|async-js`]: syncState },
+  };
+  const context = vm.createContext({
+    fetch,
+    URL,
+    chrome: {
+      storage: {
+        local: {
+          async get(key) {
+            return key in store ? { [key]: structuredClone(store[key]) } : {};
+          },
+          async set(items) {
+            Object.assign(store, structuredClone(items));
+          },
+        },
+      },
+    },
+  });
+  for (const fileName of ['storage.js', 'todoist.js']) {
+    vm.runInContext(
+      fs.readFileSync(path.join(__dirname, '..', fileName), 'utf8'),
+      context,
+    );
+  }
+  return vm.runInContext('({ pushCourseToTodoist })', context);
+}
+
+const EXTRACTION = {
+  slug: 'async-js',
+  payload: {
+    courseData: { courseTitle: 'Async JavaScript' },
+    lessons: [
+      { id: 'callbacks', sectionId: 'basics', sectionTitle: 'Basics' },
+      { id: 'promises', sectionId: 'advanced', sectionTitle: 'Advanced' },
+    ],
+  },
+};
+
+const TASKS = [
+  { id: 'callbacks', content: '1. Callbacks', description: '', checked: true },
+  { id: 'promises', content: '2. Promises', description: '' },
+];
+
+test('pushes move tasks to their lesson section and skip closed tasks', async () => {
+  const server = createTodoistServer({
+    sections: [
+      { id: 'section-basics', name: 'Basics' },
+      { id: 'section-advanced', name: 'Advanced' },
+    ],
+    tasks: [
+      { id: 'task-1', content: '1. Callbacks', section_id: 'section-basics' },
+      { id: 'task-2', content: '2. Promises', section_id: 'section-basics' },
+    ],
+  });
+  const { pushCourseToTodoist } = loadTodoist(server.fetch, {
+    projectId: 'project-1',
+    sections: { basics: 'section-basics', advanced: 'section-advanced' },
+    tasks: { callbacks: 'task-1', promises: 'task-2' },
+    closed: { callbacks: true },
+  });
+
+  const result = await pushCourseToTodoist(SETTINGS, EXTRACTION, TASKS);
+
+  assert.equal(result.updated, 1);
+  assert.equal(result.skipped, 1);
+  assert.ok(server.requests.includes('POST /tasks/task-2/move'));
+  assert.ok(
+    server.requests.every((request) => !request.includes('task-1')),
+    'the closed task is not touched',
+  );
+});
+
+test('a closed task is closed once', async () => {
+  const server = createTodoistServer({
+    sections: [{ id: 'section-basics', name: 'Basics' }],
+    tasks: [
+      { id: 'task-1', content: '1. Callbacks', section_id: 'section-basics' },
+    ],
+  });
+  const { pushCourseToTodoist } = loadTodoist(server.fetch, {
+    projectId: 'project-1',
+    sections: { basics: 'section-basics' },
+    tasks: { callbacks: 'task-1' },
+  });
+  const extraction = {
+    ...EXTRACTION,
+    payload: {
+      ...EXTRACTION.payload,
+      lessons: [EXTRACTION.payload.lessons[0]],
+    },
+  };
+
+  await pushCourseToTodoist(SETTINGS, extraction, [TASKS[0]]);
+  await pushCourseToTodoist(SETTINGS, extraction, [TASKS[0]]);
+
+  assert.equal(
+    server.requests.filter((request) => request.endsWith('/close')).length,
+    1,
+  );
+  assert.ok(
+    server.requests.every((request) => !request.endsWith('/move')),
+    'a task already in its section stays',
+  );
+});
+
+test('a task closed in Todoist is neither updated nor created again', async () => {
+  const server = createTodoistServer({
+    sections: [{ id: 'section-basics', name: 'Basics' }],
+    tasks: [
+      {
+        id: 'task-1',
+        content: '1. Callbacks',
+        section_id: 'section-basics',
+        checked: true,
+      },
+    ],
+  });
+  const { pushCourseToTodoist } = loadTodoist(server.fetch, {
+    projectId: 'project-1',
+    sections: { basics: 'section-basics' },
+    tasks: { callbacks: 'task-1' },
+  });
+  const extraction = {
+    ...EXTRACTION,
+    payload: {
+      ...EXTRACTION.payload,
+      lessons: [EXTRACTION.payload.lessons[0]],
+    },
+  };
+  const task = { ...TASKS[0], content: 'Callbacks', checked: false };
+
+  const first = await pushCourseToTodoist(SETTINGS, extraction, [task]);
+  const second = await pushCourseToTodoist(SETTINGS, extraction, [task]);
+
+  assert.deepEqual([first.created, first.updated, first.skipped], [0, 0, 1]);
+  assert.equal(second.skipped, 1);
+  assert.deepEqual(
+    server.requests.filter((request) => request.includes('task-1')),
+    ['GET /tasks/task-1'],
+    'the closed task is looked up once and then remembered',
+  );
+});
+
+test('a deleted task is created again', async () => {
+  const server = createTodoistServer({ sections: [], tasks: [] });
+  const { pushCourseToTodoist } = loadTodoist(server.fetch, {
+    projectId: 'project-1',
+    sections: {},
+    tasks: { callbacks: 'task-9' },
+  });
+
+  const result = await pushCourseToTodoist(
+    { ...SETTINGS, createSections: false },
+    EXTRACTION,
+    [{ ...TASKS[0], checked: false }],
+  );
+
+  assert.equal(result.created, 1);
+  assert.deepEqual(server.requests.slice(-2), [
+    'GET /tasks/task-9',
+    'POST /tasks',
+  ]);
+});
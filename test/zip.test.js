@@ -0,0 +1,111 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const zlib = require('node:zlib');
+
+const { loadWriters } = require('../cli/saved-course.js');
+
+const writers = loadWriters();
+
+/**
+ * Reads the stored entries of a ZIP archive through its central directory.
+ *
+ * @param {Uint8Array} archive
+ * @returns {{name: string, content: string, crc: number}[]}
+ */
+function readZipEntries(archive) {
+  const buffer = Buffer.from(archive);
+  const endOffset = buffer.length - 22;
+  assert.equal(buffer.readUInt32LE(endOffset), 0x06054b50);
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+
+  const entries = [];
+  for (let index = 0; index < entryCount; index += 1) {
+    assert.equal(buffer.readUInt32LE(offset), 0x02014b50);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    entries.push({
+      name,
+      content: buffer.toString('utf8', dataStart, dataStart + size),
+      crc,
+    });
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+test('bundles hold a manifest and every file with valid checksums', () => {
+  const bundle = writers.createExportBundle();
+  const source = {
+    sourceUrl: 'https://frontendmasters.com/courses/web-apps/',
+    extractedAt: '2026-01-05T10:00:00.000Z',
+  };
+  writers.addBundleFile(bundle, {
+    path: 'Ada Lovelace/web-apps.json',
+    content: { schemaVersion: 1, courseData: {}, lessons: [] },
+    format: 'json',
+    ...source,
+  });
+  writers.addBundleFile(bundle, {
+    path: 'Ada Lovelace/web-apps.md',
+    content: '# Web Apps — Übersicht\n',
+    format: 'markdown',
+    ...source,
+  });
+
+  const entries = readZipEntries(
+    writers.buildBundleArchive(bundle, new Date(2026, 0, 5, 11, 30)),
+  );
+  assert.deepEqual(
+    entries.map((entry) => entry.name),
+    ['manifest.json', 'Ada Lovelace/web-apps.json', 'Ada Lovelace/web-apps.md'],
+  );
+  for (const entry of entries) {
+    assert.equal(entry.crc, zlib.crc32(entry.content), entry.name);
+  }
+  assert.equal(entries[2].content, '# Web Apps — Übersicht\n');
+
+  const manifest = JSON.parse(entries[0].content);
+  assert.equal(manifest.fileCount, 2);
+  assert.deepEqual(manifest.files[0], {
+    path: 'Ada Lovelace/web-apps.json',
+    format: 'json',
+    schemaVersion: 1,
+    bytes: Buffer.byteLength(entries[1].content),
+    ...source,
+  });
+  assert.equal(manifest.files[1].schemaVersion, null);
+  assert.equal(
+    manifest.files[1].bytes,
+    Buffer.byteLength('# Web Apps — Übersicht\n'),
+  );
+});
+
+test('paths already in a bundle are numbered', () => {
+  const bundle = writers.createExportBundle();
+  const file = {
+    content: '',
+    format: 'markdown',
+    sourceUrl: '',
+    extractedAt: '',
+  };
+  assert.equal(
+    writers.addBundleFile(bundle, { ...file, path: 'web-apps.md' }),
+    'web-apps.md',
+  );
+  assert.equal(
+    writers.addBundleFile(bundle, { ...file, path: 'web-apps.md' }),
+    'web-apps (1).md',
+  );
+  assert.equal(
+    writers.addBundleFile(bundle, { ...file, path: 'manifest.json' }),
+    'manifest (1).json',
+  );
+});
@@ -0,0 +1,338 @@
+'use strict';
+
+/**
+ * @typedef {Object} TodoistSettings
+ * @property {string} apiToken
+ * @property {string} baseUrl API root, e.g. `https://api.todoist.com/api/v1`.
+ * @property {boolean} createSections Create one Todoist section per course section.
+ */
+
+/**
+ * IDs created by earlier pushes of one course, so later pushes update them.
+ *
+ * @typedef {Object} TodoistSyncState
+ * @property {string} [projectId]
+ * @property {Record<string, string>} sections Todoist section ID by course `sectionId`.
+ * @property {Record<string, string>} tasks Todoist task ID by lesson `id`.
+ * @property {Record<string, boolean>} closed Lesson `id`s whose task is closed, by a push or in Todoist.
+ */
+
+/**
+ * @typedef {Object} TodoistPushResult
+ * @property {string} projectId
+ * @property {number} created
+ * @property {number} updated
+ * @property {number} skipped Tasks left alone because they are closed.
+ */
+
+const DEFAULT_TODOIST_SETTINGS = {
+  apiToken: '',
+  baseUrl: 'https://api.todoist.com/api/v1',
+  createSections: false,
+};
+
+/**
+ * Default API root of earlier versions. REST v2 cannot move a task to
+ * another section, so settings still pointing at it are moved to API v1.
+ */
+const LEGACY_TODOIST_BASE_URL = 'https://api.todoist.com/rest/v2';
+
+/**
+ * Returns the host permission pattern needed to call the API.
+ *
+ * @param {string} baseUrl
+ * @throws {Error}
+ * @returns {string}
+ */
+function getTodoistOriginPattern(baseUrl) {
+  try {
+    return `${new URL(baseUrl).origin}/*`;
+  } catch (_error) {
+    throw new Error(`Todoist API URL is not valid: ${baseUrl}`);
+  }
+}
+
+/**
+ * Sends one REST request and parses the JSON response.
+ *
+ * @param {TodoistSettings} settings
+ * @param {'GET' | 'POST'} method
+ * @param {string} path
+ * @param {unknown} [body]
+ * @param {{allowNotFound?: boolean}} [options]
+ * @throws {Error}
+ * @returns {Promise<any>} `null` for 404 responses when `allowNotFound` is set.
+ */
+async function todoistRequest(settings, method, path, body, options = {}) {
+  const url = `${settings.baseUrl.replace(/\/+$/, '')}${path}`;
+  const response = await fetch(url, {
+    method,
+    headers: {
+      Authorization: `Bearer ${settings.apiToken}`,
+      ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  if (response.status === 404 && options.allowNotFound) {
+    return null;
+  }
+
+  if (!response.ok) {
+    const detail = (await response.text()).trim();
+    throw new Error(
+      `Todoist request failed (${method} ${path}): ${response.status}${
+        detail ? ` ${detail}` : ''
+      }`,
+    );
+  }
+
+  const text = await response.text();
+  return text ? JSON.parse(text) : {};
+}
+
+/**
+ * Reads every page of a list endpoint. API v1 answers with `results` and a
+ * `next_cursor`; a plain array is read as the only page.
+ *
+ * @param {TodoistSettings} settings
+ * @param {string} path
+ * @returns {Promise<any[]>}
+ */
+async function todoistList(settings, path) {
+  const items = [];
+  let cursor = '';
+  do {
+    const separator = path.includes('?') ? '&' : '?';
+    const page = await todoistRequest(
+      settings,
+      'GET',
+      cursor ? `${path}${separator}cursor=${encodeURIComponent(cursor)}` : path,
+    );
+    if (Array.isArray(page)) {
+      return page;
+    }
+    items.push(...(page?.results || []));
+    cursor = page?.next_cursor || '';
+  } while (cursor);
+  return items;
+}
+
+/**
+ * Finds or creates the project named after the course.
+ *
+ * @param {TodoistSettings} settings
+ * @param {TodoistSyncState} state
+ * @param {string} name
+ * @returns {Promise<string>}
+ */
+async function ensureTodoistProject(settings, state, name) {
+  if (state.projectId) {
+    const project = await todoistRequest(
+      settings,
+      'GET',
+      `/projects/${state.projectId}`,
+      undefined,
+      { allowNotFound: true },
+    );
+    if (project) {
+      if (project.name !== name) {
+        await todoistRequest(settings, 'POST', `/projects/${project.id}`, {
+          name,
+        });
+      }
+      return String(project.id);
+    }
+  }
+
+  const projects = await todoistList(settings, '/projects');
+  const existing = projects.find((project) => project.name === name);
+  if (existing) {
+    return String(existing.id);
+  }
+
+  const created = await todoistRequest(settings, 'POST', '/projects', {
+    name,
+  });
+  return String(created.id);
+}
+
+/**
+ * Finds or creates one Todoist section per course section.
+ *
+ * @param {TodoistSettings} settings
+ * @param {TodoistSyncState} state
+ * @param {string} projectId
+ * @param {LessonData[]} lessons
+ * @returns {Promise<Record<string, string>>}
+ */
+async function ensureTodoistSections(settings, state, projectId, lessons) {
+  const existing = await todoistList(
+    settings,
+    `/sections?project_id=${encodeURIComponent(projectId)}`,
+  );
+  const existingIds = new Set(existing.map((section) => String(section.id)));
+  /** @type {Record<string, string>} */
+  const sectionIds = {};
+
+  for (const lesson of lessons) {
+    const key = String(lesson.sectionId ?? '');
+    if (key in sectionIds) {
+      continue;
+    }
+
+    const name = lesson.sectionTitle || 'Lessons';
+    const storedId = state.sections[key];
+    if (storedId && existingIds.has(storedId)) {
+      sectionIds[key] = storedId;
+      continue;
+    }
+
+    const byName = existing.find((section) => section.name === name);
+    if (byName) {
+      sectionIds[key] = String(byName.id);
+      continue;
+    }
+
+    const created = await todoistRequest(settings, 'POST', '/sections', {
+      project_id: projectId,
+      name,
+    });
+    sectionIds[key] = String(created.id);
+  }
+
+  return sectionIds;
+}
+
+/**
+ * Creates the course project, its sections and one task per lesson. Tasks
+ * pushed before are updated in place instead of being created again: each
+ * stored task is looked up by its ID, and only lessons without a stored
+ * task, or whose task was deleted, are matched to an active task by
+ * content or created. An updated task in another section than its lesson
+ * is moved. Tasks that are closed, by a push or in Todoist, are skipped and
+ * never created again.
+ *
+ * @param {TodoistSettings} settings
+ * @param {ExtractCourseDataResult} extraction
+ * @param {{id: string, content: string, description: string, checked?: boolean}[]} tasks v2 tasks; checked tasks are closed.
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {Promise<TodoistPushResult>}
+ */
+async function pushCourseToTodoist(settings, extraction, tasks, onProgress) {
+  if (!settings.apiToken) {
+    throw new Error('Todoist API token is missing. Set it in Options.');
+  }
+
+  const { slug, payload } = extraction;
+  const lessons = payload.lessons || [];
+  const lessonsById = new Map(
+    lessons.map((lesson) => [String(lesson.id ?? ''), lesson]),
+  );
+  const syncKey = `${settings.baseUrl}|${slug}`;
+  const state = await loadTodoistSyncState(syncKey);
+
+  const projectId = await ensureTodoistProject(
+    settings,
+    state,
+    payload.courseData?.courseTitle || slug,
+  );
+  if (projectId !== state.projectId) {
+    state.projectId = projectId;
+    state.sections = {};
+    state.tasks = {};
+    state.closed = {};
+  }
+
+  const sectionIds = settings.createSections
+    ? await ensureTodoistSections(settings, state, projectId, lessons)
+    : {};
+  state.sections = sectionIds;
+
+  const activeTasks = await todoistList(
+    settings,
+    `/tasks?project_id=${encodeURIComponent(projectId)}`,
+  );
+  const claimedTaskIds = new Set(Object.values(state.tasks));
+  let created = 0;
+  let updated = 0;
+  let skipped = 0;
+
+  try {
+    for (const [index, task] of tasks.entries()) {
+      const lesson = lessonsById.get(task.id) || {};
+      const fields = { content: task.content, description: task.description };
+      const sectionId = sectionIds[String(lesson.sectionId ?? '')];
+      let taskId = state.tasks[task.id] || '';
+
+      /** @type {{section_id?: string | null, checked?: boolean, is_completed?: boolean, is_deleted?: boolean} | null} */
+      let existingTask = null;
+      if (taskId && !state.closed[task.id]) {
+        existingTask = await todoistRequest(
+          settings,
+          'GET',
+          `/tasks/${taskId}`,
+          undefined,
+          { allowNotFound: true },
+        );
+        if (existingTask?.checked || existingTask?.is_completed) {
+          state.closed[task.id] = true;
+        } else if (!existingTask || existingTask.is_deleted) {
+          existingTask = null;
+          taskId = '';
+        }
+      }
+
+      if (taskId && state.closed[task.id]) {
+        skipped += 1;
+        onProgress?.(index + 1, tasks.length);
+        continue;
+      }
+
+      if (!taskId) {
+        const match = activeTasks.find(
+          (item) =>
+            item.content === task.content &&
+            !claimedTaskIds.has(String(item.id)),
+        );
+        if (match) {
+          taskId = String(match.id);
+          existingTask = match;
+        }
+      }
+
+      if (taskId) {
+        await todoistRequest(settings, 'POST', `/tasks/${taskId}`, fields);
+        if (sectionId && String(existingTask?.section_id ?? '') !== sectionId) {
+          await todoistRequest(settings, 'POST', `/tasks/${taskId}/move`, {
+            section_id: sectionId,
+          });
+        }
+        updated += 1;
+      } else {
+        const createdTask = await todoistRequest(settings, 'POST', '/tasks', {
+          ...fields,
+          project_id: projectId,
+          ...(sectionId ? { section_id: sectionId } : {}),
+        });
+        taskId = String(createdTask.id);
+        created += 1;
+      }
+
+      state.tasks[task.id] = taskId;
+      claimedTaskIds.add(taskId);
+
+      if (task.checked) {
+        await todoistRequest(settings, 'POST', `/tasks/${taskId}/close`);
+        state.closed[task.id] = true;
+      }
+      onProgress?.(index + 1, tasks.length);
+    }
+  } finally {
+    // Record what was pushed so far, so a retry after a failure updates
+    // those tasks instead of creating them again.
+    await saveTodoistSyncState(syncKey, state);
+  }
+
+  return { projectId, created, updated, skipped };
+}
@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * A file to put into a ZIP archive.
+ *
+ * @typedef {Object} ZipEntry
+ * @property {string} name Path inside the archive; `/` separates folders.
+ * @property {string | Uint8Array} content Strings are stored as UTF-8.
+ */
+
+/** @type {Uint32Array | null} */
+let crc32Table = null;
+
+/**
+ * Computes the CRC-32 checksum ZIP stores for each file.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let index = 0; index < 256; index += 1) {
+      let value = index;
+      for (let bit = 0; bit < 8; bit += 1) {
+        value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+      }
+      crc32Table[index] = value;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = crc32Table[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Converts a date into the MS-DOS time and date fields of ZIP headers,
+ * which hold local time at two-second precision from 1980 on.
+ *
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Builds a ZIP archive in memory. Files are stored without compression, so
+ * no library or network access is needed; names are marked as UTF-8.
+ *
+ * @param {ZipEntry[]} entries
+ * @param {Date} [modifiedAt] Modification time of every entry.
+ * @returns {Uint8Array}
+ */
+function buildZipArchive(entries, modifiedAt = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const data =
+      typeof entry.content === 'string'
+        ? encoder.encode(entry.content)
+        : entry.content;
+    const checksum = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce(
+    (size, part) => size + part.length,
+    0,
+  );
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  for (const part of parts) {
+    archive.set(part, position);
+    position += part.length;
+  }
+  return archive;
+}
+
+/**
+ * One exported file waiting to be bundled.
+ *
+ * @typedef {Object} BundleFile
+ * @property {string} path Path inside the archive.
+ * @property {unknown} content Serialized like a saved file.
+ * @property {string} format Export format ID, or `changes` or `index`.
+ * @property {string} sourceUrl Course or listing page the file was made from.
+ * @property {string} extractedAt ISO 8601 time the page was read.
+ */
+
+/**
+ * Files collected for one ZIP download, for a course or a whole batch.
+ *
+ * @typedef {Object} ExportBundle
+ * @property {BundleFile[]} files
+ */
+
+/** Name of the file listing a bundle's contents. */
+const BUNDLE_MANIFEST_FILE_NAME = 'manifest.json';
+
+/**
+ * Starts an empty bundle.
+ *
+ * @returns {ExportBundle}
+ */
+function createExportBundle() {
+  return { files: [] };
+}
+
+/**
+ * Adds a file to a bundle. A path already taken, such as two courses with
+ * the same title, is numbered like a kept duplicate: `name (1).ext`.
+ *
+ * @param {ExportBundle} bundle
+ * @param {BundleFile} file
+ * @returns {string} Path the file got inside the archive.
+ */
+function addBundleFile(bundle, file) {
+  const takenPaths = new Set([
+    BUNDLE_MANIFEST_FILE_NAME,
+    ...bundle.files.map((item) => item.path),
+  ]);
+  let path = file.path;
+  const dotIndex = path.lastIndexOf('.');
+  const stem =
+    dotIndex > path.lastIndexOf('/') + 1 ? path.slice(0, dotIndex) : path;
+  const extension = path.slice(stem.length);
+  for (let counter = 1; takenPaths.has(path); counter += 1) {
+    path = `${stem} (${counter})${extension}`;
+  }
+  bundle.files.push({ ...file, path });
+  return path;
+}
+
+/**
+ * Lists a bundle's files with their format, schema version, size, source
+ * page and extraction time.
+ *
+ * @param {ExportBundle} bundle
+ * @param {Date} [createdAt]
+ * @returns {Object}
+ */
+function buildBundleManifest(bundle, createdAt = new Date()) {
+  const encoder = new TextEncoder();
+  return {
+    createdAt: createdAt.toISOString(),
+    extractorVersion: getExtractorVersion(),
+    fileCount: bundle.files.length,
+    files: bundle.files.map((file) => {
+      const content = serializeFileContent(file.content);
+      const schemaVersion = /** @type {{schemaVersion?: unknown}} */ (
+        file.content
+      )?.schemaVersion;
+      return {
+        path: file.path,
+        format: file.format,
+        schemaVersion: typeof schemaVersion === 'number' ? schemaVersion : null,
+        bytes:
+          typeof content === 'string'
+            ? encoder.encode(content).length
+            : content.length,
+        sourceUrl: file.sourceUrl,
+        extractedAt: file.extractedAt,
+      };
+    }),
+  };
+}
+
+/**
+ * Builds the ZIP archive of a bundle, with `manifest.json` first.
+ *
+ * @param {ExportBundle} bundle
+ * @param {Date} [createdAt]
+ * @returns {Uint8Array}
+ */
+function buildBundleArchive(bundle, createdAt = new Date()) {
+  return buildZipArchive(
+    [
+      {
+        name: BUNDLE_MANIFEST_FILE_NAME,
+        content: serializeFileContent(buildBundleManifest(bundle, createdAt)),
+      },
+      ...bundle.files.map((file) => ({
+        name: file.path,
+        content: serializeFileContent(file.content),
+      })),
+    ],
+    createdAt,
+  );
+}